@@ -1,5 +1,16 @@
 const serverless = require('serverless-http');
 
 const app = require('../src/app');
+const logger = require('../src/utils/logger');
+const { sweepHealthIfDue } = require('../src/services/providersService');
 
-module.exports = serverless(app);
+const handler = serverless(app);
+
+// No background health monitor runs between invocations: each invocation starts a sweep once the
+// health check interval has passed, so ejected providers are probed and re-admitted
+module.exports = (...args) => {
+  if (process.env.HEALTH_CHECK_ENABLED !== 'false') {
+    sweepHealthIfDue().catch((error) => logger.error('Provider health sweep failed:', error));
+  }
+  return handler(...args);
+};
@@ -5,7 +5,7 @@
 // Commands:
 //  - solana-history query getSignaturesForAddress <address> --limit 10 [--api http://localhost:3000]
 //  - solana-history agent "Analyze address <addr> in last 10 slots" [--api ...]
-//  - solana-history metrics [--api ...]
+//  - solana-history metrics [--admin-key <key>] [--api ...]
 
 const fs = require('fs');
 const os = require('os');
@@ -70,6 +70,7 @@ let Keypair; // set lazily
 const DEFAULT_API = process.env.API_URL || 'http://localhost:3000';
 const DEVNET_RPC = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
 const USDC_MINT = process.env.USDC_MINT || '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
 const DEFAULT_WALLET_DIR = path.join(os.homedir(), '.solana-history');
 const DEFAULT_WALLET_PATH = process.env.WALLET_PATH || path.join(DEFAULT_WALLET_DIR, 'wallet.json');
 
@@ -94,7 +95,8 @@ function ensureWallet() {
 }
 
 async function rpc(api, method, params, paymentHeader){
-  const headers = { 'Content-Type': 'application/json' };
+  // This CLI submits the transfer itself and sends { txSignature, paymentId }: the legacy x402 format
+  const headers = { 'Content-Type': 'application/json', 'X-Payment-Format': 'legacy' };
   if (paymentHeader) headers['X-Payment'] = paymentHeader;
   const res = await axios.post(api, { jsonrpc:'2.0', id: Date.now(), method, params }, { validateStatus: () => true, headers });
   return res;
@@ -103,7 +105,7 @@ async function rpc(api, method, params, paymentHeader){
 async function payUSDC(connection, payer, payment){
   const web3 = safeRequire('@solana/web3.js');
   const spl = safeRequire('@solana/spl-token');
-  const { PublicKey, Transaction, sendAndConfirmTransaction } = web3;
+  const { PublicKey, Transaction, TransactionInstruction, sendAndConfirmTransaction } = web3;
   const { TOKEN_PROGRAM_ID, getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, createTransferInstruction } = spl;
 
   const mint = new PublicKey(USDC_MINT);
@@ -157,8 +159,15 @@ async function payUSDC(connection, payer, payment){
     if (/TokenAccount/i.test(String(e)) || /Insufficient USDC/.test(String(e))) throw e;
   }
 
+  // The gateway only accepts transfers whose memo carries the invoice paymentId
+  const memoIx = new TransactionInstruction({
+    keys: [{ pubkey: payer.publicKey, isSigner: true, isWritable: false }],
+    programId: new PublicKey(MEMO_PROGRAM_ID),
+    data: Buffer.from(payment.paymentId, 'utf8'),
+  });
   const tx = new Transaction().add(
-    createTransferInstruction(senderATA, destATA, payer.publicKey, amount, [], TOKEN_PROGRAM_ID)
+    createTransferInstruction(senderATA, destATA, payer.publicKey, amount, [], TOKEN_PROGRAM_ID),
+    memoIx
   );
   const sig = await sendAndConfirmTransaction(connection, tx, [payer], { commitment: 'confirmed' });
   return sig;
@@ -323,7 +332,11 @@ async function handleAgent(cmd){
 async function handleMetrics(cmd){
   const api = cmd.parent.opts().api || DEFAULT_API;
   const url = api.replace(/\/$/, '') + '/metrics/json';
-  const { data } = await axios.get(url);
+  const adminKey = cmd.adminKey || process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    err('No admin key set (use --admin-key or ADMIN_API_KEY); metrics require the metrics:read scope');
+  }
+  const { data } = await axios.get(url, { headers: adminKey ? { 'X-Admin-Key': adminKey } : {} });
   log(JSON.stringify(data, null, 2));
 }
 
@@ -352,8 +365,9 @@ async function main(){
 
   program
     .command('metrics')
-    .description('Fetch gateway metrics')
-    .action(async () => { await handleMetrics({ parent: program }); });
+    .description('Fetch gateway metrics (admin key required)')
+    .option('-k, --admin-key <key>', 'Admin API key with the metrics:read scope (default: $ADMIN_API_KEY)')
+    .action(async (opts) => { await handleMetrics({ ...opts, parent: program }); });
 
   await program.parseAsync(process.argv);
 }
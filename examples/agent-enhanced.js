@@ -51,7 +51,7 @@ async function makeRpcRequestWithPayment(connection, wallet, method, params, cos
       params: params || [],
     },
     {
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'X-Payment-Format': 'legacy' },
       validateStatus: () => true,
     }
   );
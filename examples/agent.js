@@ -98,7 +98,7 @@ The tool automatically handles micropayments via x402 protocol.`,
               params: params || [],
             },
             {
-              headers: { 'Content-Type': 'application/json' },
+              headers: { 'Content-Type': 'application/json', 'X-Payment-Format': 'legacy' },
               validateStatus: () => true,
             }
           );
@@ -24,6 +24,7 @@ const {
   Keypair,
   PublicKey,
   Transaction,
+  TransactionInstruction,
   SystemProgram,
   sendAndConfirmTransaction,
 } = require('@solana/web3.js');
@@ -39,6 +40,7 @@ const fs = require('fs');
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
 const WALLET_PATH = process.env.WALLET_PATH || './wallet.json';
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
 
 // Colors for console output
 const colors = {
@@ -83,7 +85,8 @@ function loadOrCreateWallet() {
  * Make JSON-RPC request to the API gateway
  */
 async function makeRpcRequest(method, params, paymentHeader = null) {
-  const headers = { 'Content-Type': 'application/json' };
+  // This client submits the transfer itself and sends { txSignature, paymentId }: the legacy x402 format
+  const headers = { 'Content-Type': 'application/json', 'X-Payment-Format': 'legacy' };
   if (paymentHeader) {
     headers['X-Payment'] = paymentHeader;
   }
@@ -165,8 +168,14 @@ async function sendUsdcPayment(connection, payer, paymentInfo) {
       )
     );
 
-    // TODO: Add memo instruction with paymentId for better verification
-    // For now, we rely on amount + recipient verification
+    // Attach the paymentId as an SPL Memo - the gateway rejects transfers without it
+    transaction.add(
+      new TransactionInstruction({
+        keys: [{ pubkey: payer.publicKey, isSigner: true, isWritable: false }],
+        programId: MEMO_PROGRAM_ID,
+        data: Buffer.from(paymentId, 'utf8'),
+      })
+    );
 
     // Send transaction
     log('\n📤 Sending transaction...', 'yellow');
@@ -219,7 +228,8 @@ async function main() {
   log('STEP 1: Initial Request (Unpaid)', 'bright');
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n', 'cyan');
 
-  const initialResponse = await makeRpcRequest('getBlock', [
+  // The paid retry must repeat these exact params: the invoice is bound to the request it priced
+  const blockParams = [
     blockSlot,
     {
       encoding: 'json',
@@ -227,7 +237,9 @@ async function main() {
       transactionDetails: 'full',
       rewards: true, // Include rewards for richer data
     },
-  ]);
+  ];
+
+  const initialResponse = await makeRpcRequest('getBlock', blockParams);
 
   if (initialResponse.status !== 402) {
     log(`✗ Unexpected response status: ${initialResponse.status}`, 'red');
@@ -271,19 +283,7 @@ async function main() {
   log(`  Encoded payment proof (X-Payment header)`, 'blue');
   log(`  ${paymentHeader.substring(0, 50)}...\n`, 'blue');
 
-  const paidResponse = await makeRpcRequest(
-    'getBlock',
-    [
-      blockSlot,
-      {
-        encoding: 'json',
-        maxSupportedTransactionVersion: 0,
-        transactionDetails: 'full',
-        rewards: false,
-      },
-    ],
-    paymentHeader
-  );
+  const paidResponse = await makeRpcRequest('getBlock', blockParams, paymentHeader);
 
   // Step 4: Check response
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
@@ -11,6 +11,7 @@
     splToken: null,
     DEVNET_RPC: 'https://api.devnet.solana.com',
     USDC_MINT: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+    MEMO_PROGRAM_ID: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
   });
 
   // Toast helpers (graceful fallback)
@@ -131,7 +132,7 @@
     const progress = document.getElementById('paymentProgress');
     try {
       const proof = w.btoa(JSON.stringify({ txSignature, paymentId }));
-      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json', 'X-Payment': proof }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method: state.pendingRequest.method, params: state.pendingRequest.params }) });
+      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json', 'X-Payment-Format':'legacy', 'X-Payment': proof }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method: state.pendingRequest.method, params: state.pendingRequest.params }) });
       const data = await response.json();
       if (response.ok){
         if (state.pendingRequest && state.pendingRequest._context === 'agent') {
@@ -174,8 +175,15 @@
       const have = parseInt(bal.value.amount);
       if (have < amount) { throw new Error('Insufficient USDC. Need ' + (amount/1e6).toFixed(6)); }
 
+      // Memo carries the paymentId so the gateway can bind this transfer to the invoice
+      const memoIx = new w.solanaWeb3.TransactionInstruction({
+        keys: [{ pubkey: sender, isSigner: true, isWritable: false }],
+        programId: new w.solanaWeb3.PublicKey(state.MEMO_PROGRAM_ID),
+        data: w.Buffer.from(state.pendingPayment.paymentId),
+      });
       const tx = new w.solanaWeb3.Transaction().add(
-        state.splToken.createTransferInstruction(senderATA, recipientATA, sender, amount, [], state.splToken.TOKEN_PROGRAM_ID)
+        state.splToken.createTransferInstruction(senderATA, recipientATA, sender, amount, [], state.splToken.TOKEN_PROGRAM_ID),
+        memoIx
       );
       const bh = await state.connection.getLatestBlockhash(); tx.recentBlockhash = bh.blockhash; tx.feePayer = sender;
 
@@ -255,7 +263,14 @@
   // Metrics
   UI.loadMetrics = async function loadMetrics(){
     try {
-      const res = await w.fetch('/metrics/json');
+      // Metrics are admin-only; the operator stores their key with localStorage.setItem('adminKey', ...)
+      let adminKey = null;
+      try { adminKey = w.localStorage && w.localStorage.getItem('adminKey'); } catch(_){}
+      const res = await w.fetch('/metrics/json', { headers: adminKey ? { 'X-Admin-Key': adminKey } : {} });
+      if (res.status === 401 || res.status === 403){
+        const fb = document.getElementById('metricsFallback'); if (fb){ fb.classList.remove('hidden'); fb.textContent = 'Metrics require an admin key with the metrics:read scope.'; }
+        return;
+      }
       const d = await res.json();
       const ctxReq = document.getElementById('requestsChart');
       const ctxRev = document.getElementById('revenueChart');
@@ -360,7 +375,7 @@
     try {
       const method = 'getSignaturesForAddress';
       const params = [address, { limit }];
-      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method, params }) });
+      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json', 'X-Payment-Format':'legacy' }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method, params }) });
       const data = await response.json();
       if (response.status === 402){
         addStep('Payment required', true).textContent = '⚠️ Payment required';
@@ -436,7 +451,7 @@
       if (loading){ loading.classList.remove('hidden'); loading.classList.add('flex'); }
       if (resultSpin){ resultSpin.classList.remove('hidden'); }
       if (jsonWrap) jsonWrap.classList.add('hidden');
-      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method, params }) });
+      const response = await w.fetch('/', { method:'POST', headers:{ 'Content-Type':'application/json', 'X-Payment-Format':'legacy' }, body: JSON.stringify({ jsonrpc:'2.0', id:1, method, params }) });
       const data = await response.json();
       if (loading){ loading.classList.add('hidden'); loading.classList.remove('flex'); }
       if (resultSpin){ resultSpin.classList.add('hidden'); }
@@ -8,10 +8,28 @@ const { metricsHandler, jsonMetricsHandler } = require('./handlers/metricsHandle
 const { 
   listProvidersHandler, 
   addProviderHandler, 
-  providerHealthHandler 
+  updateProviderHandler,
+  deleteProviderHandler,
+  enableProviderHandler,
+  disableProviderHandler,
+  providerHealthHandler,
+  providersHealthHandler,
+  probeProvidersHandler,
 } = require('./handlers/providersHandler');
+const { startHealthMonitor } = require('./services/providersService');
+const { providerPayouts } = require('./services/payoutService');
 const { uiHandler } = require('./handlers/uiHandler');
-const { validateRpcRequest, validatePaymentHeader, validateProvider } = require('./middleware/validation');
+const { depositCreditsHandler, getCreditsHandler } = require('./handlers/creditsHandler');
+const { providerEarningsHandler, payoutExportHandler, runPayoutsHandler } = require('./handlers/earningsHandler');
+const { pricingHandler, quoteHandler } = require('./handlers/pricingHandler');
+const {
+  validateRpcRequest,
+  validatePaymentHeader,
+  validateProvider,
+  validateRoutingHeaders,
+  validateCreditDeposit,
+} = require('./middleware/validation');
+const { requireAdmin, ADMIN_SCOPES } = require('./middleware/adminAuth');
 const logger = require('./utils/logger');
 
 // --- Environment hardening for serverless (Vercel) ---
@@ -61,7 +79,12 @@ app.use(helmet({
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '1mb' })); // Limit payload size
+app.use(express.json({
+  limit: '1mb', // Limit payload size
+  verify: (req, res, buf) => {
+    req.rawBody = buf; // Kept for HMAC-signed admin requests
+  },
+}));
 // Serve static UI assets
 app.use(express.static('public'));
 
@@ -86,9 +109,9 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Metrics endpoints
-app.get('/metrics', metricsHandler);
-app.get('/metrics/json', jsonMetricsHandler);
+// Metrics endpoints (admin only)
+app.get('/metrics', requireAdmin(ADMIN_SCOPES.METRICS_READ), metricsHandler);
+app.get('/metrics/json', requireAdmin(ADMIN_SCOPES.METRICS_READ), jsonMetricsHandler);
 
 // Web UI
 app.get('/ui', uiHandler);
@@ -101,11 +124,34 @@ app.get('/', (req, res) => {
 
 // Provider marketplace endpoints
 app.get('/providers', listProvidersHandler);
-app.post('/providers/add', validateProvider, addProviderHandler);
-app.get('/providers/health', providerHealthHandler);
+app.get('/providers/health', providersHealthHandler);
+app.get('/providers/:id/health', providerHealthHandler);
+
+// Provider mutations (admin only)
+const requireProvidersWrite = requireAdmin(ADMIN_SCOPES.PROVIDERS_WRITE);
+app.post('/providers/add', requireProvidersWrite, validateProvider, addProviderHandler);
+app.put('/providers/:id', requireProvidersWrite, validateProvider, updateProviderHandler);
+app.delete('/providers/:id', requireProvidersWrite, deleteProviderHandler);
+app.patch('/providers/:id/enable', requireProvidersWrite, enableProviderHandler);
+app.patch('/providers/:id/disable', requireProvidersWrite, disableProviderHandler);
+app.post('/providers/health/check', requireProvidersWrite, probeProvidersHandler);
+
+// Provider earnings and payouts (admin only)
+const requirePayoutsRead = requireAdmin(ADMIN_SCOPES.PAYOUTS_READ);
+app.get('/providers/payouts', requirePayoutsRead, payoutExportHandler);
+app.get('/providers/:id/earnings', requirePayoutsRead, providerEarningsHandler);
+app.post('/providers/payouts/run', requireAdmin(ADMIN_SCOPES.PAYOUTS_WRITE), runPayoutsHandler);
+
+// Prepaid credit endpoints
+app.get('/credits', getCreditsHandler);
+app.post('/credits/deposit', validateCreditDeposit, validatePaymentHeader, depositCreditsHandler);
+
+// Price list and quotes (no invoice is issued)
+app.get('/pricing', pricingHandler);
+app.post('/quote', validateRpcRequest, validateRoutingHeaders, quoteHandler);
 
 // Main RPC endpoint with x402 payment handling (with validation)
-app.post('/', validateRpcRequest, validatePaymentHeader, handleRpc);
+app.post('/', validateRpcRequest, validateRoutingHeaders, validatePaymentHeader, handleRpc);
 
 // 404 handler
 app.use((req, res) => {
@@ -131,6 +177,14 @@ if (require.main === module) {
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     logger.info(`Old Faithful RPC: ${process.env.OLD_FAITHFUL_RPC_URL || 'http://localhost:8899'}`);
   });
+
+  if (process.env.HEALTH_CHECK_ENABLED !== 'false') {
+    startHealthMonitor();
+  }
+
+  if (process.env.PAYOUTS_ENABLED === 'true') {
+    providerPayouts.start();
+  }
 }
 
 module.exports = app;
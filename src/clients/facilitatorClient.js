@@ -121,6 +121,83 @@ class FacilitatorClient {
       throw error;
     }
   }
+
+  /**
+   * Verify an x402 spec payment (signed, not yet submitted transaction)
+   * @param {Object} params
+   * @param {Object} params.paymentPayload - Decoded X-PAYMENT payload
+   * @param {Object} params.paymentRequirements - PaymentRequirements the payload answers
+   * @returns {Promise<{valid: boolean, reason?: string, payer?: string, raw?: any}>}
+   */
+  async verifySignedPayment({ paymentPayload, paymentRequirements }) {
+    if (!this.verifyUrl) {
+      throw new Error('Facilitator verify URL not configured');
+    }
+
+    try {
+      const response = await axios.post(
+        this.verifyUrl,
+        { x402Version: paymentPayload.x402Version, paymentPayload, paymentRequirements },
+        { timeout: 10000, headers: { 'Content-Type': 'application/json' } }
+      );
+      const { data } = response;
+
+      if (data.isValid === true) {
+        return { valid: true, payer: data.payer, raw: data };
+      }
+
+      return {
+        valid: false,
+        reason: data.invalidReason || 'Verification failed',
+        raw: data,
+      };
+    } catch (error) {
+      logger.error('Facilitator verification request failed:', error.message);
+
+      if (error.response) {
+        return {
+          valid: false,
+          reason: error.response.data?.invalidReason || error.response.data?.message || 'Facilitator returned error',
+          raw: error.response.data,
+        };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Settle an x402 spec payment: the facilitator submits the signed transaction
+   * @param {Object} params
+   * @param {Object} params.paymentPayload - Decoded X-PAYMENT payload
+   * @param {Object} params.paymentRequirements - PaymentRequirements the payload answers
+   * @returns {Promise<{success: boolean, transaction?: string, network?: string, payer?: string, errorReason?: string}>}
+   */
+  async settleSignedPayment({ paymentPayload, paymentRequirements }) {
+    if (!this.settleUrl) {
+      throw new Error('Facilitator settle URL not configured');
+    }
+
+    try {
+      const response = await axios.post(
+        this.settleUrl,
+        { x402Version: paymentPayload.x402Version, paymentPayload, paymentRequirements },
+        { timeout: 30000, headers: { 'Content-Type': 'application/json' } }
+      );
+
+      logger.debug('Settlement response:', response.data);
+
+      return response.data;
+    } catch (error) {
+      logger.error('Facilitator settlement request failed:', error.message);
+
+      if (error.response) {
+        logger.error('Facilitator error response:', error.response.data);
+      }
+
+      throw error;
+    }
+  }
 }
 
 module.exports = FacilitatorClient;
@@ -0,0 +1,205 @@
+const { verifyPaymentOnChain } = require('../services/blockchainVerifier');
+const { issueInvoice } = require('../services/invoiceService');
+const { paymentStore } = require('../stores/paymentStore');
+const { creditStore } = require('../stores/creditStore');
+const logger = require('../utils/logger');
+const { toAtomicUnits, fromAtomicUnits } = require('../utils/pricing');
+
+/**
+ * POST /credits/deposit - Buy prepaid credits with a single on-chain payment
+ *
+ * Without X-Payment: returns a 402 challenge for `amount` USDC.
+ * With X-Payment: verifies the transfer on-chain and credits the account named by
+ * X-API-Key, or opens a new account and returns its API key.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function depositCreditsHandler(req, res) {
+  try {
+    const apiKey = req.headers['x-api-key'];
+
+    // Step 1: No payment yet - issue a deposit invoice
+    if (!req.validatedPayment) {
+      const requirement = await issueInvoice({
+        amount: req.body.amount,
+        method: 'credits',
+        data: { kind: 'credit_deposit' },
+      });
+
+      return res.status(402).json({
+        error: 'payment_required',
+        message: 'Payment required to deposit credits',
+        accepts: [requirement],
+      });
+    }
+
+    // Deposits are redeemed with a submitted transfer, not an unsubmitted signed transaction
+    if (req.validatedPayment.paymentPayload) {
+      return res.status(402).json({
+        error: 'unsupported_payment_format',
+        message: 'Credit deposits accept the legacy X-Payment format ({ txSignature, paymentId }) only',
+      });
+    }
+
+    // Step 2: Check the deposit invoice
+    const { txSignature, paymentId } = req.validatedPayment;
+    const invoice = await paymentStore.get(paymentId);
+
+    if (!invoice || invoice.kind !== 'credit_deposit') {
+      logger.warn(`Deposit invoice not found: ${paymentId}`);
+      return res.status(402).json({
+        error: 'payment_not_found',
+        message: 'Deposit payment ID not found or expired',
+      });
+    }
+
+    if (apiKey && !(await creditStore.getAccount(apiKey))) {
+      return res.status(401).json({
+        error: 'invalid_api_key',
+        message: 'API key does not match any credit account',
+      });
+    }
+
+    // Step 3: Claim the invoice, reserve the signature and verify the transfer on-chain
+    const claim = await paymentStore.claim(paymentId);
+    if (!claim.ok) {
+      logger.warn(`Deposit invoice could not be claimed: ${paymentId} (${claim.reason})`);
+      if (claim.reason === 'not_found') {
+        return res.status(402).json({
+          error: 'payment_not_found',
+          message: 'Deposit payment ID not found or expired',
+        });
+      }
+      if (claim.reason === 'expired') {
+        return res.status(402).json({
+          error: 'payment_expired',
+          message: 'This deposit request has expired, request a new one',
+          expiresAt: new Date(claim.invoice.expiresAt).toISOString(),
+        });
+      }
+      if (claim.reason === 'in_progress') {
+        return res.status(409).json({
+          error: 'payment_in_progress',
+          message: 'This payment is already being verified by another request',
+        });
+      }
+      return res.status(402).json({
+        error: 'payment_already_used',
+        message: 'This payment has already been used',
+      });
+    }
+
+    // Every path that does not credit the deposit hands the claim and the signature back
+    let credited = false;
+    let accountKey;
+    let balance;
+    try {
+      if (!(await paymentStore.consumeSignature(txSignature, paymentId))) {
+        logger.warn(`Deposit signature already used: ${txSignature}`);
+        return res.status(402).json({
+          error: 'signature_already_used',
+          message: 'This transaction signature has already been used to pay for a request',
+        });
+      }
+
+      const verificationResult = await verifyPaymentOnChain({
+        txSignature,
+        paymentId,
+        expectedAmount: invoice.amount,
+        mint: process.env.USDC_MINT,
+        recipient: process.env.PAYMENT_WALLET_ADDRESS,
+      });
+
+      if (!verificationResult.valid) {
+        logger.warn(`Deposit verification failed: ${txSignature}`, verificationResult);
+        return res.status(402).json({
+          error: 'payment_invalid',
+          message: 'Payment verification failed',
+          reason: verificationResult.reason,
+          details: verificationResult.message || verificationResult.reason,
+        });
+      }
+
+      // Step 4: Credit the account, then mark the invoice used; a failed deposit leaves it redeemable
+      accountKey = apiKey || await creditStore.createAccount();
+      balance = await creditStore.deposit(accountKey, toAtomicUnits(invoice.amount), {
+        txSignature,
+        paymentId,
+      });
+      if (balance === null) {
+        throw new Error('Credit account disappeared before the deposit');
+      }
+      credited = true;
+
+      await paymentStore.complete(paymentId, verificationResult.payer ? { payer: verificationResult.payer } : {});
+    } finally {
+      if (!credited) {
+        await paymentStore.releaseSignature(txSignature, paymentId);
+        await paymentStore.release(paymentId);
+      }
+    }
+
+    logger.info(`Credits deposited: ${invoice.amount} USDC, tx: ${txSignature}`);
+
+    return res.status(201).json({
+      success: true,
+      ...(!apiKey && { apiKey: accountKey }),
+      deposited: invoice.amount,
+      balance: fromAtomicUnits(balance),
+    });
+  } catch (error) {
+    logger.error('Failed to deposit credits:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'An unexpected error occurred processing your deposit',
+    });
+  }
+}
+
+/**
+ * GET /credits - Show balance and ledger history for the X-API-Key account
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function getCreditsHandler(req, res) {
+  try {
+    const apiKey = req.headers['x-api-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'missing_api_key',
+        message: 'X-API-Key header is required',
+      });
+    }
+
+    const account = await creditStore.getAccount(apiKey);
+
+    if (!account) {
+      return res.status(401).json({
+        error: 'invalid_api_key',
+        message: 'API key does not match any credit account',
+      });
+    }
+
+    return res.json({
+      success: true,
+      balance: fromAtomicUnits(account.balance),
+      history: account.history.map((entry) => ({
+        ...entry,
+        amount: fromAtomicUnits(entry.amount),
+        balance: fromAtomicUnits(entry.balance),
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to read credits:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to retrieve credit balance',
+    });
+  }
+}
+
+module.exports = {
+  depositCreditsHandler,
+  getCreditsHandler,
+};
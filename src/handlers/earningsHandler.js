@@ -0,0 +1,157 @@
+const { getProvider, getProviders } = require('../services/providersService');
+const { providerPayouts } = require('../services/payoutService');
+const { earningsLedger } = require('../stores/earningsLedger');
+const logger = require('../utils/logger');
+const { fromAtomicUnits } = require('../utils/pricing');
+
+const EXPORT_COLUMNS = ['providerId', 'name', 'payoutAddress', 'earned', 'paidOut', 'balance', 'requests'];
+
+/**
+ * Ledger amounts in USDC
+ * @param {Object} account - Ledger account or history entry
+ * @returns {Object}
+ */
+function toUsdc(account) {
+  return {
+    ...account,
+    ...['amount', 'earned', 'paidOut', 'balance']
+      .filter((field) => typeof account[field] === 'number')
+      .reduce((fields, field) => ({ ...fields, [field]: fromAtomicUnits(account[field]) }), {}),
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /providers/:id/earnings - Earnings, payouts and recent ledger entries of a provider
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function providerEarningsHandler(req, res) {
+  try {
+    const { id } = req.params;
+    const [provider, account, payouts] = await Promise.all([
+      getProvider(id),
+      earningsLedger.getAccount(id),
+      earningsLedger.listPayouts(id),
+    ]);
+
+    // Removed providers keep their earnings until paid out
+    if (!provider && account.earned === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...toUsdc(account),
+      payoutAddress: provider?.payoutAddress || null,
+      history: account.history.map(toUsdc),
+      payouts: payouts.map(toUsdc),
+    });
+  } catch (error) {
+    logger.error('Failed to read provider earnings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve provider earnings',
+    });
+  }
+}
+
+/**
+ * GET /providers/payouts - Payout export of every provider with earnings (JSON, or CSV with ?format=csv)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function payoutExportHandler(req, res) {
+  try {
+    const [accounts, providers] = await Promise.all([earningsLedger.listAccounts(), getProviders()]);
+    const registered = new Map(providers.map((provider) => [provider.id, provider]));
+    const rows = accounts
+      .map((account) => toUsdc({
+        ...account,
+        name: registered.get(account.providerId)?.name || null,
+        payoutAddress: registered.get(account.providerId)?.payoutAddress || null,
+      }))
+      .sort((a, b) => a.providerId.localeCompare(b.providerId));
+    const generatedAt = new Date().toISOString();
+
+    logger.info(`Payout export of ${rows.length} providers by admin ${req.admin?.id}`);
+
+    if (req.query.format === 'csv') {
+      const lines = [EXPORT_COLUMNS, ...rows.map((row) => EXPORT_COLUMNS.map((column) => row[column]))];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="payouts-${generatedAt.slice(0, 10)}.csv"`);
+      return res.send(`${lines.map((line) => line.map(csvField).join(',')).join('\n')}\n`);
+    }
+
+    res.json({
+      success: true,
+      generatedAt,
+      count: rows.length,
+      providers: rows.map((row) => EXPORT_COLUMNS.reduce((fields, column) => ({ ...fields, [column]: row[column] }), {})),
+    });
+  } catch (error) {
+    logger.error('Failed to export payouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export payouts',
+    });
+  }
+}
+
+/**
+ * POST /providers/payouts/run - Pay out every provider balance above the threshold now
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function runPayoutsHandler(req, res) {
+  try {
+    if (!providerPayouts.payer) {
+      return res.status(503).json({
+        success: false,
+        error: 'payouts_not_configured',
+        message: 'Set PAYOUT_KEYPAIR_PATH to the gateway wallet paying providers',
+      });
+    }
+
+    logger.info(`Provider payouts triggered by admin ${req.admin?.id}`);
+    const { batches, skipped, reconciled, inProgress } = await providerPayouts.run();
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        error: 'payouts_in_progress',
+        message: 'Another gateway instance is paying out providers; try again once it has finished',
+      });
+    }
+
+    res.json({
+      success: true,
+      batches,
+      skipped,
+      reconciled,
+    });
+  } catch (error) {
+    logger.error('Provider payout run failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  providerEarningsHandler,
+  payoutExportHandler,
+  runPayoutsHandler,
+};
@@ -1,72 +1,5 @@
-const client = require('prom-client');
 const { getRevenueMetrics } = require('../services/paymentService');
-
-// Initialize Prometheus metrics registry
-const register = new client.Registry();
-
-// Add default metrics (CPU, memory, etc.)
-client.collectDefaultMetrics({ register });
-
-// Custom metrics
-const requestCounter = new client.Counter({
-  name: 'rpc_requests_total',
-  help: 'Total number of RPC requests',
-  labelNames: ['method', 'status'],
-  registers: [register],
-});
-
-const paymentCounter = new client.Counter({
-  name: 'payments_total',
-  help: 'Total number of successful payments',
-  registers: [register],
-});
-
-const revenueGauge = new client.Gauge({
-  name: 'revenue_usdc_total',
-  help: 'Total revenue in USDC',
-  registers: [register],
-});
-
-const requestDuration = new client.Histogram({
-  name: 'rpc_request_duration_seconds',
-  help: 'RPC request duration in seconds',
-  labelNames: ['method'],
-  buckets: [0.1, 0.5, 1, 2, 5, 10],
-  registers: [register],
-});
-
-/**
- * Track an RPC request
- * @param {string} method - RPC method name
- * @param {string} status - Request status (success, payment_required, error)
- */
-function trackRequest(method, status = 'success') {
-  requestCounter.inc({ method, status });
-}
-
-/**
- * Track a successful payment
- */
-function trackPayment() {
-  paymentCounter.inc();
-}
-
-/**
- * Update revenue metrics
- * @param {number} amount - Amount in USDC
- */
-function updateRevenue(amount) {
-  revenueGauge.inc(amount);
-}
-
-/**
- * Track request duration
- * @param {string} method - RPC method name
- * @param {number} duration - Duration in seconds
- */
-function trackDuration(method, duration) {
-  requestDuration.observe({ method }, duration);
-}
+const { register } = require('../utils/metrics');
 
 /**
  * Prometheus metrics endpoint handler
@@ -90,7 +23,7 @@ async function metricsHandler(req, res) {
  */
 async function jsonMetricsHandler(req, res) {
   try {
-    const revenueMetrics = getRevenueMetrics();
+    const revenueMetrics = await getRevenueMetrics();
     
     // Get Prometheus metrics as JSON
     const promMetrics = await register.getMetricsAsJSON();
@@ -99,6 +32,7 @@ async function jsonMetricsHandler(req, res) {
     const requestsTotal = promMetrics.find((m) => m.name === 'rpc_requests_total');
     const paymentsTotal = promMetrics.find((m) => m.name === 'payments_total');
     const revenueTotal = promMetrics.find((m) => m.name === 'revenue_usdc_total');
+    const hedgedTotal = promMetrics.find((m) => m.name === 'rpc_hedged_requests_total');
     
     res.json({
       timestamp: new Date().toISOString(),
@@ -114,12 +48,20 @@ async function jsonMetricsHandler(req, res) {
       payments: {
         total: paymentsTotal?.values?.[0]?.value || 0,
       },
+      hedging: {
+        total: hedgedTotal?.values?.reduce((sum, v) => sum + v.value, 0) || 0,
+        byWinner: hedgedTotal?.values?.reduce((acc, v) => {
+          acc[v.labels.winner] = (acc[v.labels.winner] || 0) + v.value;
+          return acc;
+        }, {}) || {},
+      },
       revenue: {
         total: revenueMetrics.totalRevenue,
         gateway: revenueMetrics.gatewayRevenue,
         dataProvider: revenueMetrics.dataProviderRevenue,
-        gatewayPercentage: revenueMetrics.gatewaySplit * 100,
-        dataProviderPercentage: (1 - revenueMetrics.gatewaySplit) * 100,
+        gatewayPercentage: revenueMetrics.feeSplit.gatewayPercent,
+        dataProviderPercentage: revenueMetrics.feeSplit.dataProviderPercent,
+        transactions: revenueMetrics.transactionCount,
       },
       uptime: process.uptime(),
       memory: process.memoryUsage(),
@@ -132,8 +74,4 @@ async function jsonMetricsHandler(req, res) {
 module.exports = {
   metricsHandler,
   jsonMetricsHandler,
-  trackRequest,
-  trackPayment,
-  updateRevenue,
-  trackDuration,
 };
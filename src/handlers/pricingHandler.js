@@ -0,0 +1,83 @@
+const { getProviders } = require('../services/providersService');
+const { quoteForProviders } = require('../services/quoteService');
+const { NETWORK } = require('../services/invoiceService');
+const logger = require('../utils/logger');
+const { pricingPolicy, toAtomicUnits, fromAtomicUnits, USDC_DECIMALS } = require('../utils/pricing');
+
+/**
+ * USDC amount as a fixed-precision string with its base units
+ * @param {number} amount - Price in USDC
+ * @returns {{amount: string, amountAtomic: string}}
+ */
+function usdc(amount) {
+  const atomic = toAtomicUnits(amount);
+  return { amount: fromAtomicUnits(atomic), amountAtomic: String(atomic) };
+}
+
+/**
+ * GET /pricing - Method price table, rules and multipliers of the active pricing policy
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function pricingHandler(req, res) {
+  try {
+    const providers = await getProviders();
+
+    return res.json({
+      success: true,
+      asset: 'USDC',
+      network: NETWORK,
+      decimals: USDC_DECIMALS,
+      ...pricingPolicy.describe(),
+      // Provider pricing multiplies the price of calls the provider serves
+      providers: providers
+        .filter((provider) => provider.enabled !== false)
+        .map(({ id, name, pricing }) => ({ id, name, pricing })),
+    });
+  } catch (error) {
+    logger.error('Failed to describe pricing:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to retrieve pricing',
+    });
+  }
+}
+
+/**
+ * POST /quote - Price a JSON-RPC request or batch as POST / would, without issuing an invoice.
+ * Returns one quote per provider that may serve it (preferred first) with a per-call breakdown.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function quoteHandler(req, res) {
+  try {
+    const quotes = await quoteForProviders(req.body, req.routing);
+    const [preferred] = quotes;
+
+    return res.json({
+      success: true,
+      method: preferred.method,
+      ...(Array.isArray(req.body) && { batchSize: req.body.length }),
+      asset: 'USDC',
+      network: NETWORK,
+      ...usdc(preferred.amount),
+      ...(preferred.provider && { providerId: preferred.provider.id }),
+      quotes: quotes.map(({ provider, amount, calls }) => ({
+        ...(provider && { providerId: provider.id, providerName: provider.name, pricing: provider.pricing }),
+        ...usdc(amount),
+        calls: calls.map(({ price, ...call }) => ({ ...call, price: fromAtomicUnits(toAtomicUnits(price)) })),
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to quote request:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to quote request',
+    });
+  }
+}
+
+module.exports = {
+  pricingHandler,
+  quoteHandler,
+};
@@ -1,7 +1,12 @@
 const { 
   getProviders, 
   addProvider, 
-  healthCheckProvider 
+  updateProvider,
+  removeProvider,
+  setProviderEnabled,
+  healthCheckProvider,
+  getProvidersHealth,
+  probeProviders,
 } = require('../services/providersService');
 const logger = require('../utils/logger');
 
@@ -12,7 +17,7 @@ const logger = require('../utils/logger');
  */
 async function listProvidersHandler(req, res) {
   try {
-    const providers = getProviders();
+    const providers = await getProviders();
     
     res.json({
       success: true,
@@ -25,7 +30,12 @@ async function listProvidersHandler(req, res) {
         reputation: p.reputation,
         uptime: p.uptime,
         latency: p.latency,
+        priors: p.priors,
+        observedRequests: p.observedRequests,
         features: p.features,
+        slotRange: p.slotRange,
+        payoutAddress: p.payoutAddress,
+        enabled: p.enabled,
         health: p.health,
         metadata: p.metadata,
       })),
@@ -46,7 +56,9 @@ async function listProvidersHandler(req, res) {
  */
 async function addProviderHandler(req, res) {
   try {
-    const { name, url, type, pricing, features, metadata } = req.body;
+    const {
+      id, name, url, type, pricing, reputation, features, slotRange, payoutAddress, metadata,
+    } = req.body;
 
     // Basic validation
     if (!name || !url) {
@@ -66,15 +78,27 @@ async function addProviderHandler(req, res) {
       });
     }
 
-    const newProvider = addProvider({
+    const newProvider = await addProvider({
+      id,
       name,
       url,
       type,
       pricing,
+      reputation,
       features,
+      slotRange,
+      payoutAddress,
       metadata,
     });
 
+    if (!newProvider) {
+      return res.status(409).json({
+        success: false,
+        error: 'provider_exists',
+        message: `Provider ${id} is already registered`,
+      });
+    }
+
     logger.info(`New provider added via API: ${newProvider.name}`);
 
     res.status(201).json({
@@ -91,7 +115,161 @@ async function addProviderHandler(req, res) {
 }
 
 /**
- * GET /providers/:id/health - Check health of a specific provider
+ * PUT /providers/:id - Replace a provider's configuration
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function updateProviderHandler(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (req.body.id !== id) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: `"id" must match the provider in the URL (${id})`,
+      });
+    }
+
+    const provider = await updateProvider(id, req.body);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      provider,
+    });
+  } catch (error) {
+    logger.error('Failed to update provider:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update provider',
+    });
+  }
+}
+
+/**
+ * DELETE /providers/:id - Remove a provider
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function deleteProviderHandler(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!(await removeProvider(id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      providerId: id,
+    });
+  } catch (error) {
+    logger.error('Failed to remove provider:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove provider',
+    });
+  }
+}
+
+/**
+ * PATCH /providers/:id/enable and /providers/:id/disable - Toggle request routing to a provider
+ * @param {boolean} enabled - State set by the route
+ * @returns {import('express').RequestHandler}
+ */
+function setProviderEnabledHandler(enabled) {
+  return async (req, res) => {
+    try {
+      const provider = await setProviderEnabled(req.params.id, enabled);
+
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: 'Provider not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        provider,
+      });
+    } catch (error) {
+      logger.error('Failed to change provider state:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change provider state',
+      });
+    }
+  };
+}
+
+/**
+ * GET /providers/health - Cached health of every provider (no live probes)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function providersHealthHandler(req, res) {
+  try {
+    sendProvidersHealth(res, await getProvidersHealth());
+  } catch (error) {
+    logger.error('Failed to aggregate provider health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve provider health',
+    });
+  }
+}
+
+/**
+ * POST /providers/health/check - Probe every enabled provider now (e.g. from a scheduler on
+ * serverless deployments, where no background monitor runs) and return the resulting health
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function probeProvidersHandler(req, res) {
+  try {
+    logger.info(`Provider health sweep triggered by admin ${req.admin?.id}`);
+    sendProvidersHealth(res, await probeProviders());
+  } catch (error) {
+    logger.error('Provider health sweep failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to probe providers',
+    });
+  }
+}
+
+/**
+ * Respond with provider health and per-state counts
+ * @param {import('express').Response} res
+ * @param {Array<Object>} providers
+ */
+function sendProvidersHealth(res, providers) {
+  const summary = providers.reduce((counts, provider) => ({
+    ...counts,
+    [provider.status]: (counts[provider.status] || 0) + 1,
+  }), {});
+
+  res.json({
+    success: true,
+    count: providers.length,
+    summary,
+    providers,
+  });
+}
+
+/**
+ * GET /providers/:id/health - Live probe of a specific provider
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
@@ -118,5 +296,11 @@ async function providerHealthHandler(req, res) {
 module.exports = {
   listProvidersHandler,
   addProviderHandler,
+  updateProviderHandler,
+  deleteProviderHandler,
+  enableProviderHandler: setProviderEnabledHandler(true),
+  disableProviderHandler: setProviderEnabledHandler(false),
   providerHealthHandler,
+  providersHealthHandler,
+  probeProvidersHandler,
 };
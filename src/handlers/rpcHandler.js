@@ -1,9 +1,21 @@
-const { v4: uuidv4 } = require('uuid');
 const { fetchFromOldFaithful } = require('../services/oldFaithfulProxy');
-const { verifyPayment, settlePayment } = require('../services/paymentService');
+const { quoteProviders } = require('../services/providersService');
+const { quoteRequest, quoteForProviders, describeMethod } = require('../services/quoteService');
+const { verifyPayment, settlePayment, recordRevenue } = require('../services/paymentService');
+const { issueInvoice, describeInvoice, NETWORK } = require('../services/invoiceService');
+const {
+  PAYMENT_FORMATS,
+  negotiateFormat,
+  resourceUrl,
+  toSpecRequirement,
+  buildChallenge,
+  encodePaymentResponse,
+} = require('../services/x402Protocol');
 const { paymentStore } = require('../stores/paymentStore');
+const { creditStore } = require('../stores/creditStore');
 const logger = require('../utils/logger');
-const { calculatePrice } = require('../utils/pricing');
+const { toAtomicUnits, fromAtomicUnits } = require('../utils/pricing');
+const { hashRequest } = require('../utils/requestHash');
 
 /**
  * Main RPC handler implementing x402 payment flow
@@ -13,92 +25,162 @@ const { calculatePrice } = require('../utils/pricing');
 async function handleRpc(req, res) {
   try {
     const xPaymentHeader = req.headers['x-payment'];
+    const apiKey = req.headers['x-api-key'];
+
+    // Prepaid credits: debit the account instead of requiring an on-chain payment
+    if (apiKey && !xPaymentHeader) {
+      return await handleCreditRpc(req, res, apiKey);
+    }
 
     // Step 1: No payment header - return 402 with payment challenge
     if (!xPaymentHeader) {
-      return sendPaymentRequired(res, 'Payment required', req.body);
+      return await sendPaymentRequired(req, res, 'Payment required');
     }
 
-    // Step 2: Payment header present - verify and process
-    let paymentPayload;
-    try {
-      const decodedPayment = Buffer.from(xPaymentHeader, 'base64').toString('utf8');
-      paymentPayload = JSON.parse(decodedPayment);
-    } catch (parseError) {
-      logger.warn('Invalid X-Payment header format:', parseError.message);
-      return res.status(402).json({
-        error: 'invalid_payment_header',
-        message: 'X-Payment header must be base64-encoded JSON',
-      });
+    // Step 2: Payment header present - use the payload checked by validatePaymentHeader
+    const payment = req.validatedPayment || parseLegacyPayment(xPaymentHeader);
+
+    if (payment.error) {
+      return res.status(402).json(payment.error);
     }
 
-    const { txSignature, paymentId } = paymentPayload;
+    const { txSignature, paymentId } = payment;
+    // Signed transactions are keyed by their message: the fee payer may not have signed yet
+    const replayKey = payment.replayKey || txSignature;
+    const format = negotiateFormat(req);
 
-    if (!txSignature || !paymentId) {
-      logger.warn('Missing txSignature or paymentId in payment payload');
-      return res.status(402).json({
-        error: 'invalid_payment_payload',
-        message: 'Payment payload must include txSignature and paymentId',
-      });
+    // Step 3: Atomically claim the invoice so concurrent retries cannot both redeem it
+    const claim = await paymentStore.claim(paymentId);
+    if (!claim.ok) {
+      return await sendClaimFailure(req, res, claim, paymentId);
     }
+    const invoice = claim.invoice;
 
-    // Step 3: Check payment invoice exists and is not already used
-    const invoice = await paymentStore.get(paymentId);
-    if (!invoice) {
-      logger.warn(`Payment ID not found: ${paymentId}`);
-      return sendPaymentRequired(res, 'Payment ID not found or expired');
-    }
+    // Every path that does not complete the invoice hands the claim (and any reserved signature) back
+    let completed = false;
+    let settlementPending = false;
+    let settlement;
+    let settleResult;
+    let payer;
+    try {
+      // The invoice only pays for the exact request it was priced for; deposit invoices pay for credits
+      if (invoice.kind === 'credit_deposit' || !invoice.requestHash || invoice.requestHash !== hashRequest(req.body)) {
+        logger.warn(`Payment ID ${paymentId} presented for a different request than it was issued for`);
+        return await sendPaymentRequired(
+          req,
+          res,
+          'This payment was issued for a different request; pay the new invoice for this request',
+          'payment_request_mismatch'
+        );
+      }
 
-    if (invoice.used) {
-      logger.warn(`Payment ID already used: ${paymentId}`);
-      return res.status(402).json({
-        error: 'payment_already_used',
-        message: 'This payment has already been used',
-      });
-    }
+      // Step 4: Reserve the transaction so one transfer can only pay one invoice
+      const signatureReserved = await paymentStore.consumeSignature(replayKey, paymentId);
+      if (!signatureReserved) {
+        logger.warn(`Transaction signature already used: ${txSignature}`);
+        return res.status(402).json({
+          error: 'signature_already_used',
+          message: 'This transaction signature has already been used to pay for a request',
+        });
+      }
 
-    // Step 4: Verify payment with facilitator or fallback
-    const verificationResult = await verifyPayment({
-      txSignature,
-      paymentId,
-      expectedAmount: invoice.amount,
-      mint: process.env.USDC_MINT,
-      recipient: process.env.PAYMENT_WALLET_ADDRESS,
-    });
+      // Spec payloads are checked against the requirements the invoice was issued with
+      const paymentRequirements = payment.paymentPayload
+        ? toSpecRequirement(describeInvoice(paymentId, invoice), { resource: resourceUrl(req) })
+        : undefined;
 
-    if (!verificationResult.valid) {
-      logger.warn(`Payment verification failed: ${txSignature}`, verificationResult);
-      return res.status(402).json({
-        error: 'payment_invalid',
-        message: 'Payment verification failed',
-        details: verificationResult.reason,
+      // Step 5: Verify payment with facilitator or fallback
+      const verificationResult = await verifyPayment({
+        txSignature,
+        paymentId,
+        expectedAmount: invoice.amount,
+        mint: process.env.USDC_MINT,
+        recipient: process.env.PAYMENT_WALLET_ADDRESS,
+        paymentPayload: payment.paymentPayload,
+        paymentRequirements,
       });
-    }
 
-    // Step 5: Mark payment as used (prevent replay attacks)
-    await paymentStore.markAsUsed(paymentId);
+      if (!verificationResult.valid) {
+        logger.warn(`Payment verification failed: ${txSignature}`, verificationResult);
+        return res.status(402).json({
+          error: 'payment_invalid',
+          message: 'Payment verification failed',
+          reason: verificationResult.reason,
+          details: verificationResult.message || verificationResult.reason,
+        });
+      }
+
+      settlement = {
+        txSignature,
+        paymentId,
+        paymentPayload: payment.paymentPayload,
+        paymentRequirements,
+      };
+
+      // A signed-transaction payload is not on chain yet: settle (submit) before serving data
+      if (payment.paymentPayload) {
+        settleResult = await settlePayment(settlement).catch((err) => ({ success: false, errorReason: err.message }));
+        // Submitted but not confirmed in time: the transaction may still land
+        if (settleResult.errorReason === 'confirmation_timeout') {
+          logger.warn(`Payment settlement unconfirmed: ${settleResult.transaction || txSignature}`);
+          settlementPending = true;
+          return res.status(402).json({
+            error: 'settlement_pending',
+            message: 'The payment transaction was submitted but is not confirmed yet; retry with the same payment',
+            details: settleResult.errorReason,
+          });
+        }
+        if (!settleResult.success) {
+          logger.warn(`Payment settlement failed: ${txSignature}`, settleResult);
+          return res.status(402).json({
+            error: 'settlement_failed',
+            message: 'Payment could not be settled',
+            details: settleResult.errorReason || 'Settlement failed',
+          });
+        }
+      }
+
+      // Step 6: Mark payment as used (prevent replay attacks)
+      payer = verificationResult.payer || settleResult?.payer;
+      await paymentStore.complete(paymentId, payer ? { payer } : {});
+      completed = true;
+    } finally {
+      if (!completed && settlementPending) {
+        // Keep the transaction reserved for this invoice: only a retry of it can redeem the invoice
+        await paymentStore.release(paymentId);
+      } else if (!completed) {
+        await rollbackClaim(replayKey, paymentId);
+      }
+    }
     logger.info(`Payment verified and marked as used: ${paymentId}, tx: ${txSignature}`);
 
-    // Step 6: Execute settle and fetch data in parallel (optimistic)
-    const [settleResult, rpcResult] = await Promise.all([
-      settlePayment({ txSignature, paymentId, amount: invoice.amount }).catch((err) => {
+    // Step 7: Execute settle and fetch data in parallel (optimistic; spec payloads are already settled)
+    // The quoted provider serves the request; others are only fallbacks, and never pricier than the quote
+    const rpcContext = {
+      routing: { ...req.routing, preferProviderId: invoice.providerId, maxPricing: invoice.providerPricing },
+    };
+    const [settleOutcome, rpcResult] = await Promise.all([
+      settleResult || settlePayment(settlement).catch((err) => {
         logger.error('Settlement failed (non-blocking):', err.message);
         return { error: err.message };
       }),
-      fetchFromOldFaithful(req.body),
+      executeRpc(req.body, rpcContext),
     ]);
+    await recordRevenue(
+      { amount: invoice.amount, providerIds: rpcContext.providerIds },
+      { paymentId, method: describeMethod(req.body) }
+    );
 
-    // Step 7: Return successful response with payment receipt
-    const paymentResponse = {
-      txSignature,
+    // Step 8: Return successful response with payment receipt
+    // The submitted transaction's signature, which the fee payer may only have added on settlement
+    res.setHeader('X-Payment-Response', encodePaymentResponse(format, {
+      txSignature: settleResult?.transaction || txSignature,
       paymentId,
-      settled: !settleResult.error,
-    };
-
-    res.setHeader(
-      'X-Payment-Response',
-      Buffer.from(JSON.stringify(paymentResponse)).toString('base64')
-    );
+      settled: !settleOutcome.error,
+      payer,
+      network: NETWORK,
+    }));
+    setProxyHeaders(res, rpcContext);
 
     return res.status(200).json(rpcResult);
   } catch (error) {
@@ -111,49 +193,259 @@ async function handleRpc(req, res) {
 }
 
 /**
- * Send 402 Payment Required response with x402 challenge
+ * Parse a legacy X-Payment header when the validation middleware did not run
+ * @param {string} xPaymentHeader - Base64 JSON `{txSignature, paymentId}`
+ * @returns {{txSignature?: string, paymentId?: string, format?: string, error?: Object}}
+ */
+function parseLegacyPayment(xPaymentHeader) {
+  let paymentPayload;
+  try {
+    paymentPayload = JSON.parse(Buffer.from(xPaymentHeader, 'base64').toString('utf8'));
+  } catch (parseError) {
+    logger.warn('Invalid X-Payment header format:', parseError.message);
+    return {
+      error: {
+        error: 'invalid_payment_header',
+        message: 'X-Payment header must be base64-encoded JSON',
+      },
+    };
+  }
+
+  const { txSignature, paymentId } = paymentPayload;
+
+  if (!txSignature || !paymentId) {
+    logger.warn('Missing txSignature or paymentId in payment payload');
+    return {
+      error: {
+        error: 'invalid_payment_payload',
+        message: 'Payment payload must include txSignature and paymentId',
+      },
+    };
+  }
+
+  return { txSignature, paymentId, format: PAYMENT_FORMATS.LEGACY };
+}
+
+/**
+ * Respond to a failed invoice claim
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
- * @param {string} [message]
- * @param {Object} [requestBody] - RPC request body for dynamic pricing
+ * @param {{reason: string}} claim - Result of paymentStore.claim
+ * @param {string} paymentId
  */
-async function sendPaymentRequired(res, message = 'Payment required', requestBody = null) {
-  const paymentId = uuidv4();
-  
-  // Calculate dynamic price based on RPC method
-  let amount;
-  if (requestBody && requestBody.method) {
-    amount = calculatePrice(requestBody.method, requestBody.params || []);
-  } else {
-    amount = parseFloat(process.env.PRICE_PER_QUERY || '0.001');
+async function sendClaimFailure(req, res, claim, paymentId) {
+  if (claim.reason === 'not_found') {
+    logger.warn(`Payment ID not found: ${paymentId}`);
+    return await sendPaymentRequired(req, res, 'Payment ID not found or expired');
   }
-  
-  const amountStr = amount.toFixed(6);
-
-  // Store invoice
-  await paymentStore.create(paymentId, {
-    amount: amountStr,
-    createdAt: Date.now(),
-    used: false,
-    method: requestBody?.method || 'unknown',
-  });
 
-  logger.info(`Payment challenge: ${paymentId}, method: ${requestBody?.method || 'unknown'}, amount: ${amountStr} USDC`);
+  if (claim.reason === 'expired') {
+    logger.warn(`Payment ID expired: ${paymentId}`);
+    return res.status(402).json({
+      error: 'payment_expired',
+      message: 'This payment request has expired, request a new one',
+      expiresAt: new Date(claim.invoice.expiresAt).toISOString(),
+    });
+  }
 
+  if (claim.reason === 'in_progress') {
+    logger.warn(`Payment ID already being verified: ${paymentId}`);
+    return res.status(409).json({
+      error: 'payment_in_progress',
+      message: 'This payment is already being verified by another request',
+    });
+  }
+
+  logger.warn(`Payment ID already used: ${paymentId}`);
   return res.status(402).json({
-    error: 'payment_required',
-    message,
-    accepts: [
-      {
-        asset: 'USDC',
-        chain: 'solana-devnet',
-        amount: amountStr,
-        paymentAddress: process.env.PAYMENT_WALLET_ADDRESS,
-        paymentId,
-        scheme: 'exact',
-        method: requestBody?.method || 'unknown',
-      },
-    ],
+    error: 'payment_already_used',
+    message: 'This payment has already been used',
   });
 }
 
+/**
+ * Undo an invoice claim and signature reservation after verification failed
+ * @param {string} replayKey - Reserved transaction signature or message hash
+ * @param {string} paymentId
+ */
+async function rollbackClaim(replayKey, paymentId) {
+  await paymentStore.releaseSignature(replayKey, paymentId);
+  await paymentStore.release(paymentId);
+}
+
+/**
+ * Serve a request paid from a prepaid credit balance
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} apiKey - Credit account API key (X-API-Key header)
+ */
+async function handleCreditRpc(req, res, apiKey) {
+  const [provider] = await quoteProviders(req.body, req.routing, 1);
+  const { amount, method } = await quoteRequest(req.body, provider);
+
+  const debit = await creditStore.debit(apiKey, toAtomicUnits(amount), { method });
+
+  if (!debit.ok) {
+    if (debit.reason === 'unknown_account') {
+      logger.warn('Credit request with unknown API key');
+      return res.status(401).json({
+        error: 'invalid_api_key',
+        message: 'API key does not match any credit account',
+      });
+    }
+
+    logger.warn(`Insufficient credits for ${method}: need ${amount.toFixed(6)} USDC`);
+    return res.status(402).json({
+      error: 'insufficient_credits',
+      message: 'Credit balance too low for this request, top up via POST /credits/deposit',
+      balance: fromAtomicUnits(debit.balance),
+      required: amount.toFixed(6),
+    });
+  }
+
+  logger.info(`Credits debited: ${amount.toFixed(6)} USDC for ${method}, remaining ${fromAtomicUnits(debit.balance)} USDC`);
+
+  const rpcContext = { routing: { ...req.routing, preferProviderId: provider?.id, maxPricing: provider?.pricing } };
+  let rpcResult;
+  try {
+    rpcResult = await executeRpc(req.body, rpcContext);
+  } catch (error) {
+    await creditStore.refund(apiKey, toAtomicUnits(amount), { method, reason: error.message });
+    throw error;
+  }
+
+  // Errors no provider or cache answered (every provider unavailable) are not charged
+  let balance = debit.balance;
+  if (!servedUpstream(rpcResult, rpcContext)) {
+    logger.warn(`No provider served ${method}, refunding ${amount.toFixed(6)} USDC of credits`);
+    balance = await creditStore.refund(apiKey, toAtomicUnits(amount), { method, reason: 'upstream_unavailable' });
+  } else {
+    await recordRevenue({ amount, providerIds: rpcContext.providerIds }, { method });
+  }
+
+  res.setHeader('X-Credits-Remaining', fromAtomicUnits(balance));
+  setProxyHeaders(res, rpcContext);
+  return res.status(200).json(rpcResult);
+}
+
+/**
+ * Whether a provider or the response cache answered the request, rather than the gateway
+ * reporting that every provider was unavailable
+ * @param {Object|Object[]} rpcResult - Result of executeRpc
+ * @param {Object} rpcContext - Context passed to executeRpc
+ * @returns {boolean}
+ */
+function servedUpstream(rpcResult, rpcContext) {
+  return rpcContext.cache === 'HIT'
+    || rpcContext.providerIds.some(Boolean)
+    || [].concat(rpcResult).some((response) => !response?.error);
+}
+
+/**
+ * Proxy a single RPC call or a batch. Batch calls are fetched in parallel and
+ * a failing call yields a per-id error entry instead of failing the batch.
+ * @param {Object|Object[]} body - Validated JSON-RPC request or batch
+ * @param {Object} [context] - `routing` options are applied to every call. Receives `cache`: the call's
+ *   cache status, or for a batch 'HIT' when every call was cached, 'BYPASS' when none was cacheable, else 'MISS';
+ *   `providerId`: the answering provider (comma-separated for a batch served by several);
+ *   and `providerIds`: the provider that served each call, null for calls no provider served
+ * @returns {Promise<Object|Object[]>} JSON-RPC response or array of responses
+ */
+async function executeRpc(body, context = {}) {
+  if (!Array.isArray(body)) {
+    const result = await fetchFromOldFaithful(body, context);
+    context.providerIds = [context.providerId || null];
+    return result;
+  }
+
+  const callContexts = body.map(() => ({ routing: context.routing }));
+  const results = await Promise.all(body.map((call, i) => fetchFromOldFaithful(call, callContexts[i]).catch((err) => {
+    logger.error(`Batch call ${call.method} (id: ${call.id}) failed: ${err.message}`);
+    return {
+      jsonrpc: '2.0',
+      id: call.id,
+      error: {
+        code: -32603,
+        message: 'Internal error',
+        data: err.message,
+      },
+    };
+  })));
+
+  const statuses = callContexts.map((ctx) => ctx.cache).filter(Boolean);
+  if (statuses.length > 0) {
+    if (statuses.every((status) => status === 'HIT')) {
+      context.cache = 'HIT';
+    } else if (statuses.every((status) => status === 'BYPASS')) {
+      context.cache = 'BYPASS';
+    } else {
+      context.cache = 'MISS';
+    }
+  }
+
+  context.providerIds = callContexts.map((ctx) => ctx.providerId || null);
+  const providerIds = [...new Set(context.providerIds.filter(Boolean))];
+  if (providerIds.length > 0) {
+    context.providerId = providerIds.join(',');
+  }
+
+  return results;
+}
+
+/**
+ * Expose the response cache status and answering provider of a proxied request
+ * @param {import('express').Response} res
+ * @param {{cache?: string, providerId?: string}} context - Context filled by executeRpc
+ */
+function setProxyHeaders(res, context) {
+  if (context.cache) {
+    res.setHeader('X-Cache', context.cache);
+  }
+  if (context.providerId) {
+    res.setHeader('X-Provider-Id', context.providerId);
+  }
+}
+
+/**
+ * Send 402 Payment Required response with an x402 challenge in the negotiated format.
+ * Each provider that may serve the request gets its own quote and invoice, pinned to that provider;
+ * the preferred provider comes first and up to MAX_PROVIDER_QUOTES (see quoteService) alternatives follow.
+ * @param {import('express').Request} req - Request whose body (single call or batch) is priced
+ * @param {import('express').Response} res
+ * @param {string} [message]
+ * @param {string} [error] - Error code for the response body
+ */
+async function sendPaymentRequired(req, res, message = 'Payment required', error = 'payment_required') {
+  const requestBody = req.body;
+  const method = describeMethod(requestBody);
+  const batchSize = Array.isArray(requestBody) ? requestBody.length : undefined;
+
+  // Calculate dynamic price based on RPC method(s) and each provider's pricing
+  const quotes = await quoteForProviders(requestBody, req.routing);
+
+  const requirements = await Promise.all(quotes.map(({ provider, amount }) => issueInvoice({
+    amount,
+    method,
+    data: {
+      requestHash: hashRequest(requestBody),
+      ...(batchSize && { methods: requestBody.map((call) => call.method) }),
+      ...(provider && { providerId: provider.id, providerPricing: provider.pricing }),
+    },
+    extra: {
+      ...(batchSize && { batchSize }),
+      ...(provider && { providerName: provider.name }),
+    },
+  })));
+
+  const offered = requirements.map((requirement) => `${requirement.providerId || 'any'} ${requirement.amount}`).join(', ');
+  logger.info(`Payment challenge: ${requirements[0].paymentId}, method: ${method}${batchSize ? ` (${batchSize} calls)` : ''}, quotes: ${offered} USDC`);
+
+  return res.status(402).json(buildChallenge(negotiateFormat(req), {
+    error,
+    message,
+    requirements,
+    resource: resourceUrl(req),
+  }));
+}
+
 module.exports = { handleRpc };
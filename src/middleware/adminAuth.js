@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { adminNonceStore } = require('../stores/nonceStore');
+
+// Scopes an admin key can be granted ('*' grants all of them)
+const ADMIN_SCOPES = {
+  PROVIDERS_WRITE: 'providers:write',
+  METRICS_READ: 'metrics:read',
+  PAYOUTS_READ: 'payouts:read',
+  PAYOUTS_WRITE: 'payouts:write',
+};
+
+// Maximum clock skew accepted for HMAC-signed requests
+const SIGNATURE_WINDOW_SECONDS = parseInt(process.env.ADMIN_SIGNATURE_WINDOW_SECONDS || '300', 10);
+
+// X-Admin-Nonce: a unique value per signed request
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Refuse plain X-Admin-Key authentication, accepting signed requests only
+const REQUIRE_SIGNATURE = process.env.ADMIN_REQUIRE_SIGNATURE === 'true';
+
+/**
+ * Parse ADMIN_API_KEYS: comma-separated `<id>:<secret>[:<scope>|<scope>...]` entries.
+ * An entry without scopes is granted every scope.
+ * @param {string} [value]
+ * @returns {Array<{id: string, secret: string, scopes: string[]}>}
+ */
+function parseAdminKeys(value = '') {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, secret, ...scopeParts] = entry.split(':');
+      // Scope names contain ':' themselves, so re-join what follows the secret
+      const scopes = scopeParts.join(':').split('|').filter(Boolean);
+      return { id, secret, scopes: scopes.length > 0 ? scopes : ['*'] };
+    })
+    .filter((key) => key.id && key.secret);
+}
+
+const ADMIN_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS);
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * HMAC-SHA256 signature of a request: hex digest of `${timestamp}.${nonce}.${METHOD}.${originalUrl}.${rawBody}`
+ * @param {string} secret - Admin key secret
+ * @param {Object} parts
+ * @param {string|number} parts.timestamp - Unix seconds
+ * @param {string} parts.nonce - Unique value of the request
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.url - Path and query string
+ * @param {string|Buffer} [parts.body] - Raw request body
+ * @returns {string}
+ */
+function signRequest(secret, { timestamp, nonce, method, url, body = '' }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${url}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Identify the admin key presenting a request. A signed request is accepted once: its nonce is
+ * remembered for as long as its timestamp is (both sides of the window).
+ * @param {import('express').Request} req
+ * @returns {Promise<{key?: Object, message?: string}>}
+ */
+async function authenticate(req) {
+  const signature = req.headers['x-admin-signature'];
+
+  if (signature) {
+    const key = ADMIN_KEYS.find((candidate) => candidate.id === req.headers['x-admin-key-id']);
+    const timestamp = parseInt(req.headers['x-admin-timestamp'], 10);
+    const nonce = req.headers['x-admin-nonce'];
+
+    if (!key) {
+      return { message: 'Unknown admin key id' };
+    }
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_WINDOW_SECONDS) {
+      return { message: `X-Admin-Timestamp must be within ${SIGNATURE_WINDOW_SECONDS}s of server time` };
+    }
+    if (!NONCE_PATTERN.test(nonce || '')) {
+      return { message: 'X-Admin-Nonce must be 16-128 characters of [A-Za-z0-9_-]' };
+    }
+
+    const expected = signRequest(key.secret, {
+      timestamp: req.headers['x-admin-timestamp'],
+      nonce,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody || '',
+    });
+    if (!safeEqual(signature, expected)) {
+      return { message: 'Invalid request signature' };
+    }
+    if (!(await adminNonceStore.use(`${key.id}:${nonce}`, SIGNATURE_WINDOW_SECONDS * 2))) {
+      return { message: 'X-Admin-Nonce was already used' };
+    }
+    return { key };
+  }
+
+  const presented = req.headers['x-admin-key'];
+  if (!presented) {
+    return { message: 'Admin credentials required (X-Admin-Key or signed request)' };
+  }
+  if (REQUIRE_SIGNATURE) {
+    return { message: 'Admin requests must be signed' };
+  }
+
+  const key = ADMIN_KEYS.find((candidate) => safeEqual(candidate.secret, presented));
+  return key ? { key } : { message: 'Invalid admin key' };
+}
+
+/**
+ * Middleware restricting a route to admin keys holding a scope
+ * @param {string} scope - One of ADMIN_SCOPES
+ * @returns {import('express').RequestHandler}
+ */
+function requireAdmin(scope) {
+  return async (req, res, next) => {
+    let authentication;
+    try {
+      authentication = await authenticate(req);
+    } catch (err) {
+      return next(err);
+    }
+    const { key, message } = authentication;
+
+    if (!key) {
+      logger.warn(`Admin authentication failed for ${req.method} ${req.originalUrl}: ${message}`);
+      return res.status(401).json({
+        error: 'unauthorized',
+        message,
+      });
+    }
+
+    if (!key.scopes.includes('*') && !key.scopes.includes(scope)) {
+      logger.warn(`Admin key ${key.id} lacks scope ${scope} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: 'forbidden',
+        message: `Admin key lacks the ${scope} scope`,
+      });
+    }
+
+    req.admin = { id: key.id, scopes: key.scopes };
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  requireAdmin,
+  parseAdminKeys,
+  signRequest,
+};
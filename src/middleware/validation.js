@@ -1,6 +1,27 @@
 const Joi = require('joi');
+const { PublicKey } = require('@solana/web3.js');
 const { validate: uuidValidate } = require('uuid');
 const logger = require('../utils/logger');
+const { X402_VERSION, PAYMENT_FORMATS, decodeSignedTransaction } = require('../services/x402Protocol');
+const { NETWORK } = require('../services/invoiceService');
+const { ROUTING_PREFERENCES, getProviders } = require('../services/providersService');
+
+// Maximum number of calls accepted in a single JSON-RPC batch
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '20', 10);
+
+/**
+ * Joi rule for a Solana wallet address (on-curve public key that can own token accounts)
+ */
+const walletAddress = Joi.string().custom((value, helpers) => {
+  try {
+    if (PublicKey.isOnCurve(new PublicKey(value).toBytes())) {
+      return value;
+    }
+  } catch {
+    // Not a base58 public key
+  }
+  return helpers.message('{{#label}} must be a Solana wallet address');
+});
 
 /**
  * Joi schema for JSON-RPC 2.0 request
@@ -20,7 +41,7 @@ const rpcRequestSchema = Joi.object({
 }).options({ stripUnknown: true });
 
 /**
- * Joi schema for payment payload
+ * Joi schema for payment payload (legacy format)
  */
 const paymentPayloadSchema = Joi.object({
   txSignature: Joi.string().min(80).max(100).required(),
@@ -28,9 +49,33 @@ const paymentPayloadSchema = Joi.object({
 }).unknown(false);
 
 /**
- * Middleware to validate RPC request body
+ * Joi schema for a legacy payload carrying a signed, unsent transfer instead of a signature
+ */
+const signedTransactionPayloadSchema = Joi.object({
+  transaction: Joi.string().base64().max(4096).required(),
+  paymentId: Joi.string().uuid().required(),
+}).unknown(false);
+
+/**
+ * Joi schema for an x402 spec payment payload (exact scheme, signed Solana transaction)
+ */
+const specPaymentPayloadSchema = Joi.object({
+  x402Version: Joi.number().valid(X402_VERSION).required(),
+  scheme: Joi.string().valid('exact').required(),
+  network: Joi.string().max(50).required(),
+  payload: Joi.object({
+    transaction: Joi.string().base64().max(4096).required(),
+  }).required(),
+}).unknown(false);
+
+/**
+ * Middleware to validate RPC request body (single call or JSON-RPC 2.0 batch)
  */
 function validateRpcRequest(req, res, next) {
+  if (Array.isArray(req.body)) {
+    return validateRpcBatch(req, res, next);
+  }
+
   const { error, value } = rpcRequestSchema.validate(req.body);
   
   if (error) {
@@ -51,6 +96,58 @@ function validateRpcRequest(req, res, next) {
   next();
 }
 
+/**
+ * Validate a JSON-RPC batch. Any invalid element rejects the whole batch
+ * (nothing is priced) and the response lists an error per offending id.
+ */
+function validateRpcBatch(req, res, next) {
+  const batch = req.body;
+
+  if (batch.length === 0 || batch.length > MAX_BATCH_SIZE) {
+    const reason = batch.length === 0
+      ? 'Batch must contain at least one request'
+      : `Batch must not contain more than ${MAX_BATCH_SIZE} requests`;
+    logger.warn(`Invalid RPC batch: ${reason}`);
+    return res.status(400).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32600,
+        message: 'Invalid Request',
+        data: reason,
+      },
+      id: null,
+    });
+  }
+
+  const values = [];
+  const errors = [];
+
+  batch.forEach((item) => {
+    const { error, value } = rpcRequestSchema.validate(item);
+    if (error) {
+      errors.push({
+        jsonrpc: '2.0',
+        error: {
+          code: -32600,
+          message: 'Invalid Request',
+          data: error.details[0].message,
+        },
+        id: item?.id ?? null,
+      });
+    } else {
+      values.push(value);
+    }
+  });
+
+  if (errors.length > 0) {
+    logger.warn(`Invalid RPC batch: ${errors.length} of ${batch.length} requests rejected`);
+    return res.status(400).json(errors);
+  }
+
+  req.body = values;
+  next();
+}
+
 /**
  * Middleware to validate and sanitize payment header
  */
@@ -66,6 +163,14 @@ function validatePaymentHeader(req, res, next) {
     // Decode and parse
     const decodedPayment = Buffer.from(xPaymentHeader, 'base64').toString('utf8');
     const paymentPayload = JSON.parse(decodedPayment);
+
+    if (paymentPayload && paymentPayload.x402Version !== undefined) {
+      return validateSpecPayment(paymentPayload, req, res, next);
+    }
+
+    if (paymentPayload && paymentPayload.transaction !== undefined) {
+      return validateSignedTransactionPayment(paymentPayload, req, res, next);
+    }
     
     // Validate structure
     const { error, value } = paymentPayloadSchema.validate(paymentPayload);
@@ -89,7 +194,7 @@ function validatePaymentHeader(req, res, next) {
     }
     
     // Store validated payment in request
-    req.validatedPayment = value;
+    req.validatedPayment = { ...value, format: PAYMENT_FORMATS.LEGACY };
     next();
   } catch (parseError) {
     logger.warn('Payment header parsing failed:', parseError.message);
@@ -100,6 +205,96 @@ function validatePaymentHeader(req, res, next) {
   }
 }
 
+/**
+ * Validate an x402 spec payload. The paymentId is recovered from the transaction's SPL Memo
+ * and the transaction's message hash is known before submission (replay key).
+ */
+function validateSpecPayment(paymentPayload, req, res, next) {
+  const { error, value } = specPaymentPayloadSchema.validate(paymentPayload);
+
+  if (error) {
+    logger.warn(`Invalid x402 payment payload: ${error.message}`);
+    return res.status(402).json({
+      error: 'invalid_payment_header',
+      message: 'Payment header validation failed',
+      details: error.details[0].message,
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = decodeSignedTransaction(value.payload.transaction);
+  } catch (decodeError) {
+    logger.warn(`Invalid signed transaction in x402 payload: ${decodeError.message}`);
+    return res.status(402).json({
+      error: 'invalid_payment_header',
+      message: 'X-Payment payload must contain a signed Solana transaction',
+      details: decodeError.message,
+    });
+  }
+
+  const paymentId = decoded.memos.find((memo) => uuidValidate(memo.trim()))?.trim();
+  if (!paymentId) {
+    logger.warn('x402 payment transaction carries no paymentId memo');
+    return res.status(402).json({
+      error: 'invalid_payment_id',
+      message: 'Payment transaction must include an SPL Memo with the paymentId',
+    });
+  }
+
+  req.validatedPayment = {
+    format: PAYMENT_FORMATS.SPEC,
+    txSignature: decoded.txSignature,
+    replayKey: decoded.messageHash,
+    paymentId,
+    paymentPayload: value,
+  };
+  next();
+}
+
+/**
+ * Validate a legacy `{ transaction, paymentId }` payload. The transaction is handled
+ * like a spec payload, while responses keep the legacy format.
+ */
+function validateSignedTransactionPayment(paymentPayload, req, res, next) {
+  const { error, value } = signedTransactionPayloadSchema.validate(paymentPayload);
+
+  if (error) {
+    logger.warn(`Invalid signed transaction payment header: ${error.message}`);
+    return res.status(402).json({
+      error: 'invalid_payment_header',
+      message: 'Payment header validation failed',
+      details: error.details[0].message,
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = decodeSignedTransaction(value.transaction);
+  } catch (decodeError) {
+    logger.warn(`Invalid signed transaction in payment header: ${decodeError.message}`);
+    return res.status(402).json({
+      error: 'invalid_payment_header',
+      message: 'X-Payment transaction must be a signed Solana transaction',
+      details: decodeError.message,
+    });
+  }
+
+  req.validatedPayment = {
+    format: PAYMENT_FORMATS.LEGACY,
+    txSignature: decoded.txSignature,
+    replayKey: decoded.messageHash,
+    paymentId: value.paymentId,
+    paymentPayload: {
+      x402Version: X402_VERSION,
+      scheme: 'exact',
+      network: NETWORK,
+      payload: { transaction: value.transaction },
+    },
+  };
+  next();
+}
+
 /**
  * Sanitize method name to prevent injection attacks
  */
@@ -119,6 +314,13 @@ const providerSchema = Joi.object({
   pricing: Joi.number().min(0).max(10).required(),
   reputation: Joi.number().min(0).max(100).default(50),
   features: Joi.array().items(Joi.string().max(50)).default([]),
+  // Slots the provider holds; omit `last` when it keeps up with the chain tip
+  slotRange: Joi.object({
+    first: Joi.number().integer().min(0).required(),
+    last: Joi.number().integer().min(Joi.ref('first')),
+  }),
+  // Wallet receiving USDC payouts of the provider's earnings
+  payoutAddress: walletAddress,
   metadata: Joi.object().default({}),
 }).options({ stripUnknown: true });
 
@@ -141,9 +343,101 @@ function validateProvider(req, res, next) {
   next();
 }
 
+/**
+ * Client routing headers: X-Provider-Preference, X-Provider-Id, X-Require-Features (comma-separated)
+ */
+const routingHeadersSchema = Joi.object({
+  preference: Joi.string().lowercase().valid(...ROUTING_PREFERENCES),
+  providerId: Joi.string().max(50).pattern(/^[a-z0-9-]+$/),
+  requireFeatures: Joi.array().items(Joi.string().max(50)).max(10),
+});
+
+/**
+ * Middleware to validate routing headers into req.routing.
+ * A pinned provider must be enabled and some enabled provider must have every required feature,
+ * so clients are never charged for a request that cannot be routed.
+ */
+async function validateRoutingHeaders(req, res, next) {
+  const featuresHeader = req.headers['x-require-features'];
+  const { error, value } = routingHeadersSchema.validate({
+    preference: req.headers['x-provider-preference'],
+    providerId: req.headers['x-provider-id'],
+    requireFeatures: featuresHeader
+      ? featuresHeader.split(',').map((feature) => feature.trim()).filter(Boolean)
+      : undefined,
+  });
+
+  if (error) {
+    logger.warn(`Invalid routing headers: ${error.message}`);
+    return res.status(400).json({
+      error: 'invalid_routing_header',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const enabled = (await getProviders()).filter((provider) => provider.enabled);
+
+    if (value.providerId && !enabled.some((provider) => provider.id === value.providerId)) {
+      return res.status(400).json({
+        error: 'unknown_provider',
+        message: `Provider ${value.providerId} is not registered or is disabled`,
+      });
+    }
+
+    const features = value.requireFeatures || [];
+    const matching = enabled.filter((provider) => (!value.providerId || provider.id === value.providerId)
+      && features.every((feature) => provider.features.includes(feature)));
+    if (matching.length === 0) {
+      return res.status(400).json({
+        error: 'no_matching_provider',
+        message: `No enabled provider offers: ${features.join(', ')}`,
+      });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.routing = value;
+  next();
+}
+
+/**
+ * Validate credit deposit request (amount is only needed to issue the invoice)
+ */
+const creditDepositSchema = Joi.object({
+  amount: Joi.number()
+    .min(parseFloat(process.env.CREDITS_MIN_DEPOSIT || '0.01'))
+    .max(1000)
+    .precision(6),
+}).options({ stripUnknown: true });
+
+/**
+ * Middleware to validate credit deposit data
+ */
+function validateCreditDeposit(req, res, next) {
+  const schema = req.headers['x-payment']
+    ? creditDepositSchema
+    : creditDepositSchema.fork(['amount'], (field) => field.required());
+  const { error, value } = schema.validate(req.body || {});
+
+  if (error) {
+    logger.warn(`Invalid credit deposit: ${error.message}`);
+    return res.status(400).json({
+      error: 'validation_error',
+      message: error.details[0].message,
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
 module.exports = {
   validateRpcRequest,
   validatePaymentHeader,
   validateProvider,
+  validateRoutingHeaders,
+  validateCreditDeposit,
   sanitizeMethodName,
 };
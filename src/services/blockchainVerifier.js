@@ -1,5 +1,12 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const logger = require('../utils/logger');
+const { toAtomicUnits } = require('../utils/pricing');
+
+// SPL Memo program IDs (v2 and legacy v1)
+const MEMO_PROGRAM_IDS = [
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo',
+];
 
 // Initialize Solana connection
 const connection = new Connection(
@@ -7,18 +14,76 @@ const connection = new Connection(
   'confirmed'
 );
 
+/**
+ * Extract memo strings from the top-level SPL Memo instructions of a transaction
+ * @param {Object} tx - Transaction response from getTransaction
+ * @returns {string[]} - UTF-8 decoded memos
+ */
+function extractMemos(tx) {
+  const { message } = tx.transaction;
+  const instructions = message.compiledInstructions || [];
+
+  if (instructions.length === 0 || typeof message.getAccountKeys !== 'function') {
+    return [];
+  }
+
+  const accountKeys = message.getAccountKeys({
+    accountKeysFromLookups: tx.meta?.loadedAddresses,
+  });
+
+  return instructions
+    .filter((ix) => MEMO_PROGRAM_IDS.includes(accountKeys.get(ix.programIdIndex)?.toBase58()))
+    .map((ix) => Buffer.from(ix.data).toString('utf8'));
+}
+
+/**
+ * Structured verification failure reasons
+ */
+const REASONS = {
+  NOT_FOUND: 'not_found',
+  TX_FAILED: 'tx_failed',
+  NO_TOKEN_TRANSFER: 'no_token_transfer',
+  WRONG_MINT: 'wrong_mint',
+  WRONG_RECIPIENT: 'wrong_recipient',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  MEMO_MISMATCH: 'memo_mismatch',
+  VERIFICATION_ERROR: 'verification_error',
+};
+
+// Strict mode requires the credited token account to be owned by the recipient
+const STRICT_VERIFICATION = process.env.STRICT_PAYMENT_VERIFICATION !== 'false';
+
+/**
+ * Build a failed verification result
+ * @param {string} reason - One of REASONS
+ * @param {string} message - Human readable explanation
+ * @returns {{valid: false, reason: string, message: string}}
+ */
+function fail(reason, message) {
+  return { valid: false, reason, message };
+}
+
 /**
  * Fallback on-chain payment verification
  * Directly checks the Solana blockchain for a valid USDC transfer
+ * carrying the paymentId in an SPL Memo instruction
  * @param {Object} params
  * @param {string} params.txSignature - Solana transaction signature
  * @param {string} params.paymentId - Payment nonce/ID
  * @param {string} params.expectedAmount - Expected USDC amount (e.g., "0.001")
  * @param {string} params.mint - USDC mint address
  * @param {string} params.recipient - Payment recipient wallet address
- * @returns {Promise<{valid: boolean, reason?: string}>}
+ * @param {boolean} [params.strict] - Require the credited account to belong to the recipient
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string, payer?: string}>}
  */
-async function verifyPaymentOnChain({ txSignature, paymentId, expectedAmount, mint, recipient }) {
+async function verifyPaymentOnChain({
+  txSignature,
+  paymentId,
+  expectedAmount,
+  mint,
+  recipient,
+  strict = STRICT_VERIFICATION,
+}) {
   try {
     logger.info(`Fetching transaction from chain: ${txSignature}`);
 
@@ -29,11 +94,11 @@ async function verifyPaymentOnChain({ txSignature, paymentId, expectedAmount, mi
     });
 
     if (!tx) {
-      return { valid: false, reason: 'Transaction not found on chain' };
+      return fail(REASONS.NOT_FOUND, 'Transaction not found on chain');
     }
 
     if (tx.meta?.err) {
-      return { valid: false, reason: 'Transaction failed on chain' };
+      return fail(REASONS.TX_FAILED, 'Transaction failed on chain');
     }
 
     // Parse token transfers from the transaction
@@ -41,105 +106,113 @@ async function verifyPaymentOnChain({ txSignature, paymentId, expectedAmount, mi
 
     if (!preTokenBalances || !postTokenBalances || preTokenBalances.length === 0 || postTokenBalances.length === 0) {
       logger.warn('No token balance changes found - possibly a SOL transfer instead of SPL token');
-      return { valid: false, reason: 'No token balance changes found (expected USDC SPL token transfer)' };
+      return fail(REASONS.NO_TOKEN_TRANSFER, 'No token balance changes found (expected USDC SPL token transfer)');
     }
 
-    // Expected amount in lamports (USDC has 6 decimals)
-    const expectedLamports = parseFloat(expectedAmount) * 1_000_000;
-    const recipientPubkey = new PublicKey(recipient);
-    const mintPubkey = new PublicKey(mint);
+    // Expected amount in base units (USDC has 6 decimals), compared exactly
+    const expectedLamports = BigInt(toAtomicUnits(expectedAmount));
+    const recipientAddress = new PublicKey(recipient).toBase58();
+    const mintAddress = new PublicKey(mint).toBase58();
 
-    // Find token account that received USDC
-    let validTransfer = false;
-    let wrongMintDetected = false;
-    let actualMint = null;
-    
     logger.info(`Looking for USDC transfer: expected ${expectedLamports} lamports (${expectedAmount} USDC)`);
-    logger.info(`Recipient: ${recipientPubkey.toBase58()}`);
-    logger.info(`Expected USDC Mint: ${mintPubkey.toBase58()}`);
-    logger.info(`Pre-balances: ${preTokenBalances.length}, Post-balances: ${postTokenBalances.length}`);
-
-    // Get all accounts from the transaction to find the recipient's token account
-    const accountKeys = tx.transaction.message.accountKeys || tx.transaction.message.staticAccountKeys || [];
-    logger.info(`Transaction has ${accountKeys.length} account keys`);
-    
-    // Log all token balances for debugging
-    logger.info('Pre-token balances:', JSON.stringify(preTokenBalances, null, 2));
-    logger.info('Post-token balances:', JSON.stringify(postTokenBalances, null, 2));
-    
-    for (let i = 0; i < postTokenBalances.length; i++) {
-      const post = postTokenBalances[i];
+    logger.info(`Recipient: ${recipientAddress} (strict: ${strict})`);
+    logger.info(`Expected USDC Mint: ${mintAddress}`);
+    logger.debug('Pre-token balances:', JSON.stringify(preTokenBalances, null, 2));
+    logger.debug('Post-token balances:', JSON.stringify(postTokenBalances, null, 2));
+
+    let credited = null;
+    let payer;
+    let wrongMint = null;
+    let wrongRecipient = null;
+    let amountMismatch = null;
+
+    for (const post of postTokenBalances) {
       const pre = preTokenBalances.find((p) => p.accountIndex === post.accountIndex);
 
-      if (!pre || !post) {
-        logger.warn(`Missing pre or post balance at index ${i}`);
+      if (!pre) {
+        logger.warn(`Missing pre balance for account index ${post.accountIndex}`);
         continue;
       }
 
+      const change = BigInt(post.uiTokenAmount.amount) - BigInt(pre.uiTokenAmount.amount);
+
       // Check if this is the correct mint
-      if (post.mint !== mintPubkey.toBase58()) {
-        wrongMintDetected = true;
-        actualMint = post.mint;
-        logger.warn(`❌ WRONG TOKEN MINT! Transaction used ${post.mint}, but expected ${mintPubkey.toBase58()}`);
-        logger.warn(`   This means the UI is sending the wrong token. Check USDC_MINT configuration.`);
+      if (post.mint !== mintAddress) {
+        if (change > 0n) {
+          wrongMint = post.mint;
+          logger.warn(`Wrong token mint: transaction used ${post.mint}, but expected ${mintAddress}`);
+        }
         continue;
       }
 
-      // Calculate the change
-      const preAmount = parseFloat(pre.uiTokenAmount.amount);
-      const postAmount = parseFloat(post.uiTokenAmount.amount);
-      const change = postAmount - preAmount;
-
-      logger.info(`Token balance change at index ${post.accountIndex}: ${change} lamports (${change / 1_000_000} USDC), owner: ${post.owner}`);
-
-      // Check if the recipient received USDC (positive change means they received)
-      // The owner of the token account should be the recipient wallet
-      if (change > 0) {
-        // Check if owner matches recipient OR if the amount matches (sometimes owner field may differ)
-        const ownerMatches = post.owner === recipientPubkey.toBase58();
-        const amountMatches = Math.abs(change - expectedLamports) < 100; // Allow small rounding differences
-        
-        logger.info(`Owner matches: ${ownerMatches}, Amount matches: ${amountMatches}`);
-        
-        if (amountMatches) {
-          // If amount matches, accept the payment even if owner field differs
-          // This is more lenient and focuses on the actual token transfer
-          validTransfer = true;
-          logger.info(`✓ Valid USDC transfer found: ${change / 1_000_000} USDC transferred (amount verified)`);
-          break;
-        } else {
-          logger.warn(`Amount mismatch: expected ${expectedLamports}, got ${change}`);
-        }
+      logger.info(`Token balance change at index ${post.accountIndex}: ${change} lamports (${Number(change) / 1_000_000} USDC), owner: ${post.owner}`);
+
+      // The debited USDC account identifies the payer
+      if (change < 0n) {
+        payer = payer || post.owner;
+        continue;
+      }
+
+      if (change === 0n || credited) {
+        continue;
+      }
+
+      const amountMatches = change === expectedLamports;
+      const ownerMatches = post.owner === recipientAddress;
+
+      if (!amountMatches) {
+        amountMismatch = Number(change);
+      } else if (strict && !ownerMatches) {
+        wrongRecipient = post.owner || 'unknown';
+      } else {
+        credited = post;
       }
     }
 
-    if (!validTransfer) {
-      if (wrongMintDetected) {
-        return {
-          valid: false,
-          reason: `Wrong token mint: transaction used ${actualMint}, but expected ${mintPubkey.toBase58()} (USDC). Check USDC_MINT configuration in UI.`,
-        };
+    if (!credited) {
+      if (wrongRecipient) {
+        return fail(
+          REASONS.WRONG_RECIPIENT,
+          `Transfer of ${expectedAmount} USDC credited an account owned by ${wrongRecipient}, not ${recipientAddress}`
+        );
+      }
+      if (amountMismatch !== null) {
+        return fail(
+          REASONS.AMOUNT_MISMATCH,
+          `Transferred ${amountMismatch / 1_000_000} USDC, expected ${expectedAmount} USDC`
+        );
       }
-      return {
-        valid: false,
-        reason: `No valid USDC transfer of ${expectedAmount} found to recipient`,
-      };
+      if (wrongMint) {
+        return fail(
+          REASONS.WRONG_MINT,
+          `Wrong token mint: transaction used ${wrongMint}, but expected ${mintAddress} (USDC)`
+        );
+      }
+      return fail(REASONS.AMOUNT_MISMATCH, `No valid USDC transfer of ${expectedAmount} found to recipient`);
+    }
+
+    logger.info(`Valid USDC transfer found: ${expectedAmount} USDC to ${credited.owner || 'unknown owner'}`);
+
+    // Bind the transfer to this invoice: the memo must carry the paymentId,
+    // otherwise any equal-amount transfer could be redeemed against any invoice
+    const memos = extractMemos(tx);
+    if (!memos.some((memo) => memo.includes(paymentId))) {
+      logger.warn(`Payment memo missing or mismatched for tx ${txSignature} (memos: ${JSON.stringify(memos)})`);
+      return fail(REASONS.MEMO_MISMATCH, `Transaction memo does not contain paymentId ${paymentId}`);
     }
 
-    // TODO: Verify paymentId is in transaction memo
-    // For now, we assume the payment is valid if amount and recipient match
     logger.info(`On-chain verification successful for tx: ${txSignature}`);
 
-    return { valid: true };
+    return { valid: true, ...(payer && { payer }) };
   } catch (error) {
     logger.error('On-chain verification error:', error);
-    return {
-      valid: false,
-      reason: `On-chain verification failed: ${error.message}`,
-    };
+    return fail(REASONS.VERIFICATION_ERROR, `On-chain verification failed: ${error.message}`);
   }
 }
 
 module.exports = {
   verifyPaymentOnChain,
+  extractMemos,
+  MEMO_PROGRAM_IDS,
+  REASONS,
 };
@@ -0,0 +1,64 @@
+const { v4: uuidv4 } = require('uuid');
+const { paymentStore } = require('../stores/paymentStore');
+const logger = require('../utils/logger');
+const { toAtomicUnits, USDC_DECIMALS } = require('../utils/pricing');
+
+const NETWORK = process.env.SOLANA_NETWORK || 'solana-devnet';
+
+/**
+ * Create and store a payment invoice, returning its x402 `accepts` entry
+ * @param {Object} params
+ * @param {number} params.amount - Price in USDC
+ * @param {string} params.method - What is being paid for (RPC method, 'batch', 'credits')
+ * @param {Object} [params.data] - Extra fields persisted on the invoice (`providerId` pins the serving provider)
+ * @param {Object} [params.extra] - Extra fields exposed in the accepts entry
+ * @returns {Promise<Object>} x402 accepts entry (includes paymentId)
+ */
+async function issueInvoice({ amount, method, data = {}, extra = {} }) {
+  const paymentId = uuidv4();
+  const amountStr = amount.toFixed(6);
+
+  const invoice = await paymentStore.create(paymentId, {
+    ...data,
+    amount: amountStr,
+    createdAt: Date.now(),
+    used: false,
+    method,
+  });
+
+  logger.debug(`Invoice issued: ${paymentId}, method: ${method}, amount: ${amountStr} USDC`);
+
+  return describeInvoice(paymentId, invoice, extra);
+}
+
+/**
+ * Build the x402 `accepts` entry for a stored invoice
+ * @param {string} paymentId
+ * @param {Object} invoice - Invoice as stored in the payment store
+ * @param {Object} [extra] - Extra fields exposed in the accepts entry
+ * @returns {Object} x402 accepts entry
+ */
+function describeInvoice(paymentId, invoice, extra = {}) {
+  return {
+    asset: 'USDC',
+    chain: NETWORK,
+    network: NETWORK,
+    mint: process.env.USDC_MINT,
+    amount: invoice.amount,
+    amountAtomic: String(toAtomicUnits(invoice.amount)),
+    decimals: USDC_DECIMALS,
+    paymentAddress: process.env.PAYMENT_WALLET_ADDRESS,
+    paymentId,
+    scheme: 'exact',
+    method: invoice.method,
+    ...(invoice.providerId && { providerId: invoice.providerId }),
+    expiresAt: new Date(invoice.expiresAt).toISOString(),
+    ...extra,
+  };
+}
+
+module.exports = {
+  issueInvoice,
+  describeInvoice,
+  NETWORK,
+};
@@ -1,20 +1,50 @@
 const { fetchWithBestProvider } = require('./providersService');
+const { responseCache, ResponseCache } = require('../stores/responseCache');
 const logger = require('../utils/logger');
 
 /**
- * Proxy JSON-RPC requests to Old Faithful (now with provider marketplace)
+ * Proxy JSON-RPC requests to Old Faithful (now with provider marketplace).
+ * Finalized historical responses are served from the response cache when possible.
  * @param {Object} body - JSON-RPC request body
+ * @param {Object} [context] - `routing` holds client routing options (preference, providerId, preferProviderId, maxPricing, requireFeatures);
+ *   filled with request metadata: `cache` is 'HIT', 'MISS' or 'BYPASS', `providerId` the provider that answered
  * @returns {Promise<Object>} JSON-RPC response
  */
-async function fetchFromOldFaithful(body) {
+async function fetchFromOldFaithful(body, context = {}) {
   logger.info(`Proxying RPC request: ${body.method}`);
   logger.debug('RPC request:', body);
 
+  const routing = context.routing || {};
+
+  if (!ResponseCache.isCacheable(body)) {
+    context.cache = 'BYPASS';
+    return fetchWithBestProvider(body, routing, context);
+  }
+
+  const cached = await responseCache.get(body);
+  if (cached) {
+    logger.info(`Cache hit: ${body.method}`);
+    context.cache = 'HIT';
+    return cached;
+  }
+
   // Use provider marketplace for intelligent routing
-  return fetchWithBestProvider(body);
+  const response = await fetchWithBestProvider(body, routing, context);
+  context.cache = 'MISS';
+  await responseCache.set(body, response);
+  return response;
 }
 
+/**
+ * Whether a request would currently be answered from the response cache
+ * @param {Object} body - JSON-RPC request body
+ * @returns {Promise<boolean>}
+ */
+async function isCached(body) {
+  return ResponseCache.isCacheable(body) && responseCache.has(body);
+}
 
 module.exports = {
   fetchFromOldFaithful,
+  isCached,
 };
@@ -1,17 +1,21 @@
 const FacilitatorClient = require('../clients/facilitatorClient');
 const { verifyPaymentOnChain } = require('./blockchainVerifier');
+const {
+  validateTransferInstructions,
+  submitSignedTransaction,
+  transactionStatus,
+  transactionSignature,
+  transactionFromPayload,
+} = require('./transactionSubmitter');
+const { paymentSubmitter } = require('./x402Protocol');
+const { earningsLedger } = require('../stores/earningsLedger');
+const { toAtomicUnits, fromAtomicUnits } = require('../utils/pricing');
 const logger = require('../utils/logger');
 
 // Revenue sharing configuration
 const FEE_SPLIT_GATEWAY = parseFloat(process.env.FEE_SPLIT_GATEWAY || '30');
 const FEE_SPLIT_DATA_PROVIDER = parseFloat(process.env.FEE_SPLIT_DATA_PROVIDER || '70');
 
-// Revenue tracking
-let totalRevenue = 0;
-let gatewayRevenue = 0;
-let dataProviderRevenue = 0;
-let transactionCount = 0;
-
 const facilitator = new FacilitatorClient({
   verifyUrl: process.env.FACILITATOR_VERIFY_URL,
   settleUrl: process.env.FACILITATOR_SETTLE_URL,
@@ -25,14 +29,46 @@ const facilitator = new FacilitatorClient({
  * @param {string} params.expectedAmount - Expected USDC amount (e.g., "0.001")
  * @param {string} params.mint - USDC mint address
  * @param {string} params.recipient - Payment recipient wallet address
- * @returns {Promise<{valid: boolean, reason?: string, raw?: any}>}
+ * @param {Object} [params.paymentPayload] - x402 spec payload (signed transaction, not yet on chain)
+ * @param {Object} [params.paymentRequirements] - x402 PaymentRequirements the payload answers
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string, payer?: string, raw?: any}>}
  */
-async function verifyPayment({ txSignature, paymentId, expectedAmount, mint, recipient }) {
+async function verifyPayment({
+  txSignature,
+  paymentId,
+  expectedAmount,
+  mint,
+  recipient,
+  paymentPayload,
+  paymentRequirements,
+}) {
   try {
+    // Signed-transaction payloads are not on chain yet: check their instructions instead.
+    // The transfer is always checked locally, so a facilitator never accepts it for another invoice.
+    if (paymentPayload) {
+      logger.info(`Validating signed payment transaction: ${txSignature}`);
+      const local = validateTransferInstructions(transactionFromPayload(paymentPayload), {
+        paymentId,
+        amountAtomic: toAtomicUnits(expectedAmount),
+        mint,
+        recipient,
+      });
+      if (!local.valid || paymentSubmitter() === 'gateway') {
+        return local;
+      }
+
+      logger.info(`Verifying x402 payment via facilitator: ${txSignature}`);
+      const result = await facilitator.verifySignedPayment({ paymentPayload, paymentRequirements });
+      return result.valid
+        ? { ...result, payer: result.payer || local.payer }
+        : { ...result, message: result.reason, reason: 'facilitator_rejected' };
+    }
+
     // Try facilitator verification first
+    let facilitatorResult = null;
     if (process.env.FACILITATOR_VERIFY_URL) {
       logger.info(`Verifying payment via facilitator: ${txSignature}`);
-      const result = await facilitator.verifyPayment({
+      facilitatorResult = await facilitator.verifyPayment({
         txSignature,
         paymentId,
         expectedAmount,
@@ -40,15 +76,15 @@ async function verifyPayment({ txSignature, paymentId, expectedAmount, mint, rec
         recipient,
       });
 
-      if (result.valid) {
+      if (facilitatorResult.valid) {
         logger.info(`Payment verified via facilitator: ${txSignature}`);
-        return result;
+      } else {
+        logger.warn(`Facilitator verification failed, trying on-chain fallback: ${facilitatorResult.reason}`);
       }
-
-      logger.warn(`Facilitator verification failed, trying on-chain fallback: ${result.reason}`);
     }
 
-    // Fallback to on-chain verification
+    // On-chain checks always run: the memo must bind the transfer to this invoice and
+    // the recipient must own the credited account, whatever the facilitator answered
     logger.info(`Verifying payment on-chain: ${txSignature}`);
     const onChainResult = await verifyPaymentOnChain({
       txSignature,
@@ -58,48 +94,58 @@ async function verifyPayment({ txSignature, paymentId, expectedAmount, mint, rec
       recipient,
     });
 
-    return onChainResult;
+    if (!onChainResult.valid) {
+      if (facilitatorResult?.valid) {
+        logger.warn(`Facilitator accepted ${txSignature} but on-chain checks failed: ${onChainResult.reason}`);
+      }
+      return onChainResult;
+    }
+
+    return facilitatorResult?.valid ? { ...facilitatorResult, ...onChainResult } : onChainResult;
   } catch (error) {
     logger.error('Payment verification error:', error);
     return {
       valid: false,
-      reason: `Verification error: ${error.message}`,
+      reason: 'verification_error',
+      message: `Verification error: ${error.message}`,
     };
   }
 }
 
 /**
- * Settle payment with facilitator and track revenue splits
+ * Settle payment with facilitator
  * @param {Object} params
  * @param {string} params.txSignature - Solana transaction signature
  * @param {string} params.paymentId - Payment nonce/ID
- * @param {string} [params.amount] - Payment amount for revenue tracking
+ * @param {Object} [params.paymentPayload] - Signed-transaction payload; settling submits it and waits for confirmation
+ * @param {Object} [params.paymentRequirements] - x402 PaymentRequirements the payload answers
  * @returns {Promise<any>}
  */
-async function settlePayment({ txSignature, paymentId, amount = null }) {
+async function settlePayment({ txSignature, paymentId, paymentPayload, paymentRequirements }) {
   try {
-    // Track revenue split
-    if (amount) {
-      const paymentAmount = parseFloat(amount);
-      const gatewayShare = paymentAmount * (FEE_SPLIT_GATEWAY / 100);
-      const providerShare = paymentAmount * (FEE_SPLIT_DATA_PROVIDER / 100);
-      
-      totalRevenue += paymentAmount;
-      gatewayRevenue += gatewayShare;
-      dataProviderRevenue += providerShare;
-      transactionCount++;
-      
-      logger.info(`Fee split: Gateway ${gatewayShare.toFixed(6)} USDC (${FEE_SPLIT_GATEWAY}%), Provider ${providerShare.toFixed(6)} USDC (${FEE_SPLIT_DATA_PROVIDER}%)`);
-      logger.info(`Total revenue: ${totalRevenue.toFixed(6)} USDC, Gateway ${gatewayRevenue.toFixed(6)}, Provider ${dataProviderRevenue.toFixed(6)}, Tx: ${transactionCount}`);
+    if (paymentPayload && paymentSubmitter() === 'gateway') {
+      const transaction = transactionFromPayload(paymentPayload);
+      // A retry after a confirmation timeout: the transaction may have landed since
+      const signature = transactionSignature(transaction);
+      if (await transactionStatus(signature) === 'confirmed') {
+        logger.info(`Payment transaction already confirmed: ${signature}`);
+        return { success: true, transaction: signature, network: paymentPayload.network };
+      }
+
+      logger.info(`Submitting payment transaction: ${txSignature}`);
+      const result = await submitSignedTransaction(transaction);
+      return { ...result, network: paymentPayload.network };
     }
-    
+
     if (!process.env.FACILITATOR_SETTLE_URL) {
       logger.info('No facilitator settle URL configured, skipping settlement');
       return { settled: false, reason: 'no_facilitator' };
     }
 
     logger.info(`Settling payment via facilitator: ${txSignature}`);
-    const result = await facilitator.settlePayment({ txSignature, paymentId });
+    const result = paymentPayload
+      ? await facilitator.settleSignedPayment({ paymentPayload, paymentRequirements })
+      : await facilitator.settlePayment({ txSignature, paymentId });
     logger.info(`Payment settled: ${txSignature}`);
     return result;
   } catch (error) {
@@ -108,16 +154,58 @@ async function settlePayment({ txSignature, paymentId, amount = null }) {
   }
 }
 
+/**
+ * Record the revenue of a served request in the earnings ledger.
+ * The data provider share is split evenly across the calls a provider served; the share of
+ * calls no provider served (cache hits, failures) and rounding remainders go to the gateway.
+ * @param {Object} params
+ * @param {string|number} params.amount - Amount paid in USDC
+ * @param {Array<string|null>} [params.providerIds] - Provider that served each call, null when none did
+ * @param {Object} [details] - Extra fields recorded in the provider history (paymentId, method)
+ * @returns {Promise<void>}
+ */
+async function recordRevenue({ amount, providerIds = [] }, details = {}) {
+  const total = toAtomicUnits(amount);
+  if (!total) {
+    return;
+  }
+
+  const pool = Math.floor(total * (FEE_SPLIT_DATA_PROVIDER / 100));
+  const perCall = providerIds.length > 0 ? Math.floor(pool / providerIds.length) : 0;
+  const shares = new Map();
+  providerIds.filter(Boolean).forEach((providerId) => {
+    const share = shares.get(providerId) || { providerId, amount: 0, requests: 0 };
+    share.amount += perCall;
+    share.requests += 1;
+    shares.set(providerId, share);
+  });
+
+  const providerShares = Array.from(shares.values());
+  const attributed = providerShares.reduce((sum, share) => sum + share.amount, 0);
+  const gatewayShare = total - attributed;
+
+  try {
+    await earningsLedger.accrue({ amount: total, gatewayShare, providerShares }, details);
+  } catch (error) {
+    logger.error('Failed to record revenue:', error);
+    return;
+  }
+
+  const split = providerShares.map((share) => `${share.providerId} ${fromAtomicUnits(share.amount)}`).join(', ');
+  logger.info(`Fee split: Gateway ${fromAtomicUnits(gatewayShare)} USDC, Providers ${split || 'none'} USDC`);
+}
+
 /**
  * Get revenue metrics
- * @returns {Object} - Revenue statistics
+ * @returns {Promise<Object>} - Revenue statistics
  */
-function getRevenueMetrics() {
+async function getRevenueMetrics() {
+  const totals = await earningsLedger.getTotals();
   return {
-    totalRevenue: totalRevenue.toFixed(6),
-    gatewayRevenue: gatewayRevenue.toFixed(6),
-    dataProviderRevenue: dataProviderRevenue.toFixed(6),
-    transactionCount,
+    totalRevenue: fromAtomicUnits(totals.total),
+    gatewayRevenue: fromAtomicUnits(totals.gateway),
+    dataProviderRevenue: fromAtomicUnits(totals.providers),
+    transactionCount: totals.transactions,
     feeSplit: {
       gatewayPercent: FEE_SPLIT_GATEWAY,
       dataProviderPercent: FEE_SPLIT_DATA_PROVIDER,
@@ -128,5 +216,6 @@ function getRevenueMetrics() {
 module.exports = {
   verifyPayment,
   settlePayment,
+  recordRevenue,
   getRevenueMetrics,
 };
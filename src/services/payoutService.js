@@ -0,0 +1,374 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const {
+  Connection,
+  Keypair,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+const { MEMO_PROGRAM_IDS } = require('./blockchainVerifier');
+const { submitSignedTransaction } = require('./transactionSubmitter');
+const { providerRegistry } = require('./providersService');
+const { earningsLedger, PAYOUT_STATUSES } = require('../stores/earningsLedger');
+const { toAtomicUnits, fromAtomicUnits, USDC_DECIMALS } = require('../utils/pricing');
+const logger = require('../utils/logger');
+
+const DEFAULT_OPTIONS = {
+  intervalMs: parseInt(process.env.PAYOUT_INTERVAL_MS || String(24 * 60 * 60 * 1000), 10),
+  // Smallest balance worth a transfer (USDC)
+  threshold: parseFloat(process.env.PAYOUT_THRESHOLD || '1'),
+  // Providers paid by one transaction (each adds an ATA creation and a transfer instruction)
+  batchSize: parseInt(process.env.PAYOUT_BATCH_SIZE || '5', 10),
+  // How long one instance holds the payout lock unless its run finishes first
+  lockTtlMs: parseInt(process.env.PAYOUT_LOCK_TTL_MS || String(15 * 60 * 1000), 10),
+};
+
+/**
+ * Gateway wallet paying providers, read from the keypair file at PAYOUT_KEYPAIR_PATH
+ * @returns {Keypair|null} null when payouts are not configured
+ */
+function loadPayoutKeypair() {
+  const keypairPath = process.env.PAYOUT_KEYPAIR_PATH;
+  if (!keypairPath) {
+    return null;
+  }
+  try {
+    const secretKey = JSON.parse(fs.readFileSync(keypairPath, 'utf8'));
+    return Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  } catch (error) {
+    logger.error(`Payout keypair ${keypairPath} unreadable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pays providers their accrued earnings in USDC from the gateway wallet.
+ * Balances above the threshold are batched into SPL token transfers; each provider's amount is
+ * reserved in the ledger before the transaction is sent, so a crash or timeout never pays twice.
+ */
+class ProviderPayouts {
+  /**
+   * @param {Object} [deps]
+   * @param {Connection} [deps.connection]
+   * @param {Keypair|null} [deps.payer] - Gateway wallet holding the USDC
+   * @param {string} [deps.mint] - USDC mint
+   * @param {import('../stores/earningsLedger').EarningsLedger} [deps.ledger]
+   * @param {import('../stores/providerRegistry').ProviderRegistry} [deps.registry]
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS
+   */
+  constructor({
+    connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com', 'confirmed'),
+    payer = loadPayoutKeypair(),
+    mint = process.env.USDC_MINT,
+    ledger = earningsLedger,
+    registry = providerRegistry,
+  } = {}, options = {}) {
+    this.connection = connection;
+    this.payer = payer;
+    this.mint = mint;
+    this.ledger = ledger;
+    this.registry = registry;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.tokenProgramId = null;
+    this.running = null;
+    this.timer = null;
+  }
+
+  /**
+   * Run payouts on an interval. The timer never keeps the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run().catch((error) => logger.error('Provider payout run failed:', error));
+    }, this.options.intervalMs);
+    this.timer.unref();
+    logger.info(`Provider payouts scheduled (every ${this.options.intervalMs}ms)`);
+  }
+
+  /**
+   * Stop scheduled payouts
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reconcile unconfirmed payouts, then pay every provider whose unpaid balance reaches the threshold.
+   * Concurrent calls share one run; a run already holding the ledger's payout lock elsewhere is not repeated.
+   * @returns {Promise<{batches: Object[], skipped: Object[], reconciled: Object[], inProgress?: boolean}>}
+   *   inProgress when another instance is paying out
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.payDueLocked().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * payDue while holding the payout lock
+   * @returns {Promise<{batches: Object[], skipped: Object[], reconciled: Object[], inProgress?: boolean}>}
+   */
+  async payDueLocked() {
+    if (!this.payer) {
+      throw new Error('Payouts are not configured: set PAYOUT_KEYPAIR_PATH');
+    }
+
+    const lock = await this.ledger.lockPayouts(this.options.lockTtlMs);
+    if (!lock) {
+      logger.info('Provider payouts already running on another instance');
+      return { batches: [], skipped: [], reconciled: [], inProgress: true };
+    }
+
+    try {
+      return await this.payDue();
+    } finally {
+      await this.ledger.unlockPayouts(lock);
+    }
+  }
+
+  /**
+   * @returns {Promise<{batches: Object[], skipped: Object[], reconciled: Object[]}>}
+   */
+  async payDue() {
+    // Released payouts are due again in this run; unresolved ones stay reserved
+    const reconciled = await this.reconcile().catch((error) => {
+      logger.error(`Payout reconciliation failed: ${error.message}`);
+      return [];
+    });
+
+    await this.registry.ready();
+    const threshold = toAtomicUnits(this.options.threshold);
+    const accounts = await this.ledger.listAccounts();
+    const due = [];
+    const skipped = [];
+
+    accounts
+      .filter((account) => account.balance >= threshold && account.balance > 0)
+      .forEach((account) => {
+        const address = this.registry.get(account.providerId)?.payoutAddress;
+        if (address) {
+          due.push({ providerId: account.providerId, amount: account.balance, address });
+        } else {
+          skipped.push({ providerId: account.providerId, balance: fromAtomicUnits(account.balance), reason: 'no_payout_address' });
+        }
+      });
+
+    const batches = [];
+    for (let i = 0; i < due.length; i += this.options.batchSize) {
+      const batch = await this.payBatch(due.slice(i, i + this.options.batchSize));
+      if (batch) {
+        batches.push(batch);
+      }
+    }
+
+    logger.info(`Provider payouts: ${batches.length} transfers, ${skipped.length} providers without a payout address`);
+    return { batches, skipped, reconciled };
+  }
+
+  /**
+   * Resolve unconfirmed payouts from the status of their transaction: paid once it confirmed,
+   * failed (returned to the balance) once it failed on chain or expired without landing
+   * @returns {Promise<Array<{batchId: string, status: string, signature: string, error?: string}>>} Resolved batches
+   */
+  async reconcile() {
+    const batches = new Map();
+    (await this.ledger.listPayouts())
+      .filter((payout) => payout.status === PAYOUT_STATUSES.UNCONFIRMED && payout.signature)
+      .forEach((payout) => {
+        const batchId = payout.batchId || payout.payoutId;
+        batches.set(batchId, [...(batches.get(batchId) || []), payout]);
+      });
+    if (batches.size === 0) {
+      return [];
+    }
+
+    // Read the block height first: a transaction expired by then can no longer land after its status is read
+    const blockHeight = await this.connection.getBlockHeight();
+    const entries = Array.from(batches.entries());
+    const { value: statuses } = await this.connection.getSignatureStatuses(
+      entries.map(([, [payout]]) => payout.signature),
+      { searchTransactionHistory: true }
+    );
+
+    const resolved = [];
+    for (const [index, [batchId, records]] of entries.entries()) {
+      const outcome = reconcileOutcome(statuses[index], records[0], blockHeight);
+      if (!outcome) {
+        continue;
+      }
+
+      for (const record of records) {
+        await this.ledger.completePayout(record.payoutId, outcome);
+      }
+      logger.info(`Payout ${batchId} reconciled as ${outcome.status} (${outcome.signature})${outcome.error ? `: ${outcome.error}` : ''}`);
+      resolved.push({ batchId, ...outcome });
+    }
+    return resolved;
+  }
+
+  /**
+   * Pay several providers in one transaction
+   * @param {Array<{providerId: string, amount: number, address: string}>} payouts - Amounts in USDC base units
+   * @returns {Promise<{batchId: string, status: string, signature?: string, error?: string, payouts: Object[]}|null>}
+   *   null when no payout could be reserved
+   */
+  async payBatch(payouts) {
+    const batchId = `payout_${crypto.randomBytes(8).toString('hex')}`;
+    const records = [];
+
+    // Only amounts the ledger reserved are sent: a balance may have been paid since it was read
+    for (const payout of payouts) {
+      const record = { ...payout, payoutId: `${batchId}:${payout.providerId}`, batchId };
+      if (await this.ledger.reservePayout(record)) {
+        records.push(record);
+      } else {
+        logger.warn(`Payout to ${payout.providerId} skipped: balance no longer covers ${fromAtomicUnits(payout.amount)} USDC`);
+      }
+    }
+    if (records.length === 0) {
+      return null;
+    }
+
+    let outcome;
+    try {
+      const { transaction, lastValidBlockHeight } = await this.buildTransaction(records, batchId);
+      const signature = bs58.encode(transaction.signatures[0]);
+      outcome = await submitSignedTransaction(transaction, { connection: this.connection })
+        .then((result) => toOutcome(result, signature))
+        // The transaction may have been sent: keep the amounts reserved until reconciled
+        .catch((error) => ({ status: PAYOUT_STATUSES.UNCONFIRMED, signature, error: error.message }));
+      if (outcome.status === PAYOUT_STATUSES.UNCONFIRMED) {
+        outcome.lastValidBlockHeight = lastValidBlockHeight;
+      }
+    } catch (error) {
+      outcome = { status: PAYOUT_STATUSES.FAILED, error: error.message };
+    }
+
+    for (const record of records) {
+      await this.ledger.completePayout(record.payoutId, outcome);
+    }
+
+    const log = outcome.status === PAYOUT_STATUSES.PAID ? logger.info : logger.warn;
+    log.call(logger, `Payout ${batchId} ${outcome.status}${outcome.signature ? ` (${outcome.signature})` : ''}${outcome.error ? `: ${outcome.error}` : ''}`);
+
+    return {
+      batchId,
+      ...outcome,
+      payouts: records.map(({ providerId, amount, address }) => ({ providerId, amount: fromAtomicUnits(amount), address })),
+    };
+  }
+
+  /**
+   * Signed transaction creating missing token accounts and transferring each amount, with a memo naming the batch
+   * @param {Array<{amount: number, address: string}>} payouts
+   * @param {string} batchId
+   * @returns {Promise<{transaction: VersionedTransaction, lastValidBlockHeight: number}>} The transaction
+   *   and the last block height at which its blockhash can land
+   */
+  async buildTransaction(payouts, batchId) {
+    const mint = new PublicKey(this.mint);
+    const tokenProgramId = await this.mintProgram(mint);
+    const source = getAssociatedTokenAddressSync(mint, this.payer.publicKey, false, tokenProgramId);
+
+    const instructions = payouts.flatMap(({ amount, address }) => {
+      const owner = new PublicKey(address);
+      const destination = getAssociatedTokenAddressSync(mint, owner, false, tokenProgramId);
+      return [
+        createAssociatedTokenAccountIdempotentInstruction(this.payer.publicKey, destination, owner, mint, tokenProgramId),
+        createTransferCheckedInstruction(
+          source, mint, destination, this.payer.publicKey, amount, USDC_DECIMALS, [], tokenProgramId
+        ),
+      ];
+    });
+    instructions.push(new TransactionInstruction({
+      programId: new PublicKey(MEMO_PROGRAM_IDS[0]),
+      keys: [],
+      data: Buffer.from(batchId, 'utf8'),
+    }));
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    const message = new TransactionMessage({
+      payerKey: this.payer.publicKey,
+      recentBlockhash: blockhash,
+      instructions,
+    }).compileToV0Message();
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([this.payer]);
+    return { transaction, lastValidBlockHeight };
+  }
+
+  /**
+   * Token program owning the mint (Token or Token-2022), looked up once
+   * @param {PublicKey} mint
+   * @returns {Promise<PublicKey>}
+   */
+  async mintProgram(mint) {
+    if (!this.tokenProgramId) {
+      const account = await this.connection.getAccountInfo(mint);
+      if (!account) {
+        throw new Error(`Mint ${mint.toBase58()} not found`);
+      }
+      this.tokenProgramId = account.owner;
+    }
+    return this.tokenProgramId;
+  }
+}
+
+/**
+ * Payout status of a submission result
+ * @param {{success: boolean, transaction?: string, errorReason?: string}} result - From submitSignedTransaction
+ * @param {string} signature
+ * @returns {{status: string, signature?: string, error?: string}}
+ */
+function toOutcome(result, signature) {
+  if (result.success) {
+    return { status: PAYOUT_STATUSES.PAID, signature };
+  }
+  // Rejected by simulation or on chain: nothing was transferred
+  if (result.errorReason !== 'confirmation_timeout') {
+    return { status: PAYOUT_STATUSES.FAILED, signature: result.transaction, error: result.errorReason };
+  }
+  return { status: PAYOUT_STATUSES.UNCONFIRMED, signature, error: result.errorReason };
+}
+
+/**
+ * Payout status of an unconfirmed transaction
+ * @param {Object|null} status - Signature status, null when the cluster does not know the transaction
+ * @param {{signature: string, lastValidBlockHeight?: number}} payout - Unconfirmed payout record
+ * @param {number} blockHeight - Current block height
+ * @returns {{status: string, signature: string, error?: string}|null} null while it may still land
+ */
+function reconcileOutcome(status, { signature, lastValidBlockHeight }, blockHeight) {
+  if (status?.err) {
+    return { status: PAYOUT_STATUSES.FAILED, signature, error: JSON.stringify(status.err) };
+  }
+  if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+    return { status: PAYOUT_STATUSES.PAID, signature };
+  }
+  if (!status && lastValidBlockHeight !== undefined && blockHeight > lastValidBlockHeight) {
+    return { status: PAYOUT_STATUSES.FAILED, signature, error: 'blockhash_expired' };
+  }
+  return null;
+}
+
+const providerPayouts = new ProviderPayouts();
+
+module.exports = {
+  ProviderPayouts,
+  providerPayouts,
+};
@@ -0,0 +1,386 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Routing states: ejected providers receive no traffic until they pass recovery probing
+const HEALTH_STATES = {
+  UNKNOWN: 'unknown',
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  EJECTED: 'ejected',
+};
+
+const DEFAULT_OPTIONS = {
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || '30000', 10),
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000', 10),
+  windowSize: parseInt(process.env.HEALTH_WINDOW_SIZE || '20', 10),
+  degradedSuccessRate: parseFloat(process.env.HEALTH_DEGRADED_SUCCESS_RATE || '0.9'),
+  ejectSuccessRate: parseFloat(process.env.HEALTH_EJECT_SUCCESS_RATE || '0.5'),
+  ejectConsecutiveFailures: parseInt(process.env.HEALTH_EJECT_CONSECUTIVE_FAILURES || '3', 10),
+  degradedLatencyMs: parseInt(process.env.HEALTH_DEGRADED_P95_MS || '2000', 10),
+  degradedSlotLag: parseInt(process.env.HEALTH_DEGRADED_SLOT_LAG || '50', 10),
+  ejectSlotLag: parseInt(process.env.HEALTH_EJECT_SLOT_LAG || '500', 10),
+  recoveryProbes: parseInt(process.env.HEALTH_RECOVERY_PROBES || '3', 10),
+};
+
+// Upper bounds (ms) of the latency histogram buckets reported per provider
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {number[]} values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Periodically probes every provider with getHealth/getSlot and classifies it
+ * from a rolling window of probe and request outcomes.
+ */
+class ProviderHealthMonitor {
+  /**
+   * @param {Function} listProviders - Returns the providers to probe
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS
+   */
+  constructor(listProviders, options = {}) {
+    this.listProviders = listProviders;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.records = new Map(); // providerId -> rolling health record
+    this.timer = null;
+    this.sweeping = null;
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * Start probing on an interval. The timer never keeps the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.probeAll().catch((error) => logger.error('Provider health sweep failed:', error));
+    }, this.options.intervalMs);
+    this.timer.unref();
+    this.probeAll().catch((error) => logger.error('Provider health sweep failed:', error));
+    logger.info(`Provider health monitor started (every ${this.options.intervalMs}ms)`);
+  }
+
+  /**
+   * Stop probing
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Rolling record of a provider, created on first use
+   * @param {string} providerId
+   * @returns {Object}
+   */
+  record(providerId) {
+    if (!this.records.has(providerId)) {
+      this.records.set(providerId, {
+        state: HEALTH_STATES.UNKNOWN,
+        samples: [], // { ok, latency }
+        consecutiveFailures: 0,
+        consecutiveSuccesses: 0,
+        slot: null,
+        firstAvailableBlock: null,
+        lastCheck: null,
+        lastError: null,
+      });
+    }
+    return this.records.get(providerId);
+  }
+
+  /**
+   * Probe every provider once
+   * @returns {Promise<void>}
+   */
+  async probeAll() {
+    this.lastSweepAt = Date.now();
+    const providers = this.listProviders();
+    await Promise.all(providers.map((provider) => this.probe(provider)));
+    // Slot lag depends on every provider's slot: judge it again once the whole sweep is in
+    providers.forEach((provider) => this.updateState(provider.id));
+  }
+
+  /**
+   * Probe every provider unless a sweep ran within the interval. Without a long-running process
+   * (serverless) nothing else probes, and ejected providers would never be re-admitted.
+   * @returns {Promise<void>} Settles once the sweep in progress, if any, is done
+   */
+  sweepIfDue() {
+    if (!this.sweeping && Date.now() - this.lastSweepAt >= this.options.intervalMs) {
+      this.sweeping = this.probeAll()
+        .catch((error) => logger.error('Provider health sweep failed:', error))
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }
+    return this.sweeping || Promise.resolve();
+  }
+
+  /**
+   * Probe one provider: getHealth must succeed, getSlot is timed and used for slot lag
+   * @param {Object} provider
+   * @returns {Promise<Object>} Health snapshot after the probe
+   */
+  async probe(provider) {
+    const { timeoutMs } = this.options;
+
+    try {
+      const health = await axios.post(provider.url, { jsonrpc: '2.0', id: 1, method: 'getHealth' }, { timeout: timeoutMs });
+      if (health.data?.error) {
+        throw new Error(`getHealth: ${health.data.error.message}`);
+      }
+
+      const startTime = Date.now();
+      const slot = await axios.post(provider.url, { jsonrpc: '2.0', id: 1, method: 'getSlot' }, { timeout: timeoutMs });
+      const latency = Date.now() - startTime;
+      if (slot.data?.error || typeof slot.data?.result !== 'number') {
+        throw new Error(`getSlot: ${slot.data?.error?.message || 'no slot returned'}`);
+      }
+
+      this.recordSlot(provider.id, slot.data.result);
+      this.recordResult(provider.id, { ok: true, latency });
+    } catch (error) {
+      this.recordResult(provider.id, { ok: false, error: error.message });
+      return this.snapshot(provider.id);
+    }
+
+    // Retention is only probed for providers that do not advertise a slot range
+    if (!provider.slotRange) {
+      await this.probeFirstAvailableBlock(provider);
+    }
+
+    return this.snapshot(provider.id);
+  }
+
+  /**
+   * Record the oldest block a provider still holds. Failures do not affect health.
+   * @param {Object} provider
+   * @returns {Promise<void>}
+   */
+  async probeFirstAvailableBlock(provider) {
+    try {
+      const response = await axios.post(
+        provider.url,
+        { jsonrpc: '2.0', id: 1, method: 'getFirstAvailableBlock' },
+        { timeout: this.options.timeoutMs }
+      );
+      if (Number.isInteger(response.data?.result)) {
+        this.record(provider.id).firstAvailableBlock = response.data.result;
+      }
+    } catch (error) {
+      logger.debug(`getFirstAvailableBlock probe of ${provider.id} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Slot range found by probing
+   * @param {string} providerId
+   * @returns {{first: number|null, last: number|null}}
+   */
+  slotRange(providerId) {
+    const record = this.records.get(providerId);
+    return {
+      first: record?.firstAvailableBlock ?? null,
+      last: record?.slot ?? null,
+    };
+  }
+
+  /**
+   * Record the latest slot seen from a provider
+   * @param {string} providerId
+   * @param {number} slot
+   */
+  recordSlot(providerId, slot) {
+    this.record(providerId).slot = slot;
+  }
+
+  /**
+   * Slot lag is measured against the highest slot a majority of providers has reached,
+   * so one provider reporting a slot far ahead cannot make every other provider look behind
+   * @returns {number|null} null before any slot is known
+   */
+  referenceSlot() {
+    const slots = Array.from(this.records.values())
+      .map((record) => record.slot)
+      .filter((slot) => slot !== null)
+      .sort((a, b) => b - a);
+    return slots.length > 0 ? slots[Math.floor(slots.length / 2)] : null;
+  }
+
+  /**
+   * Record a probe or proxied request outcome and re-evaluate the provider's state
+   * @param {string} providerId
+   * @param {Object} result
+   * @param {boolean} result.ok
+   * @param {number} [result.latency] - Round trip in ms (successes only)
+   * @param {string} [result.error]
+   */
+  recordResult(providerId, { ok, latency, error }) {
+    const record = this.record(providerId);
+
+    record.samples.push({ ok, latency: ok ? latency : null });
+    if (record.samples.length > this.options.windowSize) {
+      record.samples.shift();
+    }
+    record.consecutiveFailures = ok ? 0 : record.consecutiveFailures + 1;
+    record.consecutiveSuccesses = ok ? record.consecutiveSuccesses + 1 : 0;
+    record.lastCheck = new Date().toISOString();
+    record.lastError = ok ? record.lastError : error;
+
+    this.updateState(providerId);
+  }
+
+  /**
+   * Re-evaluate a provider's state from its record, logging transitions
+   * @param {string} providerId
+   */
+  updateState(providerId) {
+    const record = this.records.get(providerId);
+    if (!record) {
+      return;
+    }
+
+    const previous = record.state;
+    record.state = this.evaluate(record);
+
+    if (record.state !== previous) {
+      const log = record.state === HEALTH_STATES.HEALTHY ? logger.info : logger.warn;
+      log.call(logger, `Provider ${providerId} is now ${record.state} (was ${previous})`);
+    }
+  }
+
+  /**
+   * Classify a provider from its rolling window
+   * @param {Object} record
+   * @returns {string} One of HEALTH_STATES
+   */
+  evaluate(record) {
+    const {
+      recoveryProbes, ejectConsecutiveFailures, ejectSuccessRate, ejectSlotLag,
+      degradedSuccessRate, degradedSlotLag, degradedLatencyMs,
+    } = this.options;
+
+    if (record.state === HEALTH_STATES.EJECTED) {
+      if (record.consecutiveSuccesses < recoveryProbes) {
+        return HEALTH_STATES.EJECTED;
+      }
+      // Recovered: judge it on the successful recovery probes only
+      record.samples = record.samples.slice(-recoveryProbes);
+    }
+
+    const stats = this.stats(record);
+
+    if (record.consecutiveFailures >= ejectConsecutiveFailures
+      || stats.successRate < ejectSuccessRate
+      || stats.slotLag > ejectSlotLag) {
+      return HEALTH_STATES.EJECTED;
+    }
+
+    if (stats.successRate < degradedSuccessRate
+      || stats.slotLag > degradedSlotLag
+      || stats.latency.p95 > degradedLatencyMs) {
+      return HEALTH_STATES.DEGRADED;
+    }
+
+    return HEALTH_STATES.HEALTHY;
+  }
+
+  /**
+   * Window statistics of a record
+   * @param {Object} record
+   * @returns {{successRate: number, latency: {p50: number|null, p95: number|null, p99: number|null}, slotLag: number|null}}
+   */
+  stats(record) {
+    const latencies = record.samples.filter((sample) => sample.ok).map((sample) => sample.latency);
+    const successRate = record.samples.length > 0 ? latencies.length / record.samples.length : 1;
+
+    return {
+      successRate,
+      latency: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+      },
+      slotLag: record.slot === null ? null : Math.max(0, this.referenceSlot() - record.slot),
+    };
+  }
+
+  /**
+   * Cumulative latency histogram of the successful samples in a record
+   * @param {Object} record
+   * @returns {Array<{le: number|string, count: number}>} Buckets ending with le '+Inf'
+   */
+  histogram(record) {
+    const latencies = record.samples.filter((sample) => sample.ok).map((sample) => sample.latency);
+    return [
+      ...LATENCY_BUCKETS_MS.map((le) => ({ le, count: latencies.filter((latency) => latency <= le).length })),
+      { le: '+Inf', count: latencies.length },
+    ];
+  }
+
+  /**
+   * Current routing state of a provider
+   * @param {string} providerId
+   * @returns {string} One of HEALTH_STATES
+   */
+  state(providerId) {
+    return this.records.get(providerId)?.state || HEALTH_STATES.UNKNOWN;
+  }
+
+  /**
+   * Health summary of a provider for API responses
+   * @param {string} providerId
+   * @returns {Object}
+   */
+  snapshot(providerId) {
+    const record = this.records.get(providerId);
+    if (!record) {
+      return {
+        status: HEALTH_STATES.UNKNOWN,
+        lastCheck: null,
+        consecutiveFailures: 0,
+      };
+    }
+
+    return {
+      status: record.state,
+      lastCheck: record.lastCheck,
+      consecutiveFailures: record.consecutiveFailures,
+      ...this.stats(record),
+      latencyHistogram: this.histogram(record),
+      slot: record.slot,
+      firstAvailableBlock: record.firstAvailableBlock,
+      samples: record.samples.length,
+      ...(record.lastError && { lastError: record.lastError }),
+    };
+  }
+
+  /**
+   * Forget a provider's history
+   * @param {string} providerId
+   */
+  forget(providerId) {
+    this.records.delete(providerId);
+  }
+}
+
+module.exports = {
+  ProviderHealthMonitor,
+  HEALTH_STATES,
+  LATENCY_BUCKETS_MS,
+  percentile,
+};
@@ -0,0 +1,118 @@
+const DEFAULT_OPTIONS = {
+  // Weight of the newest latency sample in the moving average
+  ewmaAlpha: parseFloat(process.env.PROVIDER_EWMA_ALPHA || '0.2'),
+  // Sliding windows for the success ratio behind uptime (short) and reputation (long)
+  uptimeWindowMs: parseInt(process.env.PROVIDER_UPTIME_WINDOW_MS || String(5 * 60 * 1000), 10),
+  reputationWindowMs: parseInt(process.env.PROVIDER_REPUTATION_WINDOW_MS || String(60 * 60 * 1000), 10),
+  // How many observed requests the configured static values are worth
+  priorWeight: parseInt(process.env.PROVIDER_PRIOR_WEIGHT || '20', 10),
+  maxSamples: parseInt(process.env.PROVIDER_STATS_MAX_SAMPLES || '1000', 10),
+};
+
+/**
+ * Latency, uptime and reputation of providers as observed on proxied traffic.
+ * Configured static values act as priors that real samples gradually outweigh.
+ */
+class ProviderStats {
+  /**
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.observations = new Map(); // providerId -> { ewmaLatency (seeded with the prior), samples: [{ ok, at }] }
+  }
+
+  /**
+   * Record the outcome of a proxied request
+   * @param {Object} provider - Registry entry; its configured latency seeds the moving average
+   * @param {Object} result
+   * @param {boolean} result.ok
+   * @param {number} [result.latency] - Round trip in ms (successes only)
+   * @param {number} [now] - Timestamp in ms
+   */
+  record(provider, { ok, latency }, now = Date.now()) {
+    if (!this.observations.has(provider.id)) {
+      this.observations.set(provider.id, { ewmaLatency: provider.latency, samples: [] });
+    }
+    const observation = this.observations.get(provider.id);
+
+    if (ok && typeof latency === 'number') {
+      const { ewmaAlpha } = this.options;
+      observation.ewmaLatency = ewmaAlpha * latency + (1 - ewmaAlpha) * observation.ewmaLatency;
+    }
+
+    observation.samples.push({ ok, at: now });
+    this.prune(observation, now);
+  }
+
+  /**
+   * Drop samples older than the longest window
+   * @param {Object} observation
+   * @param {number} now
+   */
+  prune(observation, now) {
+    const cutoff = now - Math.max(this.options.uptimeWindowMs, this.options.reputationWindowMs);
+    while (observation.samples.length > 0
+      && (observation.samples[0].at < cutoff || observation.samples.length > this.options.maxSamples)) {
+      observation.samples.shift();
+    }
+  }
+
+  /**
+   * Success ratio over a window blended with a prior ratio
+   * @param {Array<{ok: boolean, at: number}>} samples
+   * @param {number} windowMs
+   * @param {number} prior - Prior success ratio (0-1)
+   * @param {number} now
+   * @returns {{ratio: number, requests: number}}
+   */
+  blendedRatio(samples, windowMs, prior, now) {
+    const recent = samples.filter((sample) => sample.at >= now - windowMs);
+    const successes = recent.filter((sample) => sample.ok).length;
+    const { priorWeight } = this.options;
+
+    return {
+      ratio: (prior * priorWeight + successes) / (priorWeight + recent.length),
+      requests: recent.length,
+    };
+  }
+
+  /**
+   * Measured stats of a provider, falling back to its configured values
+   * @param {Object} provider - Registry entry carrying latency, uptime and reputation priors
+   * @param {number} [now] - Timestamp in ms
+   * @returns {{latency: number, uptime: number, reputation: number, requests: number}}
+   */
+  effective(provider, now = Date.now()) {
+    const observation = this.observations.get(provider.id);
+    if (!observation) {
+      return {
+        latency: provider.latency,
+        uptime: provider.uptime,
+        reputation: provider.reputation,
+        requests: 0,
+      };
+    }
+
+    const { uptimeWindowMs, reputationWindowMs } = this.options;
+    const uptime = this.blendedRatio(observation.samples, uptimeWindowMs, provider.uptime / 100, now);
+    const reputation = this.blendedRatio(observation.samples, reputationWindowMs, provider.reputation / 100, now);
+
+    return {
+      latency: Math.round(observation.ewmaLatency),
+      uptime: Number((uptime.ratio * 100).toFixed(2)),
+      reputation: Math.round(reputation.ratio * 100),
+      requests: reputation.requests,
+    };
+  }
+
+  /**
+   * Forget everything observed about a provider
+   * @param {string} providerId
+   */
+  forget(providerId) {
+    this.observations.delete(providerId);
+  }
+}
+
+module.exports = { ProviderStats };
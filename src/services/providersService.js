@@ -1,8 +1,19 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-
-// Provider registry with 3 initial nodes
-const providers = [
+const { ProviderRegistry } = require('../stores/providerRegistry');
+const { ProviderHealthMonitor, HEALTH_STATES } = require('./providerHealthMonitor');
+const { ProviderStats } = require('./providerStats');
+const { trackHedge } = require('../utils/metrics');
+const { ERROR_CLASSES, classifyRpcError, RetryableRpcError } = require('./rpcErrors');
+const {
+  requestedSlot,
+  learnSlots,
+  providerSlotRange,
+  coversSlot,
+} = require('./slotRouting');
+
+// Initial nodes seeded into an empty provider registry
+const DEFAULT_PROVIDERS = [
   {
     id: 'triton-old-faithful',
     name: 'Triton Old Faithful (Premium)',
@@ -53,41 +64,150 @@ const providers = [
   },
 ];
 
-// Provider health tracking
-const providerHealth = new Map();
+// Persistent provider registry (see PROVIDER_REGISTRY_BACKEND)
+const providerRegistry = new ProviderRegistry(DEFAULT_PROVIDERS);
+
+// Active health checking of enabled providers (started by the server, see startHealthMonitor)
+const healthMonitor = new ProviderHealthMonitor(() => enabledProviders());
+
+// Latency, uptime and reputation observed on proxied traffic
+const providerStats = new ProviderStats();
+
+// Score deducted from degraded providers so healthy ones are preferred
+const DEGRADED_PENALTY = 15;
+
+// Scoring profiles a client can ask for (X-Provider-Preference)
+const ROUTING_PREFERENCES = ['balanced', 'cheapest', 'fastest', 'reputation'];
+
+// Hedging: race the next-best provider when the primary is slower than usual
+const HEDGE_REQUESTS = process.env.HEDGE_REQUESTS === 'true';
+const HEDGE_DELAY_MS = process.env.HEDGE_DELAY_MS ? parseInt(process.env.HEDGE_DELAY_MS, 10) : null;
+const HEDGE_MIN_DELAY_MS = parseInt(process.env.HEDGE_MIN_DELAY_MS || '50', 10);
 
 /**
- * Get all available providers
- * @returns {Array} List of providers with stats
+ * Provider with latency, uptime and reputation replaced by measured values.
+ * The configured values are kept as `priors`.
+ * @param {Object} provider - Registry entry
+ * @returns {Object}
  */
-function getProviders() {
-  return providers.map((provider) => ({
+function withMeasuredStats(provider) {
+  const { requests, ...measured } = providerStats.effective(provider);
+  return {
     ...provider,
-    health: providerHealth.get(provider.id) || {
-      status: 'unknown',
-      lastCheck: null,
-      consecutiveFailures: 0,
+    ...measured,
+    priors: {
+      latency: provider.latency,
+      uptime: provider.uptime,
+      reputation: provider.reputation,
     },
-  }));
+    observedRequests: requests,
+  };
 }
 
 /**
- * Select the best provider based on pricing, reputation, and health
+ * Attach measured stats and current health to a provider
+ * @param {Object} provider
+ * @returns {Object}
+ */
+function withHealth(provider) {
+  return {
+    ...withMeasuredStats(provider),
+    health: healthMonitor.snapshot(provider.id),
+  };
+}
+
+/**
+ * Get all registered providers, including disabled ones
+ * @returns {Promise<Array>} List of providers with stats
+ */
+async function getProviders() {
+  await providerRegistry.ready();
+  return providerRegistry.list().map(withHealth);
+}
+
+/**
+ * Get a single provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Object|null>} Provider with stats, or null if unknown
+ */
+async function getProvider(providerId) {
+  await providerRegistry.ready();
+  const provider = providerRegistry.get(providerId);
+  return provider ? withHealth(provider) : null;
+}
+
+/**
+ * Providers that may receive traffic
+ * @returns {Array}
+ */
+function enabledProviders() {
+  return providerRegistry.list().filter((provider) => provider.enabled);
+}
+
+/**
+ * Whether a provider may hold a slot (advertised slotRange, else probed getFirstAvailableBlock)
+ * @param {Object} provider
+ * @param {number} slot
+ * @returns {boolean}
+ */
+function holdsSlot(provider, slot) {
+  return coversSlot(providerSlotRange(provider, healthMonitor.slotRange(provider.id)), slot);
+}
+
+/**
+ * Whether a provider satisfies hard routing constraints (pinned provider, required features, paid price)
+ * @param {Object} provider
+ * @param {Object} options
+ * @param {string} [options.providerId] - Only this provider may serve the request
+ * @param {string[]} [options.requireFeatures] - Features the provider must all have
+ * @param {number} [options.maxPricing] - Highest pricing multiplier the request was paid at
+ * @returns {boolean}
+ */
+function matchesRouting(provider, { providerId, requireFeatures = [], maxPricing } = {}) {
+  if (providerId && provider.id !== providerId) {
+    return false;
+  }
+  if (maxPricing !== undefined && provider.pricing > maxPricing) {
+    return false;
+  }
+  return requireFeatures.every((feature) => provider.features.includes(feature));
+}
+
+/**
+ * Rank providers based on pricing, reputation, and health
  * @param {Object} options - Selection criteria
  * @param {string} options.method - RPC method being called
  * @param {boolean} options.requireHistorical - Whether historical data is required
- * @param {boolean} options.preferCheapest - Prefer lowest price over quality
- * @returns {Object} Selected provider
+ * @param {boolean} options.preferCheapest - Prefer lowest price over quality (same as preference 'cheapest')
+ * @param {string} [options.preference] - One of ROUTING_PREFERENCES
+ * @param {string} [options.providerId] - Pin a provider
+ * @param {string} [options.preferProviderId] - Rank this provider first when it may serve the request
+ * @param {number} [options.maxPricing] - Skip providers priced above the multiplier the request was paid at
+ * @param {string[]} [options.requireFeatures] - Required provider features
+ * @param {number|null} [options.slot] - Slot the request reads; providers known not to hold it are skipped
+ * @returns {Array<{provider: Object, score: number}>} Best first; empty when no enabled provider matches
  */
-function selectBestProvider(options = {}) {
-  const { method, requireHistorical = false, preferCheapest = false } = options;
+function rankProviders(options = {}) {
+  const { requireHistorical = false, preferCheapest = false, slot = null } = options;
+  const preference = options.preference || (preferCheapest ? 'cheapest' : 'balanced');
+  const enabled = enabledProviders();
+
+  if (enabled.length === 0) {
+    logger.error('No enabled providers in the registry');
+    return [];
+  }
+
+  // Pinned providers, required features and the paid price are never relaxed
+  const eligible = enabled.filter((p) => matchesRouting(p, options));
+  if (eligible.length === 0) {
+    logger.warn('No enabled provider matches the requested provider, features or paid price');
+    return [];
+  }
 
   // Filter providers based on requirements
-  let candidates = providers.filter((p) => {
-    const health = providerHealth.get(p.id);
-    
-    // Skip unhealthy providers
-    if (health?.consecutiveFailures > 3) {
+  let candidates = eligible.filter((p) => {
+    // Skip ejected providers until they pass recovery probing
+    if (healthMonitor.state(p.id) === HEALTH_STATES.EJECTED) {
       return false;
     }
 
@@ -96,23 +216,38 @@ function selectBestProvider(options = {}) {
       return false;
     }
 
+    // Filter by retention when the requested slot is known
+    if (slot !== null && !holdsSlot(p, slot)) {
+      return false;
+    }
+
     return true;
   });
 
   if (candidates.length === 0) {
-    logger.warn('No healthy providers available, using any provider');
-    candidates = providers;
+    logger.warn('No healthy provider matches the request, using any provider');
+    candidates = eligible;
   }
 
-  // Score providers
-  const scored = candidates.map((provider) => {
+  // Score providers on measured stats (configured values only act as priors)
+  const scored = candidates.map((registered) => {
+    const provider = withMeasuredStats(registered);
     let score = 0;
 
-    if (preferCheapest) {
+    if (preference === 'cheapest') {
       // Prioritize pricing (inverted - lower price = higher score)
       score += (1 - provider.pricing) * 50;
       score += (provider.reputation / 100) * 30;
       score += (provider.uptime / 100) * 20;
+    } else if (preference === 'fastest') {
+      score += (1 - provider.latency / 500) * 50;
+      score += (provider.uptime / 100) * 30;
+      score += (provider.reputation / 100) * 10;
+      score += (1 - provider.pricing) * 10;
+    } else if (preference === 'reputation') {
+      score += (provider.reputation / 100) * 60;
+      score += (provider.uptime / 100) * 30;
+      score += (1 - provider.pricing) * 10;
     } else {
       // Balanced scoring
       score += (provider.reputation / 100) * 40;
@@ -121,25 +256,47 @@ function selectBestProvider(options = {}) {
       score += (1 - provider.latency / 500) * 10; // Normalize latency
     }
 
-    return { provider, score };
+    if (healthMonitor.state(provider.id) === HEALTH_STATES.DEGRADED) {
+      score -= DEGRADED_PENALTY;
+    }
+
+    return { provider: registered, score };
   });
 
-  // Sort by score descending
-  scored.sort((a, b) => b.score - a.score);
+  // Sort by score descending, the provider a quote was pinned to first
+  scored.sort((a, b) => (b.provider.id === options.preferProviderId) - (a.provider.id === options.preferProviderId)
+    || b.score - a.score);
+
+  return scored;
+}
 
-  const selected = scored[0].provider;
-  logger.info(`Selected provider: ${selected.name} (score: ${scored[0].score.toFixed(2)})`);
+/**
+ * Select the best provider based on pricing, reputation, and health
+ * @param {Object} options - Selection criteria (see rankProviders)
+ * @returns {Object|null} Selected provider, or null when every provider is disabled
+ */
+function selectBestProvider(options = {}) {
+  const [best] = rankProviders(options);
+  if (!best) {
+    return null;
+  }
 
-  return selected;
+  logger.info(`Selected provider: ${best.provider.name} (score: ${best.score.toFixed(2)})`);
+  return best.provider;
 }
 
 /**
  * Fetch data from a specific provider
  * @param {Object} provider - Provider to use
  * @param {Object} body - JSON-RPC request body
- * @returns {Promise<Object>} JSON-RPC response
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request; cancelled requests do not count against the provider
+ * @returns {Promise<Object>} JSON-RPC response (client and final JSON-RPC errors included)
+ * @throws {RetryableRpcError} When the provider answers with a retryable JSON-RPC error
  */
-async function fetchFromProvider(provider, body) {
+async function fetchFromProvider(provider, body, { signal } = {}) {
+  const startTime = Date.now();
+
   try {
     logger.info(`Fetching ${body.method} from ${provider.name}`);
 
@@ -148,71 +305,227 @@ async function fetchFromProvider(provider, body) {
       headers: {
         'Content-Type': 'application/json',
       },
+      ...(signal && { signal }),
     });
 
-    // Update health on success
-    providerHealth.set(provider.id, {
-      status: 'healthy',
-      lastCheck: new Date().toISOString(),
-      consecutiveFailures: 0,
-    });
+    // Provider-side JSON-RPC errors count as failures so another provider is tried
+    if (classifyRpcError(response.data) === ERROR_CLASSES.RETRYABLE) {
+      throw new RetryableRpcError(response.data);
+    }
+
+    // Real traffic feeds the health window and the measured routing stats
+    const latency = Date.now() - startTime;
+    healthMonitor.recordResult(provider.id, { ok: true, latency });
+    providerStats.record(provider, { ok: true, latency });
 
     return response.data;
   } catch (error) {
+    if (signal?.aborted) {
+      logger.debug(`Request to ${provider.name} cancelled`);
+      throw error;
+    }
+
+    // Some providers reject invalid requests with an HTTP error status and a JSON-RPC body
+    if (classifyRpcError(error.response?.data) === ERROR_CLASSES.CLIENT) {
+      return error.response.data;
+    }
+
     logger.error(`Provider ${provider.name} failed: ${error.message}`);
 
-    // Update health on failure
-    const health = providerHealth.get(provider.id) || { consecutiveFailures: 0 };
-    providerHealth.set(provider.id, {
-      status: 'unhealthy',
-      lastCheck: new Date().toISOString(),
-      consecutiveFailures: health.consecutiveFailures + 1,
-    });
+    healthMonitor.recordResult(provider.id, { ok: false, error: error.message });
+    providerStats.record(provider, { ok: false });
 
     throw error;
   }
 }
 
 /**
- * Fetch data with automatic provider selection and fallback
+ * How long to wait for the primary before hedging:
+ * HEDGE_DELAY_MS if set, else the primary's p95 latency, else its measured average latency
+ * @param {Object} provider - Primary provider
+ * @returns {number} Delay in ms
+ */
+function hedgeDelay(provider) {
+  const delay = HEDGE_DELAY_MS
+    ?? healthMonitor.snapshot(provider.id).latency?.p95
+    ?? withMeasuredStats(provider).latency;
+  return Math.max(HEDGE_MIN_DELAY_MS, delay);
+}
+
+/**
+ * Send a request to the primary and, if it has not answered after the hedge delay
+ * (or failed before it), to the backup too. The first success wins and the other request is cancelled.
+ * @param {Object} primary - Best ranked provider
+ * @param {Object} backup - Next-best provider
  * @param {Object} body - JSON-RPC request body
- * @param {Object} options - Selection options
- * @returns {Promise<Object>} JSON-RPC response
+ * @param {number} [delayMs] - Hedge delay
+ * @returns {Promise<{response: Object, provider: Object}>} Winning response and provider
+ */
+function fetchHedged(primary, backup, body, delayMs = hedgeDelay(primary)) {
+  return new Promise((resolve, reject) => {
+    const controllers = new Map();
+    const errors = [];
+    let settled = false;
+    let timer = null;
+
+    const launch = (provider) => {
+      const controller = new AbortController();
+      controllers.set(provider.id, controller);
+
+      fetchFromProvider(provider, body, { signal: controller.signal }).then((response) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        controllers.forEach((other, id) => {
+          if (id !== provider.id) {
+            other.abort();
+          }
+        });
+        resolve({ response, provider });
+      }, (error) => {
+        errors.push(error);
+        if (settled) {
+          return;
+        }
+        // The primary failed before the hedge delay: try the backup right away
+        if (!controllers.has(backup.id)) {
+          clearTimeout(timer);
+          launch(backup);
+          return;
+        }
+        if (errors.length === controllers.size) {
+          settled = true;
+          reject(errors[0]);
+        }
+      });
+    };
+
+    launch(primary);
+    timer = setTimeout(() => {
+      if (!settled && !controllers.has(backup.id)) {
+        logger.info(`Hedging ${body.method}: ${primary.name} slower than ${delayMs}ms, racing ${backup.name}`);
+        launch(backup);
+      }
+    }, delayMs);
+  });
+}
+
+/**
+ * Selection options of a request: historical data and slot requirements plus client routing
+ * @param {Object|Object[]} body - JSON-RPC request or batch
+ * @param {Object} [routing] - Client routing options (preference, providerId, requireFeatures)
+ * @returns {Object} rankProviders options
  */
-async function fetchWithBestProvider(body, options = {}) {
-  // Determine if historical data is required
+function selectionFor(body, routing = {}) {
+  const calls = Array.isArray(body) ? body : [body];
   const historicalMethods = ['getBlock', 'getTransaction', 'getSignaturesForAddress'];
-  const requireHistorical = historicalMethods.includes(body.method);
 
-  const selectionOptions = {
-    method: body.method,
-    requireHistorical,
-    ...options,
+  return {
+    method: Array.isArray(body) ? 'batch' : body.method,
+    // Determine if historical data is required
+    requireHistorical: calls.some((call) => historicalMethods.includes(call.method)),
+    // Calls of a batch may read different slots, so only a single call is routed by slot
+    slot: Array.isArray(body) ? null : requestedSlot(body),
+    ...routing,
   };
+}
+
+/**
+ * Providers a request can be quoted for, best first
+ * @param {Object|Object[]} body - JSON-RPC request or batch
+ * @param {Object} [routing] - Client routing options
+ * @param {number} [limit] - Maximum number of providers
+ * @returns {Promise<Array<Object>>}
+ */
+async function quoteProviders(body, routing = {}, limit = Infinity) {
+  await providerRegistry.ready();
+  return rankProviders(selectionFor(body, routing)).slice(0, limit).map((ranked) => ranked.provider);
+}
+
+/**
+ * Fetch data with automatic provider selection and fallback
+ * @param {Object} body - JSON-RPC request body
+ * @param {Object} options - Client routing options (see rankProviders)
+ * @param {boolean} [options.hedge] - Race the next-best provider after the hedge delay (default HEDGE_REQUESTS)
+ * @param {Object} [context] - Receives `providerId`: the provider that answered
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function fetchWithBestProvider(body, options = {}, context = {}) {
+  const { hedge = HEDGE_REQUESTS, ...selection } = options;
+
+  await providerRegistry.ready();
+
+  const selectionOptions = selectionFor(body, selection);
+  const { slot } = selectionOptions;
 
   // Try primary provider
-  const primaryProvider = selectBestProvider(selectionOptions);
-  
+  const ranked = rankProviders(selectionOptions);
+  if (ranked.length === 0) {
+    return {
+      jsonrpc: '2.0',
+      id: body.id,
+      error: {
+        code: -32603,
+        message: selection.providerId || selection.requireFeatures?.length
+          ? 'Internal error: No enabled data provider matches the requested provider or features'
+          : selection.maxPricing !== undefined
+            ? 'Internal error: No enabled data provider at the paid price'
+            : 'Internal error: No data providers enabled',
+      },
+    };
+  }
+
+  const primaryProvider = ranked[0].provider;
+  const backupProvider = hedge ? ranked[1]?.provider : undefined;
+  const attempted = new Set([primaryProvider.id, ...(backupProvider ? [backupProvider.id] : [])]);
+  logger.info(`Selected provider: ${primaryProvider.name} (score: ${ranked[0].score.toFixed(2)})`);
+
   try {
-    return await fetchFromProvider(primaryProvider, body);
+    let response;
+    if (backupProvider) {
+      const winner = await fetchHedged(primaryProvider, backupProvider, body);
+      trackHedge(winner.provider.id, winner.provider.id === primaryProvider.id ? 'primary' : 'backup');
+      response = winner.response;
+      context.providerId = winner.provider.id;
+    } else {
+      response = await fetchFromProvider(primaryProvider, body);
+      context.providerId = primaryProvider.id;
+    }
+    learnSlots(body, response);
+    return response;
   } catch (primaryError) {
     logger.warn(`Primary provider failed, trying fallback...`);
 
-    // Try fallback provider (different from primary)
-    const fallbackCandidates = providers.filter((p) => p.id !== primaryProvider.id);
+    // Try fallback provider (different from primary), skipping providers known not to hold the slot
+    const fallbackCandidates = enabledProviders()
+      .filter((p) => !attempted.has(p.id) && matchesRouting(p, selection))
+      .filter((p) => slot === null || holdsSlot(p, slot));
     
+    let lastRpcError = primaryError instanceof RetryableRpcError ? primaryError : null;
+
     for (const fallbackProvider of fallbackCandidates) {
       try {
         logger.info(`Attempting fallback to ${fallbackProvider.name}`);
-        return await fetchFromProvider(fallbackProvider, body);
+        const response = await fetchFromProvider(fallbackProvider, body);
+        learnSlots(body, response);
+        context.providerId = fallbackProvider.id;
+        return response;
       } catch (fallbackError) {
         logger.warn(`Fallback ${fallbackProvider.name} also failed`);
+        if (fallbackError instanceof RetryableRpcError) {
+          lastRpcError = fallbackError;
+        }
         continue;
       }
     }
 
-    // All providers failed
+    // All providers failed; an upstream JSON-RPC error tells the client more than a generic one
     logger.error('All providers failed');
+    if (lastRpcError) {
+      return { ...lastRpcError.response, id: body.id };
+    }
     return {
       jsonrpc: '2.0',
       id: body.id,
@@ -226,80 +539,170 @@ async function fetchWithBestProvider(body, options = {}) {
 }
 
 /**
- * Add a new provider to the registry
- * @param {Object} providerData - Provider configuration
- * @returns {Object} Added provider
+ * Registry fields of a provider definition, with defaults for optional stats
+ * @param {Object} providerData - Provider configuration (validated by providerSchema)
+ * @returns {Object}
  */
-function addProvider(providerData) {
-  const newProvider = {
+function toProvider(providerData) {
+  return {
     id: providerData.id || `provider-${Date.now()}`,
     name: providerData.name,
     url: providerData.url,
     type: providerData.type || 'community',
-    pricing: providerData.pricing || 1.0,
-    reputation: providerData.reputation || 50,
-    uptime: providerData.uptime || 95.0,
-    latency: providerData.latency || 150,
+    pricing: providerData.pricing ?? 1.0,
+    reputation: providerData.reputation ?? 50,
+    uptime: providerData.uptime ?? 95.0,
+    latency: providerData.latency ?? 150,
     features: providerData.features || ['standard'],
+    ...(providerData.slotRange && { slotRange: providerData.slotRange }),
+    ...(providerData.payoutAddress && { payoutAddress: providerData.payoutAddress }),
     metadata: providerData.metadata || {},
   };
+}
+
+/**
+ * Add a new provider to the registry
+ * @param {Object} providerData - Provider configuration
+ * @returns {Promise<Object|null>} Added provider, or null if the ID is already registered
+ */
+async function addProvider(providerData) {
+  const newProvider = await providerRegistry.add(toProvider(providerData));
 
-  providers.push(newProvider);
-  logger.info(`Added new provider: ${newProvider.name}`);
+  if (newProvider) {
+    logger.info(`Added new provider: ${newProvider.name}`);
+  }
 
   return newProvider;
 }
 
+/**
+ * Replace a provider's configuration
+ * @param {string} providerId - Provider ID
+ * @param {Object} providerData - New provider configuration
+ * @returns {Promise<Object|null>} Updated provider, or null if unknown
+ */
+async function updateProvider(providerId, providerData) {
+  const updated = await providerRegistry.update(providerId, toProvider({ ...providerData, id: providerId }));
+
+  if (updated) {
+    // The URL may have changed, so earlier health history no longer applies
+    healthMonitor.forget(providerId);
+    providerStats.forget(providerId);
+    logger.info(`Updated provider: ${providerId}`);
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<boolean>} false if unknown
+ */
+async function removeProvider(providerId) {
+  const removed = await providerRegistry.remove(providerId);
+
+  if (removed) {
+    healthMonitor.forget(providerId);
+    providerStats.forget(providerId);
+    logger.info(`Removed provider: ${providerId}`);
+  }
+
+  return removed;
+}
+
+/**
+ * Enable or disable a provider; disabled providers are never selected for requests
+ * @param {string} providerId - Provider ID
+ * @param {boolean} enabled
+ * @returns {Promise<Object|null>} Updated provider, or null if unknown
+ */
+async function setProviderEnabled(providerId, enabled) {
+  const updated = await providerRegistry.setEnabled(providerId, enabled);
+
+  if (updated) {
+    logger.info(`Provider ${providerId} ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  return updated;
+}
+
 /**
  * Health check for a specific provider
  * @param {string} providerId - Provider ID
  * @returns {Promise<Object>} Health check result
  */
 async function healthCheckProvider(providerId) {
-  const provider = providers.find((p) => p.id === providerId);
+  await providerRegistry.ready();
+  const provider = providerRegistry.get(providerId);
   
   if (!provider) {
     throw new Error('Provider not found');
   }
 
-  try {
-    const testBody = {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'getHealth',
-    };
+  return healthMonitor.probe(provider);
+}
 
-    const startTime = Date.now();
-    await axios.post(provider.url, testBody, { timeout: 5000 });
-    const responseTime = Date.now() - startTime;
+/**
+ * Cached health of every registered provider, as last recorded by probes and proxied requests
+ * @returns {Promise<Array<Object>>}
+ */
+async function getProvidersHealth() {
+  await providerRegistry.ready();
+  return providerRegistry.list().map((provider) => ({
+    id: provider.id,
+    name: provider.name,
+    enabled: provider.enabled,
+    ...healthMonitor.snapshot(provider.id),
+  }));
+}
 
-    const health = {
-      status: 'healthy',
-      responseTime,
-      lastCheck: new Date().toISOString(),
-      consecutiveFailures: 0,
-    };
+/**
+ * Start periodic health probing of all enabled providers
+ */
+function startHealthMonitor() {
+  providerRegistry.ready().then(() => healthMonitor.start());
+}
 
-    providerHealth.set(provider.id, health);
-    return health;
-  } catch (error) {
-    const health = providerHealth.get(provider.id) || { consecutiveFailures: 0 };
-    const updatedHealth = {
-      status: 'unhealthy',
-      error: error.message,
-      lastCheck: new Date().toISOString(),
-      consecutiveFailures: health.consecutiveFailures + 1,
-    };
+/**
+ * Probe every enabled provider now, re-admitting ejected providers that recovered
+ * @returns {Promise<Array<Object>>} Health of every registered provider after the probes
+ */
+async function probeProviders() {
+  await providerRegistry.ready();
+  await healthMonitor.probeAll();
+  return getProvidersHealth();
+}
 
-    providerHealth.set(provider.id, updatedHealth);
-    return updatedHealth;
-  }
+/**
+ * Probe every enabled provider if the health check interval has passed since the last sweep.
+ * For deployments without a long-running process, where startHealthMonitor never runs.
+ * @returns {Promise<void>}
+ */
+async function sweepHealthIfDue() {
+  await providerRegistry.ready();
+  await healthMonitor.sweepIfDue();
 }
 
 module.exports = {
+  ROUTING_PREFERENCES,
   getProviders,
+  getProvider,
+  rankProviders,
   selectBestProvider,
+  quoteProviders,
   fetchWithBestProvider,
+  fetchHedged,
   addProvider,
+  updateProvider,
+  removeProvider,
+  setProviderEnabled,
   healthCheckProvider,
+  getProvidersHealth,
+  startHealthMonitor,
+  probeProviders,
+  sweepHealthIfDue,
+  providerRegistry,
+  healthMonitor,
+  providerStats,
 };
@@ -0,0 +1,80 @@
+const { isCached } = require('./oldFaithfulProxy');
+const { quoteProviders } = require('./providersService');
+const { describePrice, toAtomicUnits, fromAtomicUnits } = require('../utils/pricing');
+
+// Provider quotes offered for a request (the preferred provider first)
+const MAX_PROVIDER_QUOTES = parseInt(process.env.MAX_PROVIDER_QUOTES || '3', 10);
+
+/**
+ * Describe the priced method(s) for invoices and logs
+ * @param {Object|Object[]} requestBody - RPC request body
+ * @returns {string}
+ */
+function describeMethod(requestBody) {
+  if (Array.isArray(requestBody)) {
+    return 'batch';
+  }
+  return requestBody?.method || 'unknown';
+}
+
+/**
+ * Price one RPC call. Cache hits are not served by a provider, so its pricing does not apply.
+ * @param {Object} call - JSON-RPC request
+ * @param {Object} [provider] - Provider quoted to serve the call
+ * @returns {Promise<Object>} Price breakdown of the call
+ */
+async function quoteCall(call, provider) {
+  const cacheHit = Boolean(await isCached(call));
+  const breakdown = describePrice(call.method, call.params || [], { cacheHit, ...(!cacheHit && { provider }) });
+
+  return {
+    ...(call.id !== undefined && { id: call.id }),
+    method: call.method,
+    cacheHit,
+    ...breakdown,
+  };
+}
+
+/**
+ * Price a single RPC call or the sum of every call in a batch, as its invoice would be priced.
+ * Calls already in the response cache are priced as cache hits.
+ * @param {Object|Object[]} requestBody - RPC request body
+ * @param {Object} [provider] - Provider quoted to serve the request
+ * @returns {Promise<{amount: number, method: string, calls: Object[]}>} amount in USDC and the per-call breakdown
+ */
+async function quoteRequest(requestBody, provider) {
+  const method = describeMethod(requestBody);
+
+  if (!requestBody || (!Array.isArray(requestBody) && !requestBody.method)) {
+    return { amount: parseFloat(process.env.PRICE_PER_QUERY || '0.001'), method, calls: [] };
+  }
+
+  const calls = await Promise.all([].concat(requestBody).map((call) => quoteCall(call, provider)));
+  // Sum in base units so a batch costs exactly the sum of its calls
+  const amount = parseFloat(fromAtomicUnits(calls.reduce((sum, call) => sum + toAtomicUnits(call.price), 0)));
+
+  return { amount, method, calls };
+}
+
+/**
+ * Quote a request for each provider that may serve it, best first, up to MAX_PROVIDER_QUOTES.
+ * Without an eligible provider the request is still quoted once, unpinned (`provider` undefined).
+ * @param {Object|Object[]} requestBody - RPC request body
+ * @param {Object} [routing] - Client routing options
+ * @returns {Promise<Array<{provider?: Object, amount: number, method: string, calls: Object[]}>>}
+ */
+async function quoteForProviders(requestBody, routing = {}) {
+  const providers = requestBody ? await quoteProviders(requestBody, routing, MAX_PROVIDER_QUOTES) : [];
+
+  return Promise.all((providers.length > 0 ? providers : [undefined]).map(async (provider) => ({
+    provider,
+    ...(await quoteRequest(requestBody, provider)),
+  })));
+}
+
+module.exports = {
+  MAX_PROVIDER_QUOTES,
+  describeMethod,
+  quoteRequest,
+  quoteForProviders,
+};
@@ -0,0 +1,69 @@
+// How a JSON-RPC error returned by a provider is handled
+const ERROR_CLASSES = {
+  // The request itself is wrong: return it, never retry or penalize the provider
+  CLIENT: 'client',
+  // The provider could not serve it (behind, pruned, overloaded): try another provider
+  RETRYABLE: 'retryable',
+  // A definitive answer about the data (e.g. simulation failure): return it as-is
+  FINAL: 'final',
+};
+
+// Malformed requests, unknown methods and invalid params
+const CLIENT_ERROR_CODES = [-32700, -32600, -32601, -32602];
+
+// Provider-side conditions another provider may not share
+const RETRYABLE_ERROR_CODES = [
+  -32603, // Internal error
+  -32000, // Generic server error
+  -32001, // Block cleaned up
+  -32004, // Block not available for slot
+  -32005, // Node is unhealthy / behind
+  -32009, // Slot missing in long-term storage
+  -32011, // Transaction history not available
+  -32014, // Block status not yet available
+  -32016, // Minimum context slot not reached
+  429, // Rate limited (some providers answer with a JSON-RPC body)
+];
+
+// -32007 (slot skipped) is an answer about the slot itself: no provider has a block there,
+// so it is returned to the client like any final error
+
+/**
+ * Classify the error of a JSON-RPC response
+ * @param {Object} response - JSON-RPC response body
+ * @returns {string|null} One of ERROR_CLASSES, or null when the response is not an error
+ */
+function classifyRpcError(response) {
+  if (!response?.error) {
+    return null;
+  }
+
+  const { code } = response.error;
+  if (CLIENT_ERROR_CODES.includes(code)) {
+    return ERROR_CLASSES.CLIENT;
+  }
+  if (RETRYABLE_ERROR_CODES.includes(code)) {
+    return ERROR_CLASSES.RETRYABLE;
+  }
+  return ERROR_CLASSES.FINAL;
+}
+
+/**
+ * A provider answered with a JSON-RPC error another provider may not return
+ */
+class RetryableRpcError extends Error {
+  /**
+   * @param {Object} response - JSON-RPC error response from the provider
+   */
+  constructor(response) {
+    super(`JSON-RPC error ${response.error.code}: ${response.error.message}`);
+    this.name = 'RetryableRpcError';
+    this.response = response;
+  }
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyRpcError,
+  RetryableRpcError,
+};
@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+
+// Methods whose first param is the slot they read
+const SLOT_METHODS = ['getBlock', 'getBlockTime', 'getBlocks', 'getBlocksWithLimit', 'getBlockCommitment'];
+
+// Remembered signature -> slot pairs used to route getTransaction
+const INDEX_MAX_ENTRIES = parseInt(process.env.SIGNATURE_SLOT_INDEX_SIZE || '10000', 10);
+
+/**
+ * Slots of transactions seen in earlier responses, so getTransaction can be routed by slot.
+ * Bounded LRU in memory.
+ */
+class SignatureSlotIndex {
+  /**
+   * @param {number} [maxEntries]
+   */
+  constructor(maxEntries = INDEX_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.slots = new Map(); // Insertion order doubles as LRU order (oldest first)
+  }
+
+  /**
+   * @param {string} signature
+   * @returns {number|undefined}
+   */
+  get(signature) {
+    if (!this.slots.has(signature)) {
+      return undefined;
+    }
+    const slot = this.slots.get(signature);
+    this.slots.delete(signature);
+    this.slots.set(signature, slot);
+    return slot;
+  }
+
+  /**
+   * @param {string} signature
+   * @param {number} slot
+   */
+  set(signature, slot) {
+    this.slots.delete(signature);
+    this.slots.set(signature, slot);
+    while (this.slots.size > this.maxEntries) {
+      this.slots.delete(this.slots.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.slots.clear();
+  }
+}
+
+const signatureSlots = new SignatureSlotIndex();
+
+/**
+ * Slot a request reads, when it can be known before routing
+ * @param {Object} body - JSON-RPC request
+ * @returns {number|null}
+ */
+function requestedSlot(body) {
+  const [first] = Array.isArray(body.params) ? body.params : [];
+
+  if (SLOT_METHODS.includes(body.method) && Number.isInteger(first)) {
+    return first;
+  }
+
+  if (body.method === 'getTransaction' && typeof first === 'string') {
+    return signatureSlots.get(first) ?? null;
+  }
+
+  return null;
+}
+
+/**
+ * Remember transaction slots found in a response
+ * @param {Object} body - JSON-RPC request
+ * @param {Object} response - JSON-RPC response
+ */
+function learnSlots(body, response) {
+  const result = response?.result;
+  if (!result) {
+    return;
+  }
+
+  if (body.method === 'getTransaction' && Number.isInteger(result.slot)) {
+    signatureSlots.set(body.params[0], result.slot);
+  } else if (body.method === 'getSignaturesForAddress' && Array.isArray(result)) {
+    result
+      .filter((entry) => entry && entry.signature && Number.isInteger(entry.slot))
+      .forEach((entry) => signatureSlots.set(entry.signature, entry.slot));
+  }
+}
+
+/**
+ * Slot range a provider holds: the advertised `slotRange`, else what probing found
+ * @param {Object} provider - Registry entry
+ * @param {{first: number|null, last: number|null}} [probed] - From the health monitor
+ * @returns {{first: number, last: number|null}|null} null when unknown
+ */
+function providerSlotRange(provider, probed) {
+  if (provider.slotRange) {
+    return { first: provider.slotRange.first, last: provider.slotRange.last ?? null };
+  }
+  if (probed && Number.isInteger(probed.first)) {
+    // The latest probed slot is not an upper bound: the provider keeps ingesting new blocks
+    return { first: probed.first, last: null };
+  }
+  return null;
+}
+
+/**
+ * Whether a provider may hold a slot. Providers with an unknown range are not excluded.
+ * @param {{first: number, last: number|null}|null} range
+ * @param {number} slot
+ * @returns {boolean}
+ */
+function coversSlot(range, slot) {
+  if (!range) {
+    return true;
+  }
+  const covered = slot >= range.first && (range.last === null || slot <= range.last);
+  if (!covered) {
+    logger.debug(`Slot ${slot} outside range ${range.first}-${range.last ?? 'latest'}`);
+  }
+  return covered;
+}
+
+module.exports = {
+  SignatureSlotIndex,
+  signatureSlots,
+  requestedSlot,
+  learnSlots,
+  providerSlotRange,
+  coversSlot,
+};
@@ -0,0 +1,233 @@
+const { Connection, PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { MEMO_PROGRAM_IDS } = require('./blockchainVerifier');
+const logger = require('../utils/logger');
+
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb', // Token-2022
+];
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xLWq8vQr8JVmb5Tn6');
+
+// SPL Token instruction discriminators
+const TRANSFER = 3;
+const TRANSFER_CHECKED = 12;
+
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.SUBMIT_CONFIRM_TIMEOUT_MS || '30000', 10);
+const CONFIRM_POLL_MS = parseInt(process.env.SUBMIT_CONFIRM_POLL_MS || '1000', 10);
+
+// Initialize Solana connection
+const connection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
+  'confirmed'
+);
+
+/**
+ * Associated token account of an owner for a mint
+ * @param {string} owner - Wallet address
+ * @param {string} mint - Token mint address
+ * @param {string} tokenProgramId - Token program owning the mint
+ * @returns {string}
+ */
+function associatedTokenAddress(owner, mint, tokenProgramId) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(tokenProgramId).toBuffer(), new PublicKey(mint).toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return address.toBase58();
+}
+
+/**
+ * Check a signed, unsent transaction pays the invoice before it is submitted.
+ * Exactly one SPL token transfer of `amountAtomic` must credit the recipient's
+ * associated token account, and a memo must carry the paymentId.
+ * @param {VersionedTransaction} transaction
+ * @param {Object} params
+ * @param {string} params.paymentId - Invoice the transaction pays
+ * @param {string|number} params.amountAtomic - Expected amount in base units
+ * @param {string} params.mint - USDC mint address
+ * @param {string} params.recipient - Payment recipient wallet address
+ * @returns {{valid: boolean, reason?: string, message?: string, payer?: string}}
+ */
+function validateTransferInstructions(transaction, { paymentId, amountAtomic, mint, recipient }) {
+  const { message } = transaction;
+  const keys = message.staticAccountKeys.map((key) => key.toBase58());
+  const transfers = [];
+  const memos = [];
+
+  for (const ix of message.compiledInstructions) {
+    const programId = keys[ix.programIdIndex];
+
+    if (MEMO_PROGRAM_IDS.includes(programId)) {
+      memos.push(Buffer.from(ix.data).toString('utf8'));
+      continue;
+    }
+
+    if (!TOKEN_PROGRAM_IDS.includes(programId)) {
+      continue;
+    }
+
+    const data = Buffer.from(ix.data);
+    if (data[0] !== TRANSFER && data[0] !== TRANSFER_CHECKED) {
+      continue;
+    }
+
+    // Accounts loaded from lookup tables are not resolvable before submission
+    if (ix.accountKeyIndexes.some((index) => index >= keys.length)) {
+      return {
+        valid: false,
+        reason: 'unsupported_transaction',
+        message: 'Token transfer accounts must not come from address lookup tables',
+      };
+    }
+
+    const accounts = ix.accountKeyIndexes.map((index) => keys[index]);
+    transfers.push(data[0] === TRANSFER_CHECKED
+      ? {
+        programId,
+        destination: accounts[2],
+        mint: accounts[1],
+        authority: accounts[3],
+        amount: data.readBigUInt64LE(1),
+      }
+      : {
+        programId,
+        destination: accounts[1],
+        authority: accounts[2],
+        amount: data.readBigUInt64LE(1),
+      });
+  }
+
+  if (transfers.length !== 1) {
+    return {
+      valid: false,
+      reason: 'no_token_transfer',
+      message: `Expected exactly one SPL token transfer, found ${transfers.length}`,
+    };
+  }
+
+  const [transfer] = transfers;
+
+  if (transfer.mint && transfer.mint !== mint) {
+    return {
+      valid: false,
+      reason: 'wrong_mint',
+      message: `Wrong token mint: transaction uses ${transfer.mint}, expected ${mint} (USDC)`,
+    };
+  }
+
+  // The recipient's ATA for the USDC mint also pins the mint for unchecked transfers
+  const expectedDestination = associatedTokenAddress(recipient, mint, transfer.programId);
+  if (transfer.destination !== expectedDestination) {
+    return {
+      valid: false,
+      reason: 'wrong_recipient',
+      message: `Transfer credits ${transfer.destination}, expected ${expectedDestination} owned by ${recipient}`,
+    };
+  }
+
+  if (transfer.amount !== BigInt(amountAtomic)) {
+    return {
+      valid: false,
+      reason: 'amount_mismatch',
+      message: `Transfer of ${transfer.amount} base units, expected ${amountAtomic}`,
+    };
+  }
+
+  if (!memos.some((memo) => memo.includes(paymentId))) {
+    return {
+      valid: false,
+      reason: 'memo_mismatch',
+      message: `Transaction memo does not contain paymentId ${paymentId}`,
+    };
+  }
+
+  return { valid: true, payer: transfer.authority };
+}
+
+/**
+ * Simulate, submit and confirm a signed transaction.
+ * Resolves only once the transaction is confirmed (or failed / timed out).
+ * @param {VersionedTransaction} transaction
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - Defaults to the SOLANA_RPC_URL connection
+ * @returns {Promise<{success: boolean, transaction?: string, errorReason?: string}>}
+ */
+async function submitSignedTransaction(transaction, { connection: rpc = connection } = {}) {
+  const simulation = await rpc.simulateTransaction(transaction, { sigVerify: true });
+  if (simulation.value.err) {
+    logger.warn('Payment transaction simulation failed:', simulation.value.err);
+    return {
+      success: false,
+      errorReason: `simulation_failed: ${JSON.stringify(simulation.value.err)}`,
+    };
+  }
+
+  const signature = await rpc.sendRawTransaction(transaction.serialize(), {
+    skipPreflight: true,
+    maxRetries: 3,
+  });
+  logger.info(`Payment transaction submitted: ${signature}`);
+
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { value: [status] } = await rpc.getSignatureStatuses([signature]);
+
+    if (status?.err) {
+      return { success: false, transaction: signature, errorReason: `transaction_failed: ${JSON.stringify(status.err)}` };
+    }
+    if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+      logger.info(`Payment transaction confirmed: ${signature}`);
+      return { success: true, transaction: signature };
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, CONFIRM_POLL_MS));
+  }
+
+  return { success: false, transaction: signature, errorReason: 'confirmation_timeout' };
+}
+
+/**
+ * Whether a transaction has landed, looking through the ledger history
+ * @param {string} signature - Transaction signature
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - Defaults to the SOLANA_RPC_URL connection
+ * @returns {Promise<'confirmed'|'failed'|'unknown'>} 'unknown' while it is not (yet) on chain
+ */
+async function transactionStatus(signature, { connection: rpc = connection } = {}) {
+  const { value: [status] } = await rpc.getSignatureStatuses([signature], { searchTransactionHistory: true });
+  if (status?.err) {
+    return 'failed';
+  }
+  if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+    return 'confirmed';
+  }
+  return 'unknown';
+}
+
+/**
+ * Signature a signed transaction is known by once submitted (its fee payer's)
+ * @param {VersionedTransaction} transaction
+ * @returns {string}
+ */
+function transactionSignature(transaction) {
+  return bs58.encode(transaction.signatures[0]);
+}
+
+/**
+ * Decode the base64 transaction of an x402 payload
+ * @param {Object} paymentPayload - Validated X-PAYMENT payload
+ * @returns {VersionedTransaction}
+ */
+function transactionFromPayload(paymentPayload) {
+  return VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload.transaction, 'base64'));
+}
+
+module.exports = {
+  validateTransferInstructions,
+  submitSignedTransaction,
+  transactionStatus,
+  transactionSignature,
+  transactionFromPayload,
+  associatedTokenAddress,
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { MEMO_PROGRAM_IDS } = require('./blockchainVerifier');
+const { INVOICE_TTL_SECONDS } = require('../stores/paymentStore');
+
+// x402 protocol version implemented in spec mode
+const X402_VERSION = 1;
+
+/**
+ * Payment formats the gateway speaks:
+ * - x402: official spec (PaymentRequirements challenge, signed-transaction X-PAYMENT payload)
+ * - legacy: original gateway format ({txSignature, paymentId} after the client submits the transfer)
+ */
+const PAYMENT_FORMATS = {
+  SPEC: 'x402',
+  LEGACY: 'legacy',
+};
+
+const DEFAULT_FORMAT = process.env.X402_DEFAULT_FORMAT === PAYMENT_FORMATS.LEGACY
+  ? PAYMENT_FORMATS.LEGACY
+  : PAYMENT_FORMATS.SPEC;
+
+/**
+ * Who checks and submits signed-transaction payments: 'facilitator' or 'gateway'.
+ * Defaults to the facilitator when one is configured.
+ * @returns {string}
+ */
+function paymentSubmitter() {
+  if (process.env.PAYMENT_SUBMITTER === 'gateway' || process.env.PAYMENT_SUBMITTER === 'facilitator') {
+    return process.env.PAYMENT_SUBMITTER;
+  }
+  return process.env.FACILITATOR_VERIFY_URL ? 'facilitator' : 'gateway';
+}
+
+/**
+ * Pick the payment format for a request.
+ * A presented payment decides by its shape; otherwise the X-Payment-Format header, then the default.
+ * @param {import('express').Request} req
+ * @returns {string} - One of PAYMENT_FORMATS
+ */
+function negotiateFormat(req) {
+  if (req.validatedPayment?.format) {
+    return req.validatedPayment.format;
+  }
+
+  const requested = (req.headers['x-payment-format'] || '').toLowerCase();
+  if (requested === PAYMENT_FORMATS.LEGACY || requested === PAYMENT_FORMATS.SPEC) {
+    return requested;
+  }
+
+  return DEFAULT_FORMAT;
+}
+
+/**
+ * Absolute URL of the resource being paid for
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function resourceUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Convert a gateway accepts entry (see invoiceService) into spec PaymentRequirements
+ * @param {Object} requirement - Accepts entry from issueInvoice/describeInvoice
+ * @param {Object} context
+ * @param {string} context.resource - URL of the paid resource
+ * @param {string} [context.description] - Human readable description
+ * @returns {Object} - x402 PaymentRequirements
+ */
+function toSpecRequirement(requirement, { resource, description }) {
+  const {
+    scheme, network, amount, amountAtomic, decimals, paymentAddress, mint,
+    paymentId, expiresAt, method, asset, chain, ...extra
+  } = requirement;
+
+  return {
+    scheme,
+    network,
+    maxAmountRequired: amountAtomic,
+    resource,
+    description: description || `Solana JSON-RPC ${method}`,
+    mimeType: 'application/json',
+    payTo: paymentAddress,
+    maxTimeoutSeconds: INVOICE_TTL_SECONDS,
+    asset: mint,
+    extra: {
+      paymentId,
+      memo: paymentId,
+      amount,
+      decimals,
+      expiresAt,
+      method,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * Build the 402 body in the negotiated format
+ * @param {string} format - One of PAYMENT_FORMATS
+ * @param {Object} params
+ * @param {string} params.error - Error code
+ * @param {string} params.message - Human readable message
+ * @param {Object[]} params.requirements - Accepts entries from issueInvoice, preferred first
+ * @param {string} params.resource - URL of the paid resource
+ * @returns {Object}
+ */
+function buildChallenge(format, { error, message, requirements, resource }) {
+  if (format === PAYMENT_FORMATS.LEGACY) {
+    return { error, message, accepts: requirements };
+  }
+
+  return {
+    x402Version: X402_VERSION,
+    error,
+    message,
+    accepts: requirements.map((requirement) => toSpecRequirement(requirement, { resource })),
+  };
+}
+
+/**
+ * Decode a base64 signed transaction from a spec X-PAYMENT payload.
+ * Every signer except the fee payer must have signed. The fee payer's signature is only
+ * optional when the facilitator submits the transaction, as it pays the fees and signs last.
+ * @param {string} base64Transaction
+ * @returns {{transaction: VersionedTransaction, txSignature: string, messageHash: string, memos: string[]}}
+ *   `txSignature` is the fee payer's signature, or the payer's while the fee payer has not signed;
+ *   `messageHash` identifies the transaction whoever signs it and keys replay protection
+ * @throws {Error} If the transaction cannot be deserialized or is missing a signature
+ */
+function decodeSignedTransaction(base64Transaction) {
+  const transaction = VersionedTransaction.deserialize(Buffer.from(base64Transaction, 'base64'));
+  const signed = transaction.signatures.map((signature) => signature.some((byte) => byte !== 0));
+
+  if (signed.length === 0 || (!signed[0] && paymentSubmitter() !== 'facilitator')) {
+    throw new Error('Transaction is not signed by its fee payer');
+  }
+  if (!signed.slice(1).every(Boolean) || !signed.some(Boolean)) {
+    throw new Error('Transaction is missing a payer signature');
+  }
+
+  // Program ids are always static account keys, so lookups are not needed here
+  const keys = transaction.message.staticAccountKeys;
+  const memos = transaction.message.compiledInstructions
+    .filter((ix) => MEMO_PROGRAM_IDS.includes(keys[ix.programIdIndex]?.toBase58()))
+    .map((ix) => Buffer.from(ix.data).toString('utf8'));
+
+  return {
+    transaction,
+    txSignature: bs58.encode(transaction.signatures[signed.indexOf(true)]),
+    messageHash: bs58.encode(crypto.createHash('sha256').update(transaction.message.serialize()).digest()),
+    memos,
+  };
+}
+
+/**
+ * Encode the X-PAYMENT-RESPONSE settlement receipt in the negotiated format
+ * @param {string} format - One of PAYMENT_FORMATS
+ * @param {Object} receipt
+ * @param {string} receipt.txSignature
+ * @param {string} receipt.paymentId
+ * @param {boolean} receipt.settled
+ * @param {string} [receipt.payer]
+ * @param {string} [receipt.network]
+ * @returns {string} - Base64 JSON header value
+ */
+function encodePaymentResponse(format, { txSignature, paymentId, settled, payer, network }) {
+  const body = format === PAYMENT_FORMATS.LEGACY
+    ? { txSignature, paymentId, settled }
+    : {
+      success: settled,
+      transaction: txSignature,
+      network,
+      payer: payer || null,
+      paymentId,
+    };
+
+  return Buffer.from(JSON.stringify(body)).toString('base64');
+}
+
+module.exports = {
+  X402_VERSION,
+  PAYMENT_FORMATS,
+  paymentSubmitter,
+  negotiateFormat,
+  resourceUrl,
+  toSpecRequirement,
+  buildChallenge,
+  decodeSignedTransaction,
+  encodePaymentResponse,
+};
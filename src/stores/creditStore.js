@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { paymentStore, activeRedis } = require('./paymentStore');
+
+// Number of ledger entries kept per account
+const HISTORY_LIMIT = parseInt(process.env.CREDIT_HISTORY_LIMIT || '100', 10);
+
+// Atomically debit a balance: returns the new balance, -1 for unknown account, -2 if insufficient
+const DEBIT_SCRIPT = `
+local balance = redis.call('GET', KEYS[1])
+if not balance then return -1 end
+if tonumber(balance) < tonumber(ARGV[1]) then return -2 end
+return redis.call('DECRBY', KEYS[1], ARGV[1])
+`;
+
+/**
+ * Prepaid credit ledger keyed by API key.
+ * Shares the Redis connection (and in-memory fallback behaviour) of the payment store.
+ * Balances are integer USDC base units so debits never accumulate float drift.
+ */
+class CreditStore {
+  /**
+   * @param {import('./paymentStore').PaymentStore} backingStore - Store owning the Redis connection
+   */
+  constructor(backingStore = paymentStore) {
+    this.backingStore = backingStore;
+    this.accounts = new Map(); // In-memory fallback: keyHash -> { balance, history }
+  }
+
+  /**
+   * API keys are never stored in clear text
+   * @param {string} apiKey
+   * @returns {string}
+   */
+  static hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Create a new credit account with a zero balance
+   * @returns {Promise<string>} Newly generated API key
+   */
+  async createAccount() {
+    const apiKey = `shh_${crypto.randomBytes(24).toString('hex')}`;
+    const keyHash = CreditStore.hashKey(apiKey);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        await redis.set(`credits:${keyHash}:balance`, 0, 'NX');
+        logger.debug('Credit account created in Redis');
+        return apiKey;
+      } catch (error) {
+        logger.warn(`Redis createAccount failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    this.accounts.set(keyHash, { balance: 0, history: [] });
+    logger.debug('Credit account created in memory');
+    return apiKey;
+  }
+
+  /**
+   * Credit a deposit to an account
+   * @param {string} apiKey
+   * @param {number} amount - Amount in USDC base units
+   * @param {Object} [details] - Extra fields recorded in the history entry (txSignature, paymentId)
+   * @returns {Promise<number|null>} New balance, or null for an unknown account
+   */
+  async deposit(apiKey, amount, details = {}) {
+    return this.credit(apiKey, amount, { type: 'deposit', ...details });
+  }
+
+  /**
+   * Return a debit whose request could not be served
+   * @param {string} apiKey
+   * @param {number} amount - Amount in USDC base units
+   * @param {Object} [details] - Extra fields recorded in the history entry (method, reason)
+   * @returns {Promise<number|null>} New balance, or null for an unknown account
+   */
+  async refund(apiKey, amount, details = {}) {
+    return this.credit(apiKey, amount, { type: 'refund', ...details });
+  }
+
+  /**
+   * Add to an account balance and record the history entry
+   * @param {string} apiKey
+   * @param {number} amount - Amount in USDC base units
+   * @param {Object} entry - History entry (type and details)
+   * @returns {Promise<number|null>} New balance, or null for an unknown account
+   */
+  async credit(apiKey, amount, entry) {
+    const keyHash = CreditStore.hashKey(apiKey);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      let balance;
+      try {
+        if (!(await redis.exists(`credits:${keyHash}:balance`))) {
+          return null;
+        }
+        balance = await redis.incrby(`credits:${keyHash}:balance`, amount);
+      } catch (error) {
+        logger.warn(`Redis ${entry.type} failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+      // Once the balance changed in Redis the fallback must not apply it a second time
+      if (balance !== undefined) {
+        await this.appendHistory(keyHash, { ...entry, amount, balance });
+        return balance;
+      }
+    }
+
+    const account = this.accounts.get(keyHash);
+    if (!account) {
+      return null;
+    }
+    account.balance += amount;
+    await this.appendHistory(keyHash, { ...entry, amount, balance: account.balance });
+    return account.balance;
+  }
+
+  /**
+   * Atomically debit an account if it holds enough credit
+   * @param {string} apiKey
+   * @param {number} amount - Amount in USDC base units
+   * @param {Object} [details] - Extra fields recorded in the history entry (method)
+   * @returns {Promise<{ok: boolean, balance?: number, reason?: string}>}
+   */
+  async debit(apiKey, amount, details = {}) {
+    const keyHash = CreditStore.hashKey(apiKey);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      let result;
+      try {
+        result = await redis.eval(DEBIT_SCRIPT, 1, `credits:${keyHash}:balance`, amount);
+        if (result === -1) {
+          return { ok: false, reason: 'unknown_account' };
+        }
+        if (result === -2) {
+          const balance = parseInt(await redis.get(`credits:${keyHash}:balance`), 10);
+          return { ok: false, reason: 'insufficient_credits', balance };
+        }
+      } catch (error) {
+        logger.warn(`Redis debit failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+      // Once DECRBY applied the debit the fallback must not debit a second time
+      if (result !== undefined) {
+        await this.appendHistory(keyHash, { type: 'debit', amount, balance: result, ...details });
+        return { ok: true, balance: result };
+      }
+    }
+
+    // Check-and-decrement runs synchronously, so it cannot interleave with another debit
+    const account = this.accounts.get(keyHash);
+    if (!account) {
+      return { ok: false, reason: 'unknown_account' };
+    }
+    if (account.balance < amount) {
+      return { ok: false, reason: 'insufficient_credits', balance: account.balance };
+    }
+    account.balance -= amount;
+    await this.appendHistory(keyHash, { type: 'debit', amount, balance: account.balance, ...details });
+    return { ok: true, balance: account.balance };
+  }
+
+  /**
+   * Get balance and most recent history for an account
+   * @param {string} apiKey
+   * @returns {Promise<{balance: number, history: Object[]}|undefined>}
+   */
+  async getAccount(apiKey) {
+    const keyHash = CreditStore.hashKey(apiKey);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        const [balance, history] = await Promise.all([
+          redis.get(`credits:${keyHash}:balance`),
+          redis.lrange(`credits:${keyHash}:history`, 0, HISTORY_LIMIT - 1),
+        ]);
+        if (balance === null) {
+          return undefined;
+        }
+        return {
+          balance: parseInt(balance, 10),
+          history: history.map((entry) => JSON.parse(entry)),
+        };
+      } catch (error) {
+        logger.warn(`Redis getAccount failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    const account = this.accounts.get(keyHash);
+    if (!account) {
+      return undefined;
+    }
+    return { balance: account.balance, history: account.history.slice() };
+  }
+
+  /**
+   * Record a ledger entry (newest first, capped at HISTORY_LIMIT)
+   * @param {string} keyHash
+   * @param {Object} entry
+   */
+  async appendHistory(keyHash, entry) {
+    const record = { ...entry, at: new Date().toISOString() };
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      // The balance already changed in Redis: a lost history entry must not undo or repeat it
+      try {
+        await redis
+          .multi()
+          .lpush(`credits:${keyHash}:history`, JSON.stringify(record))
+          .ltrim(`credits:${keyHash}:history`, 0, HISTORY_LIMIT - 1)
+          .exec();
+      } catch (error) {
+        logger.warn(`Redis credit history append failed: ${error.message}`);
+      }
+      return;
+    }
+
+    const account = this.accounts.get(keyHash);
+    if (account) {
+      account.history.unshift(record);
+      account.history.length = Math.min(account.history.length, HISTORY_LIMIT);
+    }
+  }
+}
+
+// Singleton instance
+const creditStore = new CreditStore();
+
+module.exports = { creditStore, CreditStore };
@@ -0,0 +1,554 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { paymentStore, activeRedis } = require('./paymentStore');
+const { REGISTRY_BACKENDS } = require('./providerRegistry');
+
+// Persisted like the provider registry unless configured otherwise: 'file' (JSON), 'redis' or 'memory'
+const LEDGER_BACKEND = process.env.EARNINGS_LEDGER_BACKEND
+  || process.env.PROVIDER_REGISTRY_BACKEND
+  || REGISTRY_BACKENDS.FILE;
+const LEDGER_PATH = process.env.EARNINGS_LEDGER_PATH || path.join(process.cwd(), 'data', 'earnings.json');
+
+// Number of ledger entries kept per provider
+const HISTORY_LIMIT = parseInt(process.env.EARNINGS_HISTORY_LIMIT || '100', 10);
+
+// Lifecycle of a payout: reserved before the transfer is sent, then paid, failed (reverted) or
+// unconfirmed (possibly sent, kept reserved until reconciled)
+const PAYOUT_STATUSES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  UNCONFIRMED: 'unconfirmed',
+};
+
+// Reserve a payout only if the provider's unpaid balance covers it, so concurrent runs never overdraw it.
+// KEYS: provider hash, provider history, payouts hash, providers set.
+// ARGV: amount, history entry JSON, history limit, payoutId, payout record JSON, providerId.
+// Returns 1 when reserved, 0 when the balance is short
+const RESERVE_PAYOUT_SCRIPT = `
+local earned = tonumber(redis.call('HGET', KEYS[1], 'earned') or '0')
+local paidOut = tonumber(redis.call('HGET', KEYS[1], 'paidOut') or '0')
+if earned - paidOut < tonumber(ARGV[1]) then return 0 end
+redis.call('SADD', KEYS[4], ARGV[6])
+redis.call('HINCRBY', KEYS[1], 'paidOut', ARGV[1])
+redis.call('LPUSH', KEYS[2], ARGV[2])
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[3]) - 1)
+redis.call('HSET', KEYS[3], ARGV[4], ARGV[5])
+return 1
+`;
+
+// Delete the payout lock only if it is still held by the given token
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+const TOTAL_FIELDS = ['total', 'gateway', 'providers', 'transactions'];
+const ACCOUNT_FIELDS = ['earned', 'paidOut', 'requests'];
+
+/**
+ * Revenue ledger: what the gateway and each provider earned, and what providers were paid out.
+ * Amounts are integer USDC base units so accruals never accumulate float drift.
+ */
+class EarningsLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.backend] - One of REGISTRY_BACKENDS
+   * @param {string} [options.filePath] - JSON file used by the file backend
+   * @param {import('./paymentStore').PaymentStore} [options.backingStore] - Store owning the Redis connection
+   */
+  constructor({
+    backend = LEDGER_BACKEND,
+    filePath = LEDGER_PATH,
+    backingStore = paymentStore,
+  } = {}) {
+    this.backend = backend;
+    this.filePath = filePath;
+    this.backingStore = backingStore;
+    this.totals = EarningsLedger.emptyTotals();
+    this.accounts = new Map(); // providerId -> { earned, paidOut, requests, history }
+    this.payouts = new Map(); // payoutId -> payout record
+    this.payoutLock = null; // In-memory fallback: { token, expiresAt }
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Redis client when the redis backend is configured and the backing store currently uses Redis
+   * @returns {import('ioredis').Redis|null}
+   */
+  get redis() {
+    return this.backend === REGISTRY_BACKENDS.REDIS ? activeRedis(this.backingStore) : null;
+  }
+
+  /**
+   * @returns {{total: number, gateway: number, providers: number, transactions: number}}
+   */
+  static emptyTotals() {
+    return { total: 0, gateway: 0, providers: 0, transactions: 0 };
+  }
+
+  /**
+   * @returns {{earned: number, paidOut: number, requests: number, history: Object[]}}
+   */
+  static emptyAccount() {
+    return { earned: 0, paidOut: 0, requests: 0, history: [] };
+  }
+
+  /**
+   * Parse integer fields of a Redis hash, missing fields being 0
+   * @param {Object} hash
+   * @param {string[]} fields
+   * @returns {Object}
+   */
+  static parseCounters(hash, fields) {
+    return Object.fromEntries(fields.map((field) => [field, parseInt(hash?.[field] || '0', 10)]));
+  }
+
+  /**
+   * Load the file backend once
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.loading) {
+      this.loading = this.backend === REGISTRY_BACKENDS.FILE ? this.load() : Promise.resolve();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Replace the in-memory ledger with the file contents
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Never overwrite a ledger we could not parse
+        logger.error(`Earnings ledger ${this.filePath} unreadable: ${error.message}`);
+        this.backend = REGISTRY_BACKENDS.MEMORY;
+      }
+      return;
+    }
+
+    this.totals = { ...EarningsLedger.emptyTotals(), ...stored.totals };
+    this.accounts = new Map(Object.entries(stored.accounts || {})
+      .map(([providerId, account]) => [providerId, { ...EarningsLedger.emptyAccount(), ...account }]));
+    this.payouts = new Map(Object.entries(stored.payouts || {}));
+    logger.info(`Earnings ledger loaded ${this.accounts.size} provider accounts`);
+  }
+
+  /**
+   * Accrue a paid request: the gateway share and each serving provider's share
+   * @param {Object} entry
+   * @param {number} entry.amount - Amount paid in USDC base units
+   * @param {number} entry.gatewayShare - Gateway share in USDC base units
+   * @param {Array<{providerId: string, amount: number, requests: number}>} entry.providerShares
+   * @param {Object} [details] - Extra fields recorded in each provider's history entry (paymentId, method)
+   * @returns {Promise<void>}
+   */
+  async accrue({ amount, gatewayShare, providerShares }, details = {}) {
+    const at = new Date().toISOString();
+    const attributed = providerShares.reduce((sum, share) => sum + share.amount, 0);
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const multi = redis
+          .multi()
+          .hincrby('earnings:totals', 'total', amount)
+          .hincrby('earnings:totals', 'gateway', gatewayShare)
+          .hincrby('earnings:totals', 'providers', attributed)
+          .hincrby('earnings:totals', 'transactions', 1);
+        providerShares.forEach(({ providerId, amount: share, requests }) => {
+          const entry = { type: 'earning', amount: share, requests, ...details, at };
+          multi
+            .sadd('earnings:providers', providerId)
+            .hincrby(`earnings:provider:${providerId}`, 'earned', share)
+            .hincrby(`earnings:provider:${providerId}`, 'requests', requests)
+            .lpush(`earnings:provider:${providerId}:history`, JSON.stringify(entry))
+            .ltrim(`earnings:provider:${providerId}:history`, 0, HISTORY_LIMIT - 1);
+        });
+        await multi.exec();
+        return;
+      } catch (error) {
+        logger.warn(`Redis earnings accrual failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    this.totals.total += amount;
+    this.totals.gateway += gatewayShare;
+    this.totals.providers += attributed;
+    this.totals.transactions += 1;
+    providerShares.forEach(({ providerId, amount: share, requests }) => {
+      const account = this.account(providerId);
+      account.earned += share;
+      account.requests += requests;
+      this.appendHistory(account, { type: 'earning', amount: share, requests, ...details, at });
+    });
+    await this.persist();
+  }
+
+  /**
+   * Reserve a provider's balance for a payout before the transfer is sent, so it is never paid twice.
+   * The balance check and the reservation are one atomic step.
+   * @param {Object} payout
+   * @param {string} payout.payoutId
+   * @param {string} payout.providerId
+   * @param {number} payout.amount - USDC base units
+   * @param {string} payout.address - Wallet the payout is sent to
+   * @param {string} [payout.batchId] - Transfer transaction the payout is part of
+   * @returns {Promise<Object|null>} Pending payout record, or null when the unpaid balance no longer covers it
+   */
+  async reservePayout({ payoutId, providerId, amount, address, batchId }) {
+    const now = new Date().toISOString();
+    const record = {
+      payoutId, providerId, amount, address, batchId, status: PAYOUT_STATUSES.PENDING, createdAt: now, updatedAt: now,
+    };
+    const entry = { type: 'payout', amount, payoutId, at: now };
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const reserved = await redis.eval(
+          RESERVE_PAYOUT_SCRIPT,
+          4,
+          `earnings:provider:${providerId}`,
+          `earnings:provider:${providerId}:history`,
+          'earnings:payouts',
+          'earnings:providers',
+          amount,
+          JSON.stringify(entry),
+          HISTORY_LIMIT,
+          payoutId,
+          JSON.stringify(record),
+          providerId
+        );
+        return reserved === 1 ? record : null;
+      } catch (error) {
+        logger.warn(`Redis payout reservation failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    const account = this.account(providerId);
+    if (account.earned - account.paidOut < amount) {
+      return null;
+    }
+    account.paidOut += amount;
+    this.appendHistory(account, entry);
+    this.payouts.set(payoutId, record);
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Take the payout lock so only one instance pays providers at a time
+   * @param {number} ttlMs - How long the lock is held unless released first
+   * @returns {Promise<string|null>} Token releasing the lock, or null if another run holds it
+   */
+  async lockPayouts(ttlMs) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const result = await redis.set('earnings:payouts:lock', token, 'PX', ttlMs, 'NX');
+        return result === 'OK' ? token : null;
+      } catch (error) {
+        logger.warn(`Redis payout lock failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    const now = Date.now();
+    if (this.payoutLock && this.payoutLock.expiresAt > now) {
+      return null;
+    }
+    this.payoutLock = { token, expiresAt: now + ttlMs };
+    return token;
+  }
+
+  /**
+   * Release the payout lock if it is still held by token
+   * @param {string} token - From lockPayouts
+   * @returns {Promise<void>}
+   */
+  async unlockPayouts(token) {
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        await redis.eval(UNLOCK_SCRIPT, 1, 'earnings:payouts:lock', token);
+        return;
+      } catch (error) {
+        logger.warn(`Redis payout unlock failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    if (this.payoutLock?.token === token) {
+      this.payoutLock = null;
+    }
+  }
+
+  /**
+   * Record the outcome of a reserved payout. A failed payout returns its amount to the provider's balance.
+   * @param {string} payoutId
+   * @param {Object} outcome
+   * @param {string} outcome.status - PAID, FAILED or UNCONFIRMED
+   * @param {string} [outcome.signature] - Transfer transaction signature
+   * @param {string} [outcome.error]
+   * @param {number} [outcome.lastValidBlockHeight] - Block height after which an unconfirmed transfer can no longer land
+   * @returns {Promise<Object|null>} Updated payout record, or null if unknown
+   */
+  async completePayout(payoutId, { status, signature, error: reason, lastValidBlockHeight }) {
+    const payout = await this.getPayout(payoutId);
+    if (!payout) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      ...payout,
+      status,
+      ...(signature && { signature }),
+      ...(reason && { error: reason }),
+      ...(lastValidBlockHeight !== undefined && { lastValidBlockHeight }),
+      updatedAt: now,
+    };
+    // The record reflects the latest outcome: an error from an earlier attempt does not carry over
+    if (!reason) {
+      delete record.error;
+    }
+    const reverted = status === PAYOUT_STATUSES.FAILED && payout.status !== PAYOUT_STATUSES.FAILED;
+    const entry = { type: 'payout_reverted', amount: payout.amount, payoutId, at: now };
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const multi = redis.multi().hset('earnings:payouts', payoutId, JSON.stringify(record));
+        if (reverted) {
+          multi
+            .hincrby(`earnings:provider:${payout.providerId}`, 'paidOut', -payout.amount)
+            .lpush(`earnings:provider:${payout.providerId}:history`, JSON.stringify(entry))
+            .ltrim(`earnings:provider:${payout.providerId}:history`, 0, HISTORY_LIMIT - 1);
+        }
+        await multi.exec();
+        return record;
+      } catch (error) {
+        logger.warn(`Redis payout update failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    if (reverted) {
+      const account = this.account(payout.providerId);
+      account.paidOut -= payout.amount;
+      this.appendHistory(account, entry);
+    }
+    this.payouts.set(payoutId, record);
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * @param {string} payoutId
+   * @returns {Promise<Object|null>}
+   */
+  async getPayout(payoutId) {
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const stored = await redis.hget('earnings:payouts', payoutId);
+        return stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        logger.warn(`Redis payout lookup failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    return this.payouts.get(payoutId) || null;
+  }
+
+  /**
+   * Payout records, newest first
+   * @param {string} [providerId] - Only this provider's payouts
+   * @returns {Promise<Object[]>}
+   */
+  async listPayouts(providerId) {
+    let payouts;
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        payouts = Object.values(await redis.hgetall('earnings:payouts') || {}).map((value) => JSON.parse(value));
+      } catch (error) {
+        logger.warn(`Redis payout listing failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    if (!payouts) {
+      await this.ready();
+      payouts = Array.from(this.payouts.values());
+    }
+
+    return payouts
+      .filter((payout) => !providerId || payout.providerId === providerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * In-memory account of a provider, created on first use
+   * @param {string} providerId
+   * @returns {Object}
+   */
+  account(providerId) {
+    if (!this.accounts.has(providerId)) {
+      this.accounts.set(providerId, EarningsLedger.emptyAccount());
+    }
+    return this.accounts.get(providerId);
+  }
+
+  /**
+   * Record an in-memory history entry (newest first, capped at HISTORY_LIMIT)
+   * @param {Object} account
+   * @param {Object} entry
+   */
+  appendHistory(account, entry) {
+    account.history.unshift(entry);
+    account.history.splice(HISTORY_LIMIT);
+  }
+
+  /**
+   * Earnings of one provider; providers that never earned have an empty account
+   * @param {string} providerId
+   * @returns {Promise<{providerId: string, earned: number, paidOut: number, balance: number, requests: number, history: Object[]}>}
+   */
+  async getAccount(providerId) {
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const [counters, history] = await Promise.all([
+          redis.hgetall(`earnings:provider:${providerId}`),
+          redis.lrange(`earnings:provider:${providerId}:history`, 0, HISTORY_LIMIT - 1),
+        ]);
+        return EarningsLedger.describe(providerId, {
+          ...EarningsLedger.parseCounters(counters, ACCOUNT_FIELDS),
+          history: history.map((entry) => JSON.parse(entry)),
+        });
+      } catch (error) {
+        logger.warn(`Redis earnings lookup failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    const account = this.accounts.get(providerId) || EarningsLedger.emptyAccount();
+    return EarningsLedger.describe(providerId, { ...account, history: account.history.slice() });
+  }
+
+  /**
+   * Earnings of every provider that has an account, without history
+   * @returns {Promise<Array<{providerId: string, earned: number, paidOut: number, balance: number, requests: number}>>}
+   */
+  async listAccounts() {
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        const providerIds = await redis.smembers('earnings:providers');
+        const counters = await Promise.all(providerIds.map((id) => redis.hgetall(`earnings:provider:${id}`)));
+        return providerIds.map((providerId, i) => {
+          const { history, ...summary } = EarningsLedger.describe(providerId, {
+            ...EarningsLedger.parseCounters(counters[i], ACCOUNT_FIELDS),
+            history: [],
+          });
+          return summary;
+        });
+      } catch (error) {
+        logger.warn(`Redis earnings listing failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    return Array.from(this.accounts.entries()).map(([providerId, account]) => {
+      const { history, ...summary } = EarningsLedger.describe(providerId, account);
+      return summary;
+    });
+  }
+
+  /**
+   * Revenue totals across all requests
+   * @returns {Promise<{total: number, gateway: number, providers: number, transactions: number}>}
+   */
+  async getTotals() {
+    const redis = this.redis;
+
+    if (redis) {
+      try {
+        return EarningsLedger.parseCounters(await redis.hgetall('earnings:totals'), TOTAL_FIELDS);
+      } catch (error) {
+        logger.warn(`Redis earnings totals failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    await this.ready();
+    return { ...this.totals };
+  }
+
+  /**
+   * Account as returned to callers
+   * @param {string} providerId
+   * @param {Object} account
+   * @returns {Object}
+   */
+  static describe(providerId, { earned, paidOut, requests, history }) {
+    return { providerId, earned, paidOut, balance: earned - paidOut, requests, history };
+  }
+
+  /**
+   * Write the in-memory ledger to the file backend. Writes are serialized so a slow
+   * write never lands after a newer one.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (this.backend !== REGISTRY_BACKENDS.FILE) {
+      return Promise.resolve();
+    }
+
+    this.writing = this.writing.then(async () => {
+      try {
+        await writeFileAtomic(this.filePath, JSON.stringify({
+          totals: this.totals,
+          accounts: Object.fromEntries(this.accounts),
+          payouts: Object.fromEntries(this.payouts),
+        }, null, 2));
+      } catch (error) {
+        logger.error(`Failed to write earnings ledger ${this.filePath}: ${error.message}`);
+      }
+    });
+    return this.writing;
+  }
+}
+
+const earningsLedger = new EarningsLedger();
+
+module.exports = { EarningsLedger, earningsLedger, PAYOUT_STATUSES };
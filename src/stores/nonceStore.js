@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+const { paymentStore, activeRedis } = require('./paymentStore');
+
+/**
+ * Single-use nonces, each remembered for as long as a replay could be accepted.
+ * Shares the Redis connection (and in-memory fallback behaviour) of the payment store.
+ */
+class NonceStore {
+  /**
+   * @param {string} prefix - Redis key prefix
+   * @param {import('./paymentStore').PaymentStore} backingStore - Store owning the Redis connection
+   */
+  constructor(prefix, backingStore = paymentStore) {
+    this.prefix = prefix;
+    this.backingStore = backingStore;
+    this.seen = new Map(); // In-memory fallback: nonce -> expiry (ms)
+  }
+
+  /**
+   * Atomically record a nonce unless it is already in use
+   * @param {string} nonce
+   * @param {number} ttlSeconds - How long the nonce stays in use
+   * @returns {Promise<boolean>} false if the nonce was used within its lifetime
+   */
+  async use(nonce, ttlSeconds) {
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        const result = await redis.set(`${this.prefix}:${nonce}`, '1', 'EX', ttlSeconds, 'NX');
+        return result === 'OK';
+      } catch (error) {
+        logger.warn(`Redis nonce check failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    // Check-and-set is synchronous, so a concurrent replay cannot slip in between
+    const now = Date.now();
+    this.seen.forEach((expiresAt, seenNonce) => {
+      if (expiresAt <= now) {
+        this.seen.delete(seenNonce);
+      }
+    });
+    if (this.seen.has(nonce)) {
+      return false;
+    }
+    this.seen.set(nonce, now + ttlSeconds * 1000);
+    return true;
+  }
+}
+
+// Nonces of HMAC-signed admin requests
+const adminNonceStore = new NonceStore('admin:nonce');
+
+module.exports = { NonceStore, adminNonceStore };
@@ -1,6 +1,69 @@
 const logger = require('../utils/logger');
 const Redis = require('ioredis');
 
+// How long an invoice can be paid (default 15 minutes)
+const INVOICE_TTL_SECONDS = parseInt(process.env.INVOICE_TTL_SECONDS || '900', 10);
+
+// How long an expired invoice is kept so it can be reported as expired rather than unknown
+const INVOICE_RETENTION_SECONDS = parseInt(process.env.INVOICE_RETENTION_SECONDS || '3600', 10);
+
+// How long a claimed invoice may stay in verification before another attempt can reclaim it
+// (default 2 minutes, longer than verification plus settlement confirmation)
+const CLAIM_TIMEOUT_SECONDS = parseInt(process.env.INVOICE_CLAIM_TIMEOUT_SECONDS || '120', 10);
+
+// How long a consumed transaction signature is remembered (default 90 days)
+const SIGNATURE_TTL_SECONDS = parseInt(process.env.SIGNATURE_REPLAY_TTL_SECONDS || String(90 * 24 * 60 * 60), 10);
+
+// Reserve a signature unless another invoice holds it; the holding invoice may reserve it again
+// (a reclaimed invoice retries with the transfer its abandoned attempt had reserved)
+const CONSUME_SIGNATURE_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if holder and holder ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return 1
+`;
+
+// Delete a consumed signature only if it is still held by the given paymentId
+const RELEASE_SIGNATURE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Invoice lifecycle: pending -> verifying -> used (verifying -> pending on rollback)
+const INVOICE_STATUS = {
+  PENDING: 'pending',
+  VERIFYING: 'verifying',
+  USED: 'used',
+};
+
+// Atomically move an invoice between lifecycle states, keeping its TTL.
+// ARGV: expected status, next status, JSON fields to merge, expiry cutoff (ms, '' to skip),
+// stale claim cutoff (ms, '' to skip): a verifying invoice claimed at or before it counts as pending.
+// Returns [outcome, invoice JSON]
+const TRANSITION_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return {'not_found', ''} end
+local invoice = cjson.decode(data)
+local status = invoice.status
+if not status then
+  if invoice.used then status = 'used' else status = 'pending' end
+end
+if status == 'verifying' and ARGV[5] ~= '' and invoice.claimedAt and tonumber(invoice.claimedAt) <= tonumber(ARGV[5]) then
+  status = 'pending'
+end
+if status ~= ARGV[1] then return {status, data} end
+if ARGV[4] ~= '' and invoice.expiresAt and tonumber(invoice.expiresAt) <= tonumber(ARGV[4]) then
+  return {'expired', data}
+end
+for field, value in pairs(cjson.decode(ARGV[3])) do invoice[field] = value end
+invoice.status = ARGV[2]
+local updated = cjson.encode(invoice)
+redis.call('SET', KEYS[1], updated, 'KEEPTTL')
+return {'ok', updated}
+`;
+
 /**
  * Payment store with Redis persistence and automatic fallback to in-memory Map
  * Supports clustering and persistence while maintaining resilience
@@ -8,19 +71,25 @@ const Redis = require('ioredis');
 class PaymentStore {
   constructor() {
     this.invoices = new Map(); // In-memory fallback
+    this.consumedSignatures = new Map(); // In-memory fallback: txSignature -> { paymentId, consumedAt }
+    this.locks = new Map(); // In-memory fallback: paymentId -> tail of the per-invoice lock chain
     this.cleanupInterval = 15 * 60 * 1000; // 15 minutes
+    this.ttlSeconds = INVOICE_TTL_SECONDS;
+    this.claimTimeoutSeconds = CLAIM_TIMEOUT_SECONDS;
     this.redis = null;
     this.useRedis = false;
 
-    // Try to connect to Redis
-    this.initRedis();
+    // Try to connect to Redis; stores loading state from Redis wait for the outcome
+    this.redisReady = this.initRedis();
 
-    // Auto-cleanup expired invoices
-    setInterval(() => this.cleanup(), this.cleanupInterval);
+    // Auto-cleanup expired invoices; the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+    this.cleanupTimer.unref();
   }
 
   /**
    * Initialize Redis connection with automatic fallback
+   * @returns {Promise<void>} Resolves once Redis is usable or the in-memory fallback is in effect
    */
   async initRedis() {
     const redisUrl = process.env.REDIS_URL || '';
@@ -61,6 +130,16 @@ class PaymentStore {
         this.useRedis = false;
       });
 
+      // Commands fail without an offline queue, so wait for the connection before testing it
+      await new Promise((resolve, reject) => {
+        if (this.redis.status === 'ready') {
+          resolve();
+          return;
+        }
+        this.redis.once('ready', resolve);
+        this.redis.once('end', () => reject(new Error('connection ended')));
+      });
+
       // Test connection
       await this.redis.ping();
       this.useRedis = true;
@@ -76,24 +155,29 @@ class PaymentStore {
    * Create a new payment invoice
    * @param {string} paymentId - Unique payment ID
    * @param {Object} data - Invoice data
+   * @returns {Promise<Object>} - The stored invoice (with createdAt and expiresAt)
    */
   async create(paymentId, data) {
+    const createdAt = data.createdAt || Date.now();
     const invoice = {
       ...data,
-      createdAt: data.createdAt || Date.now(),
+      createdAt,
+      expiresAt: data.expiresAt || createdAt + this.ttlSeconds * 1000,
+      status: INVOICE_STATUS.PENDING,
       used: false,
     };
 
     // Try Redis first
     if (this.useRedis && this.redis) {
       try {
+        // Kept past expiry for the retention window so late payments get a clear error
         await this.redis.setex(
           `payment:${paymentId}`,
-          900, // 15 minutes TTL
+          this.ttlSeconds + INVOICE_RETENTION_SECONDS,
           JSON.stringify(invoice)
         );
         logger.debug(`Payment invoice created in Redis: ${paymentId}`);
-        return;
+        return invoice;
       } catch (error) {
         logger.warn(`Redis create failed: ${error.message}, using fallback`);
         this.useRedis = false;
@@ -103,6 +187,7 @@ class PaymentStore {
     // Fallback to in-memory
     this.invoices.set(paymentId, invoice);
     logger.debug(`Payment invoice created in memory: ${paymentId}`);
+    return invoice;
   }
 
   /**
@@ -132,21 +217,19 @@ class PaymentStore {
   /**
    * Mark payment as used
    * @param {string} paymentId
+   * @param {Object} [details] - Extra fields recorded on the invoice (e.g. payer)
    */
-  async markAsUsed(paymentId) {
+  async markAsUsed(paymentId, details = {}) {
     // Try Redis first
     if (this.useRedis && this.redis) {
       try {
         const data = await this.redis.get(`payment:${paymentId}`);
         if (data) {
-          const invoice = JSON.parse(data);
+          const invoice = { ...JSON.parse(data), ...details };
+          invoice.status = INVOICE_STATUS.USED;
           invoice.used = true;
           invoice.usedAt = Date.now();
-          await this.redis.setex(
-            `payment:${paymentId}`,
-            900, // Keep TTL
-            JSON.stringify(invoice)
-          );
+          await this.redis.set(`payment:${paymentId}`, JSON.stringify(invoice), 'KEEPTTL');
           logger.debug(`Payment invoice marked as used in Redis: ${paymentId}`);
           return;
         }
@@ -159,12 +242,219 @@ class PaymentStore {
     // Fallback to in-memory
     const invoice = this.invoices.get(paymentId);
     if (invoice) {
+      Object.assign(invoice, details);
+      invoice.status = INVOICE_STATUS.USED;
       invoice.used = true;
       invoice.usedAt = Date.now();
       logger.debug(`Payment invoice marked as used in memory: ${paymentId}`);
     }
   }
 
+  /**
+   * Atomically claim a pending invoice for verification (pending -> verifying).
+   * Only one concurrent caller can win the claim for a given paymentId.
+   * A claim older than the claim timeout (e.g. its process died mid-verification) can be taken over.
+   * @param {string} paymentId
+   * @returns {Promise<{ok: boolean, invoice?: Object, reason?: string}>}
+   *   reason is 'not_found', 'expired', 'in_progress' or 'already_used' when the claim fails
+   */
+  async claim(paymentId) {
+    const now = Date.now();
+    return this.transition(paymentId, INVOICE_STATUS.PENDING, INVOICE_STATUS.VERIFYING, {
+      claimedAt: now,
+    }, now, now - this.claimTimeoutSeconds * 1000);
+  }
+
+  /**
+   * Finish a claimed invoice after successful verification (verifying -> used)
+   * @param {string} paymentId
+   * @param {Object} [details] - Extra fields recorded on the invoice (e.g. payer)
+   * @returns {Promise<{ok: boolean, invoice?: Object, reason?: string}>}
+   */
+  async complete(paymentId, details = {}) {
+    return this.transition(paymentId, INVOICE_STATUS.VERIFYING, INVOICE_STATUS.USED, {
+      ...details,
+      used: true,
+      usedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Roll a claimed invoice back after failed verification (verifying -> pending)
+   * so the client can retry with a valid payment
+   * @param {string} paymentId
+   * @returns {Promise<{ok: boolean, invoice?: Object, reason?: string}>}
+   */
+  async release(paymentId) {
+    return this.transition(paymentId, INVOICE_STATUS.VERIFYING, INVOICE_STATUS.PENDING, {});
+  }
+
+  /**
+   * Move an invoice from one lifecycle state to the next if it is currently in `from`
+   * @param {string} paymentId
+   * @param {string} from - Required current status
+   * @param {string} to - Status to set
+   * @param {Object} fields - Fields merged into the invoice on success
+   * @param {number} [expiryCutoff] - Refuse invoices whose expiresAt is at or before this time (ms)
+   * @param {number} [staleClaimCutoff] - Treat invoices claimed at or before this time (ms) as pending again
+   * @returns {Promise<{ok: boolean, invoice?: Object, reason?: string}>}
+   */
+  async transition(paymentId, from, to, fields, expiryCutoff, staleClaimCutoff) {
+    // Try Redis first
+    if (this.useRedis && this.redis) {
+      try {
+        const [outcome, data] = await this.redis.eval(
+          TRANSITION_SCRIPT,
+          1,
+          `payment:${paymentId}`,
+          from,
+          to,
+          JSON.stringify(fields),
+          expiryCutoff === undefined ? '' : String(expiryCutoff),
+          staleClaimCutoff === undefined ? '' : String(staleClaimCutoff)
+        );
+        return PaymentStore.transitionResult(outcome, data ? JSON.parse(data) : undefined);
+      } catch (error) {
+        logger.warn(`Redis transition failed: ${error.message}, using fallback`);
+        this.useRedis = false;
+      }
+    }
+
+    // Fallback to in-memory, serialized per invoice
+    return this.withLock(paymentId, () => {
+      const invoice = this.invoices.get(paymentId);
+      if (!invoice) {
+        return PaymentStore.transitionResult('not_found');
+      }
+      const status = PaymentStore.statusOf(invoice, staleClaimCutoff);
+      if (status !== from) {
+        return PaymentStore.transitionResult(status, invoice);
+      }
+      if (expiryCutoff !== undefined && invoice.expiresAt && invoice.expiresAt <= expiryCutoff) {
+        return PaymentStore.transitionResult('expired', invoice);
+      }
+      Object.assign(invoice, fields, { status: to });
+      return PaymentStore.transitionResult('ok', invoice);
+    });
+  }
+
+  /**
+   * Run fn while holding the in-memory lock for paymentId
+   * @param {string} paymentId
+   * @param {Function} fn
+   * @returns {Promise<any>}
+   */
+  async withLock(paymentId, fn) {
+    const previous = this.locks.get(paymentId) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    this.locks.set(paymentId, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(paymentId) === tail) {
+        this.locks.delete(paymentId);
+      }
+    }
+  }
+
+  /**
+   * Current lifecycle status (invoices created before statuses existed only carry `used`)
+   * @param {Object} invoice
+   * @param {number} [staleClaimCutoff] - Claims made at or before this time (ms) count as pending
+   * @returns {string}
+   */
+  static statusOf(invoice, staleClaimCutoff) {
+    if (invoice.status === INVOICE_STATUS.VERIFYING && staleClaimCutoff !== undefined
+      && invoice.claimedAt && invoice.claimedAt <= staleClaimCutoff) {
+      return INVOICE_STATUS.PENDING;
+    }
+    if (invoice.status) {
+      return invoice.status;
+    }
+    return invoice.used ? INVOICE_STATUS.USED : INVOICE_STATUS.PENDING;
+  }
+
+  /**
+   * Map a transition outcome to the value returned by claim/complete/release
+   * @param {string} outcome - 'ok', 'not_found', or the status that blocked the transition
+   * @param {Object} [invoice]
+   * @returns {{ok: boolean, invoice?: Object, reason?: string}}
+   */
+  static transitionResult(outcome, invoice) {
+    if (outcome === 'ok') {
+      return { ok: true, invoice };
+    }
+    const reasons = {
+      not_found: 'not_found',
+      expired: 'expired',
+      [INVOICE_STATUS.PENDING]: 'not_claimed',
+      [INVOICE_STATUS.VERIFYING]: 'in_progress',
+      [INVOICE_STATUS.USED]: 'already_used',
+    };
+    return { ok: false, reason: reasons[outcome] || outcome, invoice };
+  }
+
+  /**
+   * Atomically record a transaction signature as consumed by an invoice.
+   * A confirmed transfer can only ever pay for one invoice; the invoice holding it may reserve it again.
+   * @param {string} txSignature - Solana transaction signature
+   * @param {string} paymentId - Invoice the signature is being redeemed against
+   * @returns {Promise<boolean>} - false if the signature was already consumed
+   */
+  async consumeSignature(txSignature, paymentId) {
+    // Try Redis first
+    if (this.useRedis && this.redis) {
+      try {
+        const result = await this.redis.eval(
+          CONSUME_SIGNATURE_SCRIPT,
+          1,
+          `signature:${txSignature}`,
+          paymentId,
+          SIGNATURE_TTL_SECONDS
+        );
+        return result === 1;
+      } catch (error) {
+        logger.warn(`Redis consumeSignature failed: ${error.message}, using fallback`);
+        this.useRedis = false;
+      }
+    }
+
+    // Fallback to in-memory (check-and-set is synchronous)
+    const holder = this.consumedSignatures.get(txSignature);
+    if (holder && holder.paymentId !== paymentId) {
+      return false;
+    }
+    this.consumedSignatures.set(txSignature, { paymentId, consumedAt: Date.now() });
+    return true;
+  }
+
+  /**
+   * Release a consumed signature after its verification failed,
+   * so a later valid attempt with the same transfer is not blocked
+   * @param {string} txSignature - Solana transaction signature
+   * @param {string} paymentId - Invoice that reserved the signature
+   */
+  async releaseSignature(txSignature, paymentId) {
+    // Try Redis first
+    if (this.useRedis && this.redis) {
+      try {
+        await this.redis.eval(RELEASE_SIGNATURE_SCRIPT, 1, `signature:${txSignature}`, paymentId);
+        return;
+      } catch (error) {
+        logger.warn(`Redis releaseSignature failed: ${error.message}, using fallback`);
+        this.useRedis = false;
+      }
+    }
+
+    // Fallback to in-memory
+    const entry = this.consumedSignatures.get(txSignature);
+    if (entry && entry.paymentId === paymentId) {
+      this.consumedSignatures.delete(txSignature);
+    }
+  }
+
   /**
    * Delete payment invoice
    * @param {string} paymentId
@@ -186,7 +476,7 @@ class PaymentStore {
   }
 
   /**
-   * Clean up expired invoices (older than 15 minutes)
+   * Clean up expired invoices once their retention window has passed
    * Only needed for in-memory store (Redis uses TTL)
    */
   cleanup() {
@@ -196,11 +486,11 @@ class PaymentStore {
     }
 
     const now = Date.now();
-    const expiryTime = 15 * 60 * 1000; // 15 minutes
     let cleanedCount = 0;
 
     for (const [paymentId, invoice] of this.invoices.entries()) {
-      if (now - invoice.createdAt > expiryTime) {
+      const expiresAt = invoice.expiresAt || invoice.createdAt + this.ttlSeconds * 1000;
+      if (now > expiresAt + INVOICE_RETENTION_SECONDS * 1000) {
         this.invoices.delete(paymentId);
         cleanedCount++;
       }
@@ -209,6 +499,12 @@ class PaymentStore {
     if (cleanedCount > 0) {
       logger.info(`Cleaned up ${cleanedCount} expired payment invoices from memory`);
     }
+
+    for (const [txSignature, entry] of this.consumedSignatures.entries()) {
+      if (now - entry.consumedAt > SIGNATURE_TTL_SECONDS * 1000) {
+        this.consumedSignatures.delete(txSignature);
+      }
+    }
   }
 
   /**
@@ -263,7 +559,17 @@ class PaymentStore {
   }
 }
 
+/**
+ * Redis client of a store owning the Redis connection (the payment store), when it currently uses Redis.
+ * Stores sharing the connection go through it, so a failure any of them records switches all to memory.
+ * @param {{useRedis: boolean, redis: import('ioredis').Redis|null}} store
+ * @returns {import('ioredis').Redis|null}
+ */
+function activeRedis(store) {
+  return store.useRedis && store.redis ? store.redis : null;
+}
+
 // Singleton instance
 const paymentStore = new PaymentStore();
 
-module.exports = { paymentStore, PaymentStore };
+module.exports = { paymentStore, PaymentStore, activeRedis, INVOICE_STATUS, INVOICE_TTL_SECONDS };
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { paymentStore, activeRedis } = require('./paymentStore');
+
+// Where provider definitions are persisted: 'file' (JSON), 'redis' or 'memory' (not persisted)
+const REGISTRY_BACKENDS = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  REDIS: 'redis',
+};
+
+const REGISTRY_BACKEND = process.env.PROVIDER_REGISTRY_BACKEND || REGISTRY_BACKENDS.FILE;
+const REGISTRY_PATH = process.env.PROVIDER_REGISTRY_PATH || path.join(process.cwd(), 'data', 'providers.json');
+const REDIS_KEY = 'providers:registry';
+
+// How long a registry read from Redis is served before it is read again, so changes made
+// through other instances reach this one
+const REDIS_REFRESH_MS = parseInt(process.env.PROVIDER_REGISTRY_REFRESH_MS || '5000', 10);
+
+/**
+ * Registry of data providers.
+ * Reads are served from memory; every change is written through to the configured backend.
+ * An empty backend is seeded with the default providers on first load.
+ */
+class ProviderRegistry {
+  /**
+   * @param {Array<Object>} seeds - Providers used when the backend holds none
+   * @param {Object} [options]
+   * @param {string} [options.backend] - One of REGISTRY_BACKENDS
+   * @param {string} [options.filePath] - JSON file used by the file backend
+   * @param {import('./paymentStore').PaymentStore} [options.backingStore] - Store owning the Redis connection
+   * @param {number} [options.refreshMs] - How long the redis backend's contents are served before being read again
+   */
+  constructor(seeds = [], {
+    backend = REGISTRY_BACKEND,
+    filePath = REGISTRY_PATH,
+    backingStore = paymentStore,
+    refreshMs = REDIS_REFRESH_MS,
+  } = {}) {
+    this.backend = backend;
+    this.filePath = filePath;
+    this.backingStore = backingStore;
+    this.refreshMs = refreshMs;
+    this.loadedAt = 0;
+    this.providers = new Map(seeds.map((provider) => [provider.id, ProviderRegistry.normalize(provider)]));
+    this.loading = null;
+    // Served from memory because the Redis backend was unreachable when loading
+    this.stale = false;
+  }
+
+  /**
+   * Providers are enabled unless explicitly disabled
+   * @param {Object} provider
+   * @returns {Object}
+   */
+  static normalize(provider) {
+    return { ...provider, enabled: provider.enabled !== false };
+  }
+
+  /**
+   * Load the registry from its backend once, and again once an unreachable Redis backend connects.
+   * The redis backend is shared by every instance: it is read again once refreshMs has passed.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (this.stale && activeRedis(this.backingStore)) {
+      logger.info('Redis available, reloading provider registry');
+      this.stale = false;
+      this.loading = null;
+    }
+    if (this.loading && this.backend === REGISTRY_BACKENDS.REDIS && Date.now() - this.loadedAt >= this.refreshMs) {
+      // Later callers share this read instead of starting their own
+      this.loading = this.loading.then(() => this.load());
+      this.loadedAt = Date.now();
+    }
+    if (!this.loading) {
+      this.loading = this.load();
+      this.loadedAt = Date.now();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Replace the in-memory registry with the backend contents, seeding an empty backend
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.backend === REGISTRY_BACKENDS.REDIS) {
+      // The backing store connects asynchronously; reading before then would miss the stored registry
+      await this.backingStore.redisReady;
+    }
+
+    const stored = await this.readBackend();
+
+    if (stored === null) {
+      await this.writeBackend();
+      return;
+    }
+
+    this.providers = new Map(stored.map((provider) => [provider.id, ProviderRegistry.normalize(provider)]));
+    logger.info(`Provider registry loaded ${this.providers.size} providers from ${this.backend}`);
+  }
+
+  /**
+   * All registered providers, enabled or not
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * @param {string} id - Provider ID
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /**
+   * Register a new provider
+   * @param {Object} provider
+   * @returns {Promise<Object|null>} Stored provider, or null if the ID is taken
+   */
+  async add(provider) {
+    await this.ready();
+    if (this.providers.has(provider.id)) {
+      return null;
+    }
+
+    const stored = ProviderRegistry.normalize(provider);
+    this.providers.set(stored.id, stored);
+    await this.writeBackend(stored.id);
+    return stored;
+  }
+
+  /**
+   * Replace a provider's definition, keeping its enabled state
+   * @param {string} id - Provider ID
+   * @param {Object} provider - New definition
+   * @returns {Promise<Object|null>} Updated provider, or null if unknown
+   */
+  async update(id, provider) {
+    await this.ready();
+    const existing = this.providers.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const stored = { ...provider, id, enabled: existing.enabled };
+    this.providers.set(id, stored);
+    await this.writeBackend(id);
+    return stored;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} id - Provider ID
+   * @returns {Promise<boolean>} false if unknown
+   */
+  async remove(id) {
+    await this.ready();
+    if (!this.providers.delete(id)) {
+      return false;
+    }
+
+    await this.writeBackend(id);
+    return true;
+  }
+
+  /**
+   * Enable or disable a provider for request routing
+   * @param {string} id - Provider ID
+   * @param {boolean} enabled
+   * @returns {Promise<Object|null>} Updated provider, or null if unknown
+   */
+  async setEnabled(id, enabled) {
+    await this.ready();
+    const existing = this.providers.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const stored = { ...existing, enabled };
+    this.providers.set(id, stored);
+    await this.writeBackend(id);
+    return stored;
+  }
+
+  /**
+   * Read every provider from the backend
+   * @returns {Promise<Array<Object>|null>} null when the backend holds no registry yet
+   */
+  async readBackend() {
+    if (this.backend === REGISTRY_BACKENDS.REDIS) {
+      const redis = activeRedis(this.backingStore);
+      if (redis) {
+        try {
+          const entries = await redis.hgetall(REDIS_KEY);
+          const values = Object.values(entries || {});
+          return values.length > 0 ? values.map((value) => JSON.parse(value)) : null;
+        } catch (error) {
+          logger.warn(`Redis provider registry load failed: ${error.message}, using fallback`);
+          this.backingStore.useRedis = false;
+        }
+      }
+      this.stale = true;
+      logger.error(`Provider registry backend redis unavailable: serving ${this.providers.size} providers from memory until it connects`);
+      return this.list();
+    }
+
+    if (this.backend === REGISTRY_BACKENDS.FILE) {
+      try {
+        return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        // Keep the defaults in memory but never overwrite a file we could not parse
+        logger.error(`Provider registry file ${this.filePath} unreadable: ${error.message}`);
+        return this.list();
+      }
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Write changes through to the backend. A failed write leaves the in-memory registry authoritative.
+   * @param {string} [id] - Changed provider; the whole registry is written when omitted
+   * @returns {Promise<void>}
+   */
+  async writeBackend(id) {
+    if (this.backend === REGISTRY_BACKENDS.REDIS) {
+      const redis = activeRedis(this.backingStore);
+      if (!redis) {
+        logger.error(`Provider registry backend redis unavailable: change to ${id ?? 'the registry'} kept in memory only`);
+        return;
+      }
+      try {
+        if (id !== undefined && !this.providers.has(id)) {
+          await redis.hdel(REDIS_KEY, id);
+          return;
+        }
+        const changed = id === undefined ? this.list() : [this.providers.get(id)];
+        await redis.hset(REDIS_KEY, ...changed.flatMap((provider) => [provider.id, JSON.stringify(provider)]));
+      } catch (error) {
+        logger.warn(`Redis provider registry write failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+      return;
+    }
+
+    if (this.backend === REGISTRY_BACKENDS.FILE) {
+      try {
+        await writeFileAtomic(this.filePath, JSON.stringify(this.list(), null, 2));
+      } catch (error) {
+        logger.error(`Failed to write provider registry ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { ProviderRegistry, REGISTRY_BACKENDS };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { paymentStore, activeRedis } = require('./paymentStore');
+const { stableStringify } = require('../utils/requestHash');
+
+// Methods whose finalized results are immutable
+const CACHEABLE_METHODS = ['getBlock', 'getTransaction'];
+
+const CACHE_ENABLED = process.env.RESPONSE_CACHE_ENABLED !== 'false';
+const MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10);
+const TTL_SECONDS = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || String(24 * 60 * 60), 10);
+
+/**
+ * Cache for immutable historical RPC responses.
+ * LRU in memory, shared through Redis when the payment store is connected.
+ */
+class ResponseCache {
+  /**
+   * @param {import('./paymentStore').PaymentStore} backingStore - Store owning the Redis connection
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - In-memory LRU capacity
+   * @param {number} [options.ttlSeconds] - Redis entry TTL
+   */
+  constructor(backingStore = paymentStore, { maxEntries = MAX_ENTRIES, ttlSeconds = TTL_SECONDS } = {}) {
+    this.backingStore = backingStore;
+    this.maxEntries = maxEntries;
+    this.ttlSeconds = ttlSeconds;
+    this.entries = new Map(); // Insertion order doubles as LRU order (oldest first)
+  }
+
+  /**
+   * Cache key for a request: method plus normalized params
+   * @param {Object} body - JSON-RPC request
+   * @returns {string}
+   */
+  static key(body) {
+    const digest = crypto
+      .createHash('sha256')
+      .update(`${body.method}:${stableStringify(body.params || [])}`)
+      .digest('hex');
+    return `rpc-cache:${digest}`;
+  }
+
+  /**
+   * Whether a request asks for finalized historical data
+   * (getBlock and getTransaction default to finalized commitment)
+   * @param {Object} body - JSON-RPC request
+   * @returns {boolean}
+   */
+  static isCacheable(body) {
+    if (!CACHE_ENABLED || !body || !CACHEABLE_METHODS.includes(body.method)) {
+      return false;
+    }
+    const config = Array.isArray(body.params) ? body.params[1] : undefined;
+    const commitment = config && typeof config === 'object' ? config.commitment : undefined;
+    return !commitment || commitment === 'finalized';
+  }
+
+  /**
+   * Look up a cached response, re-stamped with the caller's request id
+   * @param {Object} body - JSON-RPC request
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(body) {
+    const key = ResponseCache.key(body);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        const data = await redis.get(key);
+        return data ? { jsonrpc: '2.0', id: body.id, result: JSON.parse(data) } : undefined;
+      } catch (error) {
+        logger.warn(`Redis cache get failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const result = this.entries.get(key);
+    // Refresh LRU position
+    this.entries.delete(key);
+    this.entries.set(key, result);
+    return { jsonrpc: '2.0', id: body.id, result };
+  }
+
+  /**
+   * Whether a response is cached without touching LRU order
+   * @param {Object} body - JSON-RPC request
+   * @returns {Promise<boolean>}
+   */
+  async has(body) {
+    const key = ResponseCache.key(body);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        return (await redis.exists(key)) === 1;
+      } catch (error) {
+        logger.warn(`Redis cache exists failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    return this.entries.has(key);
+  }
+
+  /**
+   * Store a successful response. Errors and null results (not yet available) are never cached.
+   * @param {Object} body - JSON-RPC request
+   * @param {Object} response - JSON-RPC response
+   * @returns {Promise<boolean>} - true if the response was cached
+   */
+  async set(body, response) {
+    if (!response || response.error || response.result === null || response.result === undefined) {
+      return false;
+    }
+
+    const key = ResponseCache.key(body);
+    const redis = activeRedis(this.backingStore);
+
+    if (redis) {
+      try {
+        await redis.setex(key, this.ttlSeconds, JSON.stringify(response.result));
+        return true;
+      } catch (error) {
+        logger.warn(`Redis cache set failed: ${error.message}, using fallback`);
+        this.backingStore.useRedis = false;
+      }
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, response.result);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Drop every in-memory entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Singleton instance
+const responseCache = new ResponseCache();
+
+module.exports = { responseCache, ResponseCache };
@@ -0,0 +1,24 @@
+/**
+ * Atomic file writes
+ *
+ * Files the gateway persists state to (provider registry, earnings ledger) are replaced
+ * as a whole, so a crash mid-write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file by writing a temporary file next to it and renaming it into place
+ * @param {string} filePath - File to replace; its directory is created when missing
+ * @param {string} contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tmpPath, contents);
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,99 @@
+/**
+ * Prometheus metrics
+ *
+ * Registry and counters shared by the services that record metrics and the metrics endpoints.
+ */
+
+const client = require('prom-client');
+
+// Initialize Prometheus metrics registry
+const register = new client.Registry();
+
+// Add default metrics (CPU, memory, etc.)
+client.collectDefaultMetrics({ register });
+
+// Custom metrics
+const requestCounter = new client.Counter({
+  name: 'rpc_requests_total',
+  help: 'Total number of RPC requests',
+  labelNames: ['method', 'status'],
+  registers: [register],
+});
+
+const paymentCounter = new client.Counter({
+  name: 'payments_total',
+  help: 'Total number of successful payments',
+  registers: [register],
+});
+
+const revenueGauge = new client.Gauge({
+  name: 'revenue_usdc_total',
+  help: 'Total revenue in USDC',
+  registers: [register],
+});
+
+const requestDuration = new client.Histogram({
+  name: 'rpc_request_duration_seconds',
+  help: 'RPC request duration in seconds',
+  labelNames: ['method'],
+  buckets: [0.1, 0.5, 1, 2, 5, 10],
+  registers: [register],
+});
+
+const hedgeCounter = new client.Counter({
+  name: 'rpc_hedged_requests_total',
+  help: 'Hedged provider requests by winning provider and role',
+  labelNames: ['provider', 'winner'],
+  registers: [register],
+});
+
+/**
+ * Track an RPC request
+ * @param {string} method - RPC method name
+ * @param {string} status - Request status (success, payment_required, error)
+ */
+function trackRequest(method, status = 'success') {
+  requestCounter.inc({ method, status });
+}
+
+/**
+ * Track a successful payment
+ */
+function trackPayment() {
+  paymentCounter.inc();
+}
+
+/**
+ * Update revenue metrics
+ * @param {number} amount - Amount in USDC
+ */
+function updateRevenue(amount) {
+  revenueGauge.inc(amount);
+}
+
+/**
+ * Track request duration
+ * @param {string} method - RPC method name
+ * @param {number} duration - Duration in seconds
+ */
+function trackDuration(method, duration) {
+  requestDuration.observe({ method }, duration);
+}
+
+/**
+ * Track which provider won a hedged request
+ * @param {string} providerId - Winning provider
+ * @param {string} winner - 'primary' or 'backup'
+ */
+function trackHedge(providerId, winner) {
+  hedgeCounter.inc({ provider: providerId, winner });
+}
+
+module.exports = {
+  register,
+  trackRequest,
+  trackPayment,
+  updateRevenue,
+  trackDuration,
+  trackHedge,
+};
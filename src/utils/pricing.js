@@ -2,10 +2,12 @@
  * Dynamic Pricing Utility for RPC Methods
  * 
  * Implements tiered pricing based on RPC method complexity and query context.
- * Supports environment variable overrides for flexible pricing strategies.
+ * The defaults below can be replaced by a pricing policy file (see pricingPolicy.js);
+ * environment variable overrides of method prices still apply.
  */
 
 const logger = require('./logger');
+const { PricingPolicy } = require('./pricingPolicy');
 
 // Default pricing tiers (in USDC)
 const DEFAULT_PRICES = {
@@ -28,59 +30,103 @@ const DEFAULT_PRICES = {
   default: 0.001,
 };
 
+// USDC uses 6 decimals on Solana
+const USDC_DECIMALS = 6;
+
 // Context multipliers
 const CONTEXT_MULTIPLIERS = {
   deepHistorical: 1.5,  // Slot < 100,000
   bulkQuery: 1.3,       // Multiple items
   realTime: 0.8,        // Current data
+  cacheHit: parseFloat(process.env.CACHE_HIT_PRICE_MULTIPLIER || '0.5'), // Served from response cache
 };
 
 /**
- * Calculate price for an RPC method with context
+ * Built-in pricing policy (DEFAULT_PRICES and CONTEXT_MULTIPLIERS), used without PRICING_CONFIG_PATH
+ */
+const DEFAULT_POLICY = {
+  defaultPrice: DEFAULT_PRICES.default,
+  methods: Object.fromEntries(Object.entries(DEFAULT_PRICES).filter(([method]) => method !== 'default')),
+  rules: [
+    {
+      name: 'deepHistorical',
+      methods: ['getBlock', 'getTransaction'],
+      when: { slot: { lt: 100000 } },
+      multiplier: CONTEXT_MULTIPLIERS.deepHistorical,
+    },
+    {
+      name: 'bulkQuery',
+      methods: ['getSignaturesForAddress'],
+      when: { limit: { gt: 10 } },
+      multiplier: CONTEXT_MULTIPLIERS.bulkQuery,
+    },
+    {
+      name: 'realTime',
+      methods: ['getSlot', 'getBlockHeight'],
+      multiplier: CONTEXT_MULTIPLIERS.realTime,
+    },
+  ],
+  cacheHitMultiplier: CONTEXT_MULTIPLIERS.cacheHit,
+};
+
+// Active policy: the policy file at PRICING_CONFIG_PATH (JSON or YAML, reloaded on change) or the defaults
+const pricingPolicy = new PricingPolicy(DEFAULT_POLICY, { filePath: process.env.PRICING_CONFIG_PATH });
+pricingPolicy.watch();
+
+/**
+ * Price breakdown of an RPC call under the active pricing policy
+ * @param {string} method - RPC method name
+ * @param {Array} params - Method parameters
+ * @param {Object} [options] - See calculatePrice
+ * @returns {{price: number, basePrice: number, multiplier: number, applied: string[]}}
+ */
+function describePrice(method, params = [], options = {}) {
+  return pricingPolicy.price(method, params, options);
+}
+
+/**
+ * Calculate price for an RPC method with context, as the active pricing policy prices it
  * @param {string} method - RPC method name
  * @param {Array} params - Method parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.cacheHit] - Response will be served from the response cache
+ * @param {Object} [options.provider] - Provider quoted to serve the call; its `pricing` multiplier applies
+ * @param {Date} [options.now] - Time the call is priced at (for time-of-day rules)
  * @returns {number} - Price in USDC
  */
-function calculatePrice(method, params = []) {
-  // Get base price
-  let basePrice = DEFAULT_PRICES[method] || DEFAULT_PRICES.default;
-  
-  // Check env override
-  const envVar = `PRICE_${method.toUpperCase()}`;
-  if (process.env[envVar]) {
-    basePrice = parseFloat(process.env[envVar]);
-  }
-  
-  // Analyze context
-  let multiplier = 1.0;
-  
-  if (method === 'getBlock' || method === 'getTransaction') {
-    const slot = params[0];
-    if (typeof slot === 'number' && slot < 100000) {
-      multiplier = CONTEXT_MULTIPLIERS.deepHistorical;
-      logger.debug(`Deep historical multiplier applied: ${multiplier}x`);
-    }
-  }
-  
-  if (method === 'getSlot' || method === 'getBlockHeight') {
-    multiplier = CONTEXT_MULTIPLIERS.realTime;
-  }
-  
-  if (method === 'getSignaturesForAddress') {
-    const options = params[1] || {};
-    if (options.limit && options.limit > 10) {
-      multiplier = CONTEXT_MULTIPLIERS.bulkQuery;
-    }
-  }
-  
-  const finalPrice = Math.round(basePrice * multiplier * 1000000) / 1000000;
-  logger.info(`Price for ${method}: ${finalPrice} USDC (base: ${basePrice}, multiplier: ${multiplier})`);
-  
-  return finalPrice;
+function calculatePrice(method, params = [], options = {}) {
+  const { price, basePrice, multiplier, applied } = describePrice(method, params, options);
+  logger.info(`Price for ${method}: ${price} USDC (base: ${basePrice}, multiplier: ${multiplier}${applied.length > 0 ? `, applied: ${applied.join(', ')}` : ''})`);
+
+  return price;
+}
+
+/**
+ * Convert a USDC amount to integer base units
+ * @param {number|string} amount - Amount in USDC (e.g., "0.001")
+ * @returns {number} - Amount in base units (e.g., 1000)
+ */
+function toAtomicUnits(amount) {
+  return Math.round(parseFloat(amount) * 10 ** USDC_DECIMALS);
+}
+
+/**
+ * Convert integer base units to a fixed-precision USDC string
+ * @param {number} atomic - Amount in base units
+ * @returns {string} - Amount in USDC (e.g., "0.001000")
+ */
+function fromAtomicUnits(atomic) {
+  return (atomic / 10 ** USDC_DECIMALS).toFixed(USDC_DECIMALS);
 }
 
 module.exports = {
   calculatePrice,
+  describePrice,
+  toAtomicUnits,
+  fromAtomicUnits,
+  USDC_DECIMALS,
   DEFAULT_PRICES,
   CONTEXT_MULTIPLIERS,
+  DEFAULT_POLICY,
+  pricingPolicy,
 };
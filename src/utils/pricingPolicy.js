@@ -0,0 +1,375 @@
+/**
+ * Declarative Pricing Policy
+ *
+ * Loads the pricing policy (per-method base prices, param rules, caps and time-of-day rules)
+ * from a JSON or YAML file, validates it with Joi and reloads it when the file changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+
+// How often the policy file is checked for changes
+const PRICING_RELOAD_INTERVAL_MS = parseInt(process.env.PRICING_RELOAD_INTERVAL_MS || '5000', 10);
+
+const price = Joi.number().min(0);
+const methodList = Joi.array().items(Joi.string().max(100)).min(1);
+const clock = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:MM');
+
+/**
+ * Numeric param condition; every bound given must hold
+ */
+const range = Joi.object({
+  gt: Joi.number(),
+  gte: Joi.number(),
+  lt: Joi.number(),
+  lte: Joi.number(),
+}).min(1);
+
+/**
+ * String param condition: one value or any of a list
+ */
+const oneOf = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1));
+
+/**
+ * Conditions on the call params. Values are read from the first param (slot) and the config object.
+ */
+const conditionSchema = Joi.object({
+  slot: range,
+  limit: range,
+  encoding: oneOf,
+  transactionDetails: oneOf,
+});
+
+/**
+ * Multiplier applied when every condition of `when` holds
+ */
+const ruleSchema = Joi.object({
+  name: Joi.string().max(100),
+  when: conditionSchema.default({}),
+  multiplier: price.required(),
+});
+
+const caps = {
+  min: price,
+  max: price.when('min', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min')) }),
+};
+
+/**
+ * A method is priced by a number (its base price) or an object with rules and caps
+ */
+const methodSchema = Joi.alternatives().try(
+  price,
+  Joi.object({
+    price: price.required(),
+    rules: Joi.array().items(ruleSchema).default([]),
+    ...caps,
+  })
+);
+
+/**
+ * Multiplier applied between two UTC times of day (`to` before `from` wraps past midnight)
+ */
+const scheduleSchema = Joi.object({
+  name: Joi.string().max(100),
+  from: clock.required(),
+  to: clock.required(),
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1),
+  methods: methodList,
+  multiplier: price.required(),
+});
+
+const policySchema = Joi.object({
+  defaultPrice: price.default(0.001),
+  methods: Joi.object().pattern(Joi.string().max(100), methodSchema).default({}),
+  rules: Joi.array().items(ruleSchema.keys({ methods: methodList })).default([]),
+  schedule: Joi.array().items(scheduleSchema).default([]),
+  cacheHitMultiplier: price.default(parseFloat(process.env.CACHE_HIT_PRICE_MULTIPLIER || '0.5')),
+  ...caps,
+});
+
+/**
+ * Validate a policy and expand method shorthands
+ * @param {Object} document - Parsed policy file
+ * @returns {Object} Normalized policy
+ * @throws {Error} When the policy is invalid
+ */
+function validatePolicy(document) {
+  const { error, value } = policySchema.validate(document, { abortEarly: false });
+  if (error) {
+    throw new Error(error.details.map((detail) => detail.message).join('; '));
+  }
+
+  return {
+    ...value,
+    methods: Object.fromEntries(Object.entries(value.methods).map(([method, entry]) => [
+      method,
+      typeof entry === 'number' ? { price: entry, rules: [] } : entry,
+    ])),
+  };
+}
+
+/**
+ * Short content hash identifying a policy, so clients can tell when prices changed
+ * @param {Object} policy - Normalized policy
+ * @returns {string}
+ */
+function policyVersion(policy) {
+  return crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Read and validate a policy file (.yaml/.yml as YAML, anything else as JSON)
+ * @param {string} filePath
+ * @returns {Object} Normalized policy
+ */
+function readPolicy(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const document = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+    ? yaml.load(text)
+    : JSON.parse(text);
+  return validatePolicy(document);
+}
+
+/**
+ * Whether a value satisfies a condition
+ * @param {*} value - Param value (undefined when the call does not send it)
+ * @param {Object|string|string[]} condition
+ * @returns {boolean}
+ */
+function satisfies(value, condition) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof condition === 'string' || Array.isArray(condition)) {
+    return [].concat(condition).includes(value);
+  }
+  return typeof value === 'number'
+    && (condition.gt === undefined || value > condition.gt)
+    && (condition.gte === undefined || value >= condition.gte)
+    && (condition.lt === undefined || value < condition.lt)
+    && (condition.lte === undefined || value <= condition.lte);
+}
+
+/**
+ * Values rules can match on
+ * @param {Array|Object} params - Method parameters
+ * @returns {{slot?: number, limit?: number, encoding?: string, transactionDetails?: string}}
+ */
+function callFacts(params) {
+  const list = Array.isArray(params) ? params : [params];
+  const config = list.find((param) => param && typeof param === 'object' && !Array.isArray(param)) || {};
+
+  return {
+    slot: typeof list[0] === 'number' ? list[0] : undefined,
+    limit: config.limit,
+    encoding: config.encoding,
+    transactionDetails: config.transactionDetails,
+  };
+}
+
+/**
+ * Whether a time-of-day rule is active
+ * @param {Object} entry - Schedule entry
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function scheduled(entry, now) {
+  const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  const [from, to] = [entry.from, entry.to].map((time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  });
+  const inWindow = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+
+  return inWindow && (!entry.days || entry.days.includes(now.getUTCDay()));
+}
+
+/**
+ * The active pricing policy: the built-in defaults, or the policy file when one is configured.
+ * An invalid file is rejected at startup; on reload it is logged and the previous policy is kept.
+ */
+class PricingPolicy {
+  /**
+   * @param {Object} defaults - Policy used without a policy file
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON or YAML policy file
+   * @param {number} [options.reloadIntervalMs] - Polling interval of the file watcher
+   */
+  constructor(defaults, { filePath, reloadIntervalMs = PRICING_RELOAD_INTERVAL_MS } = {}) {
+    this.filePath = filePath;
+    this.reloadIntervalMs = reloadIntervalMs;
+    this.policy = validatePolicy(defaults);
+    this.loadedAt = new Date();
+    this.watching = false;
+
+    if (filePath) {
+      try {
+        this.policy = readPolicy(filePath);
+      } catch (error) {
+        throw new Error(`Invalid pricing policy ${filePath}: ${error.message}`);
+      }
+      logger.info(`Pricing policy loaded from ${filePath}`);
+    }
+  }
+
+  /**
+   * Where the active policy comes from
+   * @returns {string}
+   */
+  get source() {
+    return this.filePath || 'default';
+  }
+
+  /**
+   * Content hash of the active policy
+   * @returns {string}
+   */
+  get version() {
+    return policyVersion(this.policy);
+  }
+
+  /**
+   * Re-read the policy file, keeping the current policy when it is invalid
+   * @returns {boolean} Whether the new policy was applied
+   */
+  reload() {
+    try {
+      this.policy = readPolicy(this.filePath);
+      this.loadedAt = new Date();
+      logger.info(`Pricing policy reloaded from ${this.filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Pricing policy ${this.filePath} rejected, keeping the previous policy: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Reload the policy file whenever it changes. The watcher never keeps the process alive.
+   */
+  watch() {
+    if (!this.filePath || this.watching) {
+      return;
+    }
+    fs.watchFile(this.filePath, { persistent: false, interval: this.reloadIntervalMs }, (current, previous) => {
+      if (current.mtimeMs === 0) {
+        logger.warn(`Pricing policy ${this.filePath} removed, keeping the previous policy`);
+      } else if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    this.watching = true;
+  }
+
+  /**
+   * Stop watching the policy file
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Base price of a method. PRICE_<METHOD> env overrides take precedence over the policy.
+   * @param {string} method - RPC method name
+   * @returns {{basePrice: number, override?: string}} `override` names the env var used
+   */
+  basePrice(method) {
+    const envVar = `PRICE_${method.toUpperCase()}`;
+    if (process.env[envVar]) {
+      return { basePrice: parseFloat(process.env[envVar]), override: envVar };
+    }
+    return { basePrice: this.policy.methods[method]?.price ?? this.policy.defaultPrice };
+  }
+
+  /**
+   * The active policy with effective method prices (env overrides applied)
+   * @returns {Object}
+   */
+  describe() {
+    const { methods, ...policy } = this.policy;
+
+    return {
+      version: this.version,
+      loadedAt: this.loadedAt.toISOString(),
+      ...policy,
+      methods: Object.fromEntries(Object.entries(methods).map(([method, entry]) => [
+        method,
+        { ...entry, price: this.basePrice(method).basePrice },
+      ])),
+    };
+  }
+
+  /**
+   * Evaluate the policy for one call. Matching rules and schedule entries multiply together;
+   * caps bound the final price (method caps first, then policy-wide caps).
+   * @param {string} method - RPC method name
+   * @param {Array|Object} [params] - Method parameters
+   * @param {Object} [options]
+   * @param {boolean} [options.cacheHit] - Response will be served from the response cache
+   * @param {Object} [options.provider] - Provider quoted to serve the call; its `pricing` multiplier applies
+   * @param {Date} [options.now] - Time the call is priced at
+   * @returns {{price: number, basePrice: number, multiplier: number, applied: string[]}}
+   */
+  price(method, params = [], options = {}) {
+    const { policy } = this;
+    const entry = policy.methods[method];
+    const applied = [];
+    const { basePrice, override } = this.basePrice(method);
+    if (override) {
+      applied.push(override);
+    }
+
+    const facts = callFacts(params);
+    const rules = [
+      ...(entry ? entry.rules : []),
+      ...policy.rules.filter((rule) => !rule.methods || rule.methods.includes(method)),
+    ];
+    const now = options.now || new Date();
+    const schedule = policy.schedule.filter((item) => (!item.methods || item.methods.includes(method)) && scheduled(item, now));
+
+    let multiplier = 1;
+    [...rules.filter((rule) => Object.entries(rule.when).every(([key, condition]) => satisfies(facts[key], condition))), ...schedule]
+      .forEach((rule) => {
+        multiplier *= rule.multiplier;
+        applied.push(rule.name || (rule.from ? `${rule.from}-${rule.to}` : 'rule'));
+      });
+
+    if (options.cacheHit) {
+      multiplier *= policy.cacheHitMultiplier;
+      applied.push('cacheHit');
+    }
+
+    if (typeof options.provider?.pricing === 'number') {
+      multiplier *= options.provider.pricing;
+      applied.push(`provider:${options.provider.id}`);
+    }
+
+    let finalPrice = Math.round(basePrice * multiplier * 1000000) / 1000000;
+    [entry || {}, policy].forEach(({ min, max }) => {
+      if (min !== undefined && finalPrice < min) {
+        finalPrice = min;
+        applied.push('min');
+      }
+      if (max !== undefined && finalPrice > max) {
+        finalPrice = max;
+        applied.push('max');
+      }
+    });
+
+    return { price: finalPrice, basePrice, multiplier, applied };
+  }
+}
+
+module.exports = {
+  PricingPolicy,
+  validatePolicy,
+  readPolicy,
+  PRICING_RELOAD_INTERVAL_MS,
+};
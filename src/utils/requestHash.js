@@ -0,0 +1,53 @@
+/**
+ * Canonical request hashing
+ *
+ * Produces a stable fingerprint of what a JSON-RPC request asks for (method and params),
+ * independent of request ids and object key order.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value with object keys sorted, so equivalent params produce the same string
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Canonical form of a single call or batch (ids and jsonrpc version are ignored)
+ * @param {Object|Object[]} body - JSON-RPC request or batch
+ * @returns {string}
+ */
+function canonicalRequest(body) {
+  const calls = Array.isArray(body) ? body : [body];
+  const canonical = calls.map((call) => ({ method: call.method, params: call.params || [] }));
+  return stableStringify(Array.isArray(body) ? canonical : canonical[0]);
+}
+
+/**
+ * SHA-256 hash of the canonical request
+ * @param {Object|Object[]} body - JSON-RPC request or batch
+ * @returns {string} - Hex digest
+ */
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(canonicalRequest(body)).digest('hex');
+}
+
+module.exports = {
+  stableStringify,
+  canonicalRequest,
+  hashRequest,
+};
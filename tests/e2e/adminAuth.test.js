@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../src/app');
+const { parseAdminKeys, signRequest } = require('../../src/middleware/adminAuth');
+const { providerRegistry } = require('../../src/services/providersService');
+
+// Keys configured in tests/setup.js
+const ADMIN_SECRET = 'test-admin-secret';
+const METRICS_SECRET = 'test-metrics-secret';
+
+const provider = {
+  id: 'signed-provider',
+  name: 'Signed Provider',
+  url: 'https://signed.example.com',
+  type: 'community',
+  pricing: 0.4,
+};
+
+describe('E2E: Admin authentication', () => {
+  afterEach(async () => {
+    await providerRegistry.remove(provider.id);
+  });
+
+  describe('parseAdminKeys', () => {
+    it('should parse ids, secrets and scopes', () => {
+      expect(parseAdminKeys('ops:s3cret, reader:abc:metrics:read|providers:write')).toEqual([
+        { id: 'ops', secret: 's3cret', scopes: ['*'] },
+        { id: 'reader', secret: 'abc', scopes: ['metrics:read', 'providers:write'] },
+      ]);
+    });
+
+    it('should ignore malformed entries', () => {
+      expect(parseAdminKeys('nosecret,,:empty')).toEqual([]);
+    });
+  });
+
+  it('should reject metrics requests without credentials', async () => {
+    const response = await request(app).get('/metrics/json');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('unauthorized');
+  });
+
+  it('should reject an unknown admin key', async () => {
+    const response = await request(app).get('/metrics/json').set('X-Admin-Key', 'wrong');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid admin key');
+  });
+
+  it('should serve metrics to a key with the metrics:read scope', async () => {
+    const response = await request(app).get('/metrics/json').set('X-Admin-Key', METRICS_SECRET);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should return 403 when the key lacks the required scope', async () => {
+    const response = await request(app)
+      .post('/providers/add')
+      .set('X-Admin-Key', METRICS_SECRET)
+      .send(provider);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('forbidden');
+    expect(providerRegistry.get(provider.id)).toBeUndefined();
+  });
+
+  describe('HMAC-signed requests', () => {
+    function signedPost(body, {
+      timestamp = Math.floor(Date.now() / 1000),
+      nonce = crypto.randomBytes(16).toString('hex'),
+      secret = ADMIN_SECRET,
+    } = {}) {
+      const raw = JSON.stringify(body);
+      return request(app)
+        .post('/providers/add')
+        .set('Content-Type', 'application/json')
+        .set('X-Admin-Key-Id', 'test-admin')
+        .set('X-Admin-Timestamp', String(timestamp))
+        .set('X-Admin-Nonce', nonce)
+        .set('X-Admin-Signature', signRequest(secret, { timestamp, nonce, method: 'POST', url: '/providers/add', body: raw }))
+        .send(raw);
+    }
+
+    it('should accept a valid signature', async () => {
+      const response = await signedPost(provider);
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should reject a signature made with the wrong secret', async () => {
+      const response = await signedPost(provider, { secret: 'not-the-secret' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid request signature');
+    });
+
+    it('should reject stale timestamps', async () => {
+      const response = await signedPost(provider, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toMatch(/X-Admin-Timestamp/);
+    });
+
+    it('should reject a replayed request within the signature window', async () => {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const first = await signedPost(provider, { nonce, timestamp });
+      await providerRegistry.remove(provider.id);
+      const replay = await signedPost(provider, { nonce, timestamp });
+
+      expect(first.status).toBe(201);
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toBe('X-Admin-Nonce was already used');
+      expect(providerRegistry.get(provider.id)).toBeUndefined();
+    });
+
+    it('should require a nonce', async () => {
+      const response = await signedPost(provider, { nonce: '' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toMatch(/X-Admin-Nonce/);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { paymentStore } = require('../../src/stores/paymentStore');
+const { creditStore } = require('../../src/stores/creditStore');
+const { verifyPaymentOnChain } = require('../../src/services/blockchainVerifier');
+const { fetchFromOldFaithful } = require('../../src/services/oldFaithfulProxy');
+
+jest.mock('../../src/services/blockchainVerifier');
+jest.mock('../../src/services/oldFaithfulProxy');
+
+const txSignature = '5'.repeat(88);
+let signatureCounter = 0;
+
+// Unique 88-char signature per deposit (each transfer can only be redeemed once)
+function nextSignature() {
+  signatureCounter += 1;
+  return `${signatureCounter}`.padStart(88, '4');
+}
+
+function paymentHeader(paymentId, signature = txSignature) {
+  return Buffer.from(JSON.stringify({ txSignature: signature, paymentId })).toString('base64');
+}
+
+describe('E2E: Prepaid credits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paymentStore.invoices.clear();
+    paymentStore.consumedSignatures.clear();
+    creditStore.accounts.clear();
+  });
+
+  async function depositCredits(amount, apiKey) {
+    const challenge = await request(app).post('/credits/deposit').send({ amount });
+    const { paymentId } = challenge.body.accepts[0];
+
+    verifyPaymentOnChain.mockResolvedValue({ valid: true });
+
+    const req = request(app)
+      .post('/credits/deposit')
+      .set('X-Payment', paymentHeader(paymentId, nextSignature()));
+    if (apiKey) req.set('X-API-Key', apiKey);
+    return req.send({});
+  }
+
+  describe('POST /credits/deposit', () => {
+    it('should return a 402 deposit invoice for the requested amount', async () => {
+      const response = await request(app)
+        .post('/credits/deposit')
+        .send({ amount: 0.5 })
+        .expect(402);
+
+      expect(response.body.accepts[0]).toMatchObject({ amount: '0.500000', method: 'credits' });
+      const invoice = await paymentStore.get(response.body.accepts[0].paymentId);
+      expect(invoice.kind).toBe('credit_deposit');
+    });
+
+    it('should require an amount when no payment is attached', async () => {
+      const response = await request(app)
+        .post('/credits/deposit')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('validation_error');
+    });
+
+    it('should verify the deposit on-chain and issue an API key', async () => {
+      const response = await depositCredits(0.5);
+
+      expect(response.status).toBe(201);
+      expect(response.body.apiKey).toMatch(/^shh_/);
+      expect(response.body.balance).toBe('0.500000');
+      expect(verifyPaymentOnChain).toHaveBeenCalledWith(expect.objectContaining({
+        expectedAmount: '0.500000',
+      }));
+    });
+
+    it('should top up an existing account', async () => {
+      const first = await depositCredits(0.5);
+      const response = await depositCredits(0.25, first.body.apiKey);
+
+      expect(response.status).toBe(201);
+      expect(response.body.apiKey).toBeUndefined();
+      expect(response.body.balance).toBe('0.750000');
+    });
+
+    it('should reject a deposit that fails verification', async () => {
+      const challenge = await request(app).post('/credits/deposit').send({ amount: 0.5 });
+      verifyPaymentOnChain.mockResolvedValue({ valid: false, reason: 'Transaction not found on chain' });
+
+      const response = await request(app)
+        .post('/credits/deposit')
+        .set('X-Payment', paymentHeader(challenge.body.accepts[0].paymentId))
+        .send({})
+        .expect(402);
+
+      expect(response.body.error).toBe('payment_invalid');
+    });
+
+    it('should not credit the same transfer twice', async () => {
+      const first = await request(app).post('/credits/deposit').send({ amount: 0.5 });
+      const second = await request(app).post('/credits/deposit').send({ amount: 0.5 });
+      verifyPaymentOnChain.mockResolvedValue({ valid: true });
+
+      await request(app)
+        .post('/credits/deposit')
+        .set('X-Payment', paymentHeader(first.body.accepts[0].paymentId))
+        .send({})
+        .expect(201);
+      const response = await request(app)
+        .post('/credits/deposit')
+        .set('X-Payment', paymentHeader(second.body.accepts[0].paymentId))
+        .send({})
+        .expect(402);
+
+      expect(response.body.error).toBe('signature_already_used');
+    });
+
+    it('should keep the invoice redeemable when crediting the deposit fails', async () => {
+      const challenge = await request(app).post('/credits/deposit').send({ amount: 0.5 });
+      const { paymentId } = challenge.body.accepts[0];
+      verifyPaymentOnChain.mockResolvedValue({ valid: true });
+      jest.spyOn(creditStore, 'deposit').mockRejectedValueOnce(new Error('ledger unavailable'));
+
+      await request(app).post('/credits/deposit').set('X-Payment', paymentHeader(paymentId)).send({}).expect(500);
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+
+      const response = await request(app)
+        .post('/credits/deposit')
+        .set('X-Payment', paymentHeader(paymentId))
+        .send({})
+        .expect(201);
+      expect(response.body.balance).toBe('0.500000');
+      expect((await paymentStore.get(paymentId)).status).toBe('used');
+    });
+
+    it('should not accept an RPC invoice as a deposit', async () => {
+      const rpcChallenge = await request(app)
+        .post('/')
+        .set('X-Payment-Format', 'legacy')
+        .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      const response = await request(app)
+        .post('/credits/deposit')
+        .set('X-Payment', paymentHeader(rpcChallenge.body.accepts[0].paymentId))
+        .send({})
+        .expect(402);
+
+      expect(response.body.error).toBe('payment_not_found');
+      expect(verifyPaymentOnChain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST / with a deposit invoice', () => {
+    it('should not redeem a deposit invoice for RPC requests', async () => {
+      const challenge = await request(app).post('/credits/deposit').send({ amount: 0.01 });
+      const { paymentId } = challenge.body.accepts[0];
+      verifyPaymentOnChain.mockResolvedValue({ valid: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', paymentHeader(paymentId, nextSignature()))
+        .send(Array.from({ length: 20 }, (_, id) => ({ jsonrpc: '2.0', id, method: 'getBlock', params: [5] })))
+        .expect(402);
+
+      expect(response.body.error).toBe('payment_request_mismatch');
+      expect(verifyPaymentOnChain).not.toHaveBeenCalled();
+      expect(fetchFromOldFaithful).not.toHaveBeenCalled();
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+    });
+  });
+
+  describe('POST / with X-API-Key', () => {
+    it('should debit credits instead of requiring a payment', async () => {
+      const { body } = await depositCredits(0.01);
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: { blockhash: 'hash' } });
+
+      const response = await request(app)
+        .post('/')
+        .set('X-API-Key', body.apiKey)
+        .send({ jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] })
+        .expect(200);
+
+      expect(response.body.result.blockhash).toBe('hash');
+      expect(response.headers['x-credits-remaining']).toBe('0.009000');
+    });
+
+    it('should return 402 when the balance is too low', async () => {
+      const { body } = await depositCredits(0.01);
+
+      const response = await request(app)
+        .post('/')
+        .set('X-API-Key', body.apiKey)
+        .send(Array.from({ length: 11 }, (_, id) => ({ jsonrpc: '2.0', id, method: 'getBlock', params: [14000000] })))
+        .expect(402);
+
+      expect(response.body).toMatchObject({ error: 'insufficient_credits', balance: '0.010000', required: '0.011000' });
+      expect(fetchFromOldFaithful).not.toHaveBeenCalled();
+    });
+
+    it('should refund the debit when the upstream request fails', async () => {
+      const { body } = await depositCredits(0.01);
+      const getBlock = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+      fetchFromOldFaithful.mockRejectedValueOnce(new Error('socket hang up'));
+
+      await request(app).post('/').set('X-API-Key', body.apiKey).send(getBlock).expect(500);
+
+      fetchFromOldFaithful.mockResolvedValueOnce({
+        jsonrpc: '2.0',
+        id: 1,
+        error: { code: -32603, message: 'Internal error: All data providers unavailable' },
+      });
+      const unavailable = await request(app).post('/').set('X-API-Key', body.apiKey).send(getBlock).expect(200);
+
+      const account = await creditStore.getAccount(body.apiKey);
+      expect(unavailable.headers['x-credits-remaining']).toBe('0.010000');
+      expect(account.balance).toBe(10000);
+      expect(account.history.map((e) => e.type)).toEqual(['refund', 'debit', 'refund', 'debit', 'deposit']);
+      expect(account.history[2]).toMatchObject({ amount: 1000, method: 'getBlock', reason: 'socket hang up' });
+    });
+
+    it('should reject an unknown API key', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('X-API-Key', 'shh_unknown')
+        .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' })
+        .expect(401);
+
+      expect(response.body.error).toBe('invalid_api_key');
+    });
+  });
+
+  describe('GET /credits', () => {
+    it('should return balance and history', async () => {
+      const { body } = await depositCredits(0.01);
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: 1 });
+      await request(app)
+        .post('/')
+        .set('X-API-Key', body.apiKey)
+        .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      const response = await request(app)
+        .get('/credits')
+        .set('X-API-Key', body.apiKey)
+        .expect(200);
+
+      // Served by solana-devnet-public at half price
+      expect(response.body.balance).toBe('0.009960');
+      expect(response.body.history.map((e) => e.type)).toEqual(['debit', 'deposit']);
+      expect(response.body.history[0]).toMatchObject({ amount: '0.000040', method: 'getSlot' });
+    });
+
+    it('should require an API key', async () => {
+      const response = await request(app).get('/credits').expect(401);
+
+      expect(response.body.error).toBe('missing_api_key');
+    });
+  });
+});
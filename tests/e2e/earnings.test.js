@@ -0,0 +1,97 @@
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../../src/app');
+const { creditStore } = require('../../src/stores/creditStore');
+const { calculatePrice, toAtomicUnits, fromAtomicUnits } = require('../../src/utils/pricing');
+
+jest.mock('axios');
+
+const ADMIN_KEY = 'test-admin-secret';
+const PROVIDER_ID = 'triton-old-faithful';
+
+describe('E2E: Provider earnings', () => {
+  let apiKey;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    apiKey = await creditStore.createAccount();
+    await creditStore.deposit(apiKey, 1000000);
+    axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: 99 } });
+  });
+
+  async function earnings(id = PROVIDER_ID) {
+    return request(app).get(`/providers/${id}/earnings`).set('X-Admin-Key', ADMIN_KEY);
+  }
+
+  it('should credit the provider that served a request with its share', async () => {
+    const before = (await earnings()).body;
+
+    await request(app)
+      .post('/')
+      .set('X-API-Key', apiKey)
+      .set('X-Provider-Id', PROVIDER_ID)
+      .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' })
+      .expect(200);
+
+    const after = (await earnings()).body;
+    const share = Math.floor(toAtomicUnits(calculatePrice('getSlot')) * 0.7);
+
+    expect(after.requests).toBe(before.requests + 1);
+    expect(toAtomicUnits(after.earned) - toAtomicUnits(before.earned)).toBe(share);
+    expect(after.balance).toBe(after.earned);
+    expect(after.history[0]).toMatchObject({ type: 'earning', amount: fromAtomicUnits(share), method: 'getSlot' });
+  });
+
+  it('should not credit providers when no provider served the request', async () => {
+    axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+    const before = (await earnings()).body;
+
+    await request(app)
+      .post('/')
+      .set('X-API-Key', apiKey)
+      .set('X-Provider-Id', PROVIDER_ID)
+      .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+    expect((await earnings()).body.earned).toBe(before.earned);
+  });
+
+  it('should return 404 for providers without an account or registration', async () => {
+    const response = await earnings('no-such-provider');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should export payouts as JSON and CSV', async () => {
+    await request(app)
+      .post('/')
+      .set('X-API-Key', apiKey)
+      .set('X-Provider-Id', PROVIDER_ID)
+      .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+    const json = await request(app).get('/providers/payouts').set('X-Admin-Key', ADMIN_KEY);
+    const csv = await request(app).get('/providers/payouts?format=csv').set('X-Admin-Key', ADMIN_KEY);
+
+    expect(json.status).toBe(200);
+    expect(json.body.providers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ providerId: PROVIDER_ID, name: 'Triton Old Faithful (Premium)' }),
+    ]));
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.text.split('\n')[0]).toBe('providerId,name,payoutAddress,earned,paidOut,balance,requests');
+    expect(csv.text).toContain(`${PROVIDER_ID},Triton Old Faithful (Premium),,`);
+  });
+
+  it('should require the payouts:read scope', async () => {
+    const anonymous = await request(app).get('/providers/payouts');
+    const metricsOnly = await request(app).get(`/providers/${PROVIDER_ID}/earnings`).set('X-Admin-Key', 'test-metrics-secret');
+
+    expect(anonymous.status).toBe(401);
+    expect(metricsOnly.status).toBe(403);
+  });
+
+  it('should refuse to run payouts without a payout wallet', async () => {
+    const response = await request(app).post('/providers/payouts/run').set('X-Admin-Key', ADMIN_KEY);
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toBe('payouts_not_configured');
+  });
+});
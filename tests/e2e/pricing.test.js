@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { paymentStore } = require('../../src/stores/paymentStore');
+const { isCached } = require('../../src/services/oldFaithfulProxy');
+const { DEFAULT_PRICES } = require('../../src/utils/pricing');
+
+jest.mock('../../src/services/oldFaithfulProxy');
+
+describe('E2E: Pricing', () => {
+  const getBlock = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isCached.mockResolvedValue(false);
+  });
+
+  describe('GET /pricing', () => {
+    it('should list method prices, rules and multipliers', async () => {
+      const response = await request(app).get('/pricing').expect(200);
+
+      expect(response.body).toMatchObject({
+        asset: 'USDC',
+        decimals: 6,
+        version: expect.stringMatching(/^[0-9a-f]{12}$/),
+        defaultPrice: DEFAULT_PRICES.default,
+        cacheHitMultiplier: 0.5,
+      });
+      expect(response.body).not.toHaveProperty('source');
+      expect(response.body.methods.getBlock).toEqual({ price: DEFAULT_PRICES.getBlock, rules: [] });
+      expect(response.body.rules).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'deepHistorical', when: { slot: { lt: 100000 } }, multiplier: 1.5 }),
+      ]));
+      expect(response.body.providers).toEqual(expect.arrayContaining([
+        { id: 'community-archive', name: 'Community Archive Node', pricing: 0.3 },
+      ]));
+    });
+  });
+
+  describe('POST /quote', () => {
+    it('should quote each provider with a per-call breakdown without issuing an invoice', async () => {
+      const invoices = paymentStore.invoices.size;
+
+      const response = await request(app).post('/quote').send({ ...getBlock, params: [5] }).expect(200);
+
+      expect(response.body).toMatchObject({
+        method: 'getBlock',
+        amount: '0.001500',
+        amountAtomic: '1500',
+        providerId: 'triton-old-faithful',
+      });
+      expect(response.body.quotes.map((quote) => [quote.providerId, quote.amount])).toEqual([
+        ['triton-old-faithful', '0.001500'],
+        ['community-archive', '0.000450'],
+      ]);
+      expect(response.body.quotes[0].calls).toEqual([{
+        id: 1,
+        method: 'getBlock',
+        cacheHit: false,
+        price: '0.001500',
+        basePrice: 0.001,
+        multiplier: 1.5,
+        applied: ['deepHistorical', 'provider:triton-old-faithful'],
+      }]);
+      expect(paymentStore.invoices.size).toBe(invoices);
+    });
+
+    it('should price a batch as the sum of its calls', async () => {
+      const batch = [getBlock, { jsonrpc: '2.0', id: 2, method: 'getTransaction', params: ['sig'] }];
+
+      const response = await request(app).post('/quote').send(batch).expect(200);
+
+      expect(response.body).toMatchObject({ method: 'batch', batchSize: 2, amount: '0.001500' });
+      expect(response.body.quotes[0].calls.map((call) => [call.id, call.price])).toEqual([[1, '0.001000'], [2, '0.000500']]);
+    });
+
+    it('should match the amounts of the payment challenge', async () => {
+      const quote = await request(app).post('/quote').send(getBlock).expect(200);
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(getBlock).expect(402);
+
+      expect(challenge.body.accepts.map((accept) => [accept.providerId, accept.amount]))
+        .toEqual(quote.body.quotes.map((entry) => [entry.providerId, entry.amount]));
+    });
+
+    it('should price cached calls without provider pricing', async () => {
+      isCached.mockResolvedValue(true);
+
+      const response = await request(app).post('/quote').send(getBlock).expect(200);
+
+      expect(response.body.quotes.map((quote) => quote.amount)).toEqual(['0.000500', '0.000500']);
+      expect(response.body.quotes[1].calls[0]).toMatchObject({ cacheHit: true, applied: ['cacheHit'] });
+    });
+
+    it('should honor routing headers', async () => {
+      const pinned = await request(app).post('/quote').set('X-Provider-Id', 'community-archive').send(getBlock).expect(200);
+      const unknown = await request(app).post('/quote').set('X-Provider-Id', 'no-such-provider').send(getBlock);
+
+      expect(pinned.body.quotes.map((quote) => quote.providerId)).toEqual(['community-archive']);
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toBe('unknown_provider');
+    });
+
+    it('should reject invalid JSON-RPC requests', async () => {
+      await request(app).post('/quote').send({ jsonrpc: '2.0', id: 1 }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const axios = require('axios');
+const { Keypair } = require('@solana/web3.js');
+const request = require('supertest');
+const app = require('../../src/app');
+const {
+  providerRegistry, selectBestProvider, rankProviders, healthMonitor, providerStats,
+} = require('../../src/services/providersService');
+const { creditStore } = require('../../src/stores/creditStore');
+const { responseCache } = require('../../src/stores/responseCache');
+const { calculatePrice, toAtomicUnits } = require('../../src/utils/pricing');
+
+jest.mock('axios');
+
+const ADMIN_KEY = 'test-admin-secret';
+
+const provider = {
+  id: 'test-archive',
+  name: 'Test Archive',
+  url: 'https://archive.example.com',
+  type: 'community',
+  pricing: 0.2,
+  reputation: 90,
+  features: ['historical'],
+};
+
+describe('E2E: Provider registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await providerRegistry.remove(provider.id);
+  });
+
+  it('should add, update and delete a provider', async () => {
+    const created = await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send(provider);
+    expect(created.status).toBe(201);
+
+    const duplicate = await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send(provider);
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toBe('provider_exists');
+
+    const updated = await request(app)
+      .put(`/providers/${provider.id}`)
+      .set('X-Admin-Key', ADMIN_KEY)
+      .send({ ...provider, name: 'Test Archive v2' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.provider).toMatchObject({ name: 'Test Archive v2', enabled: true });
+
+    const deleted = await request(app).delete(`/providers/${provider.id}`).set('X-Admin-Key', ADMIN_KEY);
+    expect(deleted.status).toBe(200);
+
+    const list = await request(app).get('/providers');
+    expect(list.body.providers.map((p) => p.id)).not.toContain(provider.id);
+  });
+
+  it('should store a payout address and reject addresses that are not wallets', async () => {
+    const wallet = Keypair.generate().publicKey.toBase58();
+
+    const invalid = await request(app)
+      .post('/providers/add')
+      .set('X-Admin-Key', ADMIN_KEY)
+      .send({ ...provider, payoutAddress: 'not-a-wallet' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toMatch(/payoutAddress/);
+
+    const created = await request(app)
+      .post('/providers/add')
+      .set('X-Admin-Key', ADMIN_KEY)
+      .send({ ...provider, payoutAddress: wallet });
+    expect(created.status).toBe(201);
+    expect(providerRegistry.get(provider.id).payoutAddress).toBe(wallet);
+  });
+
+  it('should validate updates with the provider schema', async () => {
+    await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send(provider);
+
+    const invalid = await request(app)
+      .put(`/providers/${provider.id}`)
+      .set('X-Admin-Key', ADMIN_KEY)
+      .send({ ...provider, url: 'not a url' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('validation_error');
+
+    const mismatched = await request(app)
+      .put(`/providers/${provider.id}`)
+      .set('X-Admin-Key', ADMIN_KEY)
+      .send({ ...provider, id: 'other-id' });
+    expect(mismatched.status).toBe(400);
+  });
+
+  it('should return 404 for unknown providers', async () => {
+    const updated = await request(app).put('/providers/unknown-id').set('X-Admin-Key', ADMIN_KEY).send({ ...provider, id: 'unknown-id' });
+    const deleted = await request(app).delete('/providers/unknown-id').set('X-Admin-Key', ADMIN_KEY);
+    const disabled = await request(app).patch('/providers/unknown-id/disable').set('X-Admin-Key', ADMIN_KEY);
+
+    expect([updated.status, deleted.status, disabled.status]).toEqual([404, 404, 404]);
+  });
+
+  it('should exclude disabled providers from selection', async () => {
+    await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send({ ...provider, pricing: 0 });
+    expect(selectBestProvider({ preferCheapest: true }).id).toBe(provider.id);
+
+    const disabled = await request(app).patch(`/providers/${provider.id}/disable`).set('X-Admin-Key', ADMIN_KEY);
+    expect(disabled.body.provider.enabled).toBe(false);
+    expect(selectBestProvider({ preferCheapest: true }).id).not.toBe(provider.id);
+
+    const enabled = await request(app).patch(`/providers/${provider.id}/enable`).set('X-Admin-Key', ADMIN_KEY);
+    expect(enabled.body.provider.enabled).toBe(true);
+  });
+
+  describe('health routes', () => {
+    beforeEach(async () => {
+      healthMonitor.forget(provider.id);
+      await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send(provider);
+    });
+
+    it('should live-probe a single provider', async () => {
+      axios.post.mockImplementation(async (url, body) => ({
+        data: { jsonrpc: '2.0', id: 1, result: body.method === 'getSlot' ? 12345 : 'ok' },
+      }));
+
+      const response = await request(app).get(`/providers/${provider.id}/health`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.health).toMatchObject({ status: 'healthy', slot: 12345, successRate: 1 });
+      expect(axios.post).toHaveBeenCalledWith(provider.url, expect.objectContaining({ method: 'getHealth' }), expect.any(Object));
+    });
+
+    it('should return 404 for an unknown provider', async () => {
+      const response = await request(app).get('/providers/unknown-id/health');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should aggregate cached health without probing', async () => {
+      healthMonitor.recordResult(provider.id, { ok: true, latency: 80 });
+      healthMonitor.recordResult(provider.id, { ok: false, error: 'socket hang up' });
+
+      const response = await request(app).get('/providers/health');
+      const entry = response.body.providers.find((p) => p.id === provider.id);
+
+      expect(response.status).toBe(200);
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(response.body.count).toBe(response.body.providers.length);
+      expect(entry).toMatchObject({ enabled: true, successRate: 0.5, lastError: 'socket hang up' });
+      expect(entry.latencyHistogram).toContainEqual({ le: 100, count: 1 });
+      expect(entry).toHaveProperty('slotLag');
+    });
+
+    it('should re-admit an ejected provider through on-demand probes', async () => {
+      for (let i = 0; i < 3; i += 1) {
+        healthMonitor.recordResult(provider.id, { ok: false, error: 'ECONNREFUSED' });
+      }
+      expect(healthMonitor.state(provider.id)).toBe('ejected');
+      axios.post.mockImplementation(async (url, body) => ({
+        data: { jsonrpc: '2.0', id: 1, result: body.method === 'getSlot' ? 12345 : 'ok' },
+      }));
+
+      expect((await request(app).post('/providers/health/check')).status).toBe(401);
+      let response;
+      for (let i = 0; i < 3; i += 1) {
+        response = await request(app).post('/providers/health/check').set('X-Admin-Key', ADMIN_KEY);
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body.providers.find((p) => p.id === provider.id).status).toBe('healthy');
+    });
+  });
+
+  describe('routing headers', () => {
+    let apiKey;
+
+    beforeEach(async () => {
+      await request(app).post('/providers/add').set('X-Admin-Key', ADMIN_KEY).send({ ...provider, reputation: 70 });
+      providerRegistry.list().forEach((p) => {
+        healthMonitor.forget(p.id);
+        providerStats.forget(p.id);
+      });
+      apiKey = await creditStore.createAccount();
+      await creditStore.deposit(apiKey, 1000000);
+      responseCache.clear();
+      axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: 99 } });
+    });
+
+    function rpc() {
+      return request(app).post('/').set('X-API-Key', apiKey);
+    }
+
+    it('should pin the provider named by X-Provider-Id and echo it', async () => {
+      const response = await rpc()
+        .set('X-Provider-Id', provider.id)
+        .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-provider-id']).toBe(provider.id);
+      expect(axios.post).toHaveBeenCalledWith(provider.url, expect.any(Object), expect.any(Object));
+    });
+
+    it('should echo the provider chosen without routing headers', async () => {
+      const response = await rpc().send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      const routed = providerRegistry.list().find((p) => p.url === axios.post.mock.calls[0][0]);
+      expect(response.headers['x-provider-id']).toBe(routed.id);
+    });
+
+    it('should only route to providers with the required features', async () => {
+      await rpc()
+        .set('X-Require-Features', 'historical, community-supported')
+        .send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      expect(axios.post.mock.calls[0][0]).toBe(providerRegistry.get('community-archive').url);
+    });
+
+    it('should reject routing that cannot be satisfied before charging', async () => {
+      const unknown = await rpc().set('X-Provider-Id', 'no-such-provider').send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+      const features = await rpc().set('X-Require-Features', 'teleportation').send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+      const preference = await rpc().set('X-Provider-Preference', 'random').send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      expect([unknown.body.error, features.body.error, preference.body.error])
+        .toEqual(['unknown_provider', 'no_matching_provider', 'invalid_routing_header']);
+      expect((await creditStore.getAccount(apiKey)).balance).toBe(1000000);
+    });
+
+    it('should debit credits at the pricing of the provider serving the call', async () => {
+      await rpc().set('X-Provider-Id', provider.id).send({ jsonrpc: '2.0', id: 1, method: 'getSlot' });
+
+      const debit = toAtomicUnits(calculatePrice('getSlot', [], { provider }));
+      expect(debit).toBe(Math.round(toAtomicUnits(calculatePrice('getSlot')) * provider.pricing));
+      expect((await creditStore.getAccount(apiKey)).balance).toBe(1000000 - debit);
+    });
+
+    it('should rank the provider a quote was pinned to first', () => {
+      const [best] = rankProviders({ preferProviderId: 'community-archive' });
+
+      expect(best.provider.id).toBe('community-archive');
+    });
+
+    it('should not fall back to a provider priced above the paid quote', () => {
+      const ranked = rankProviders({ preferProviderId: 'community-archive', maxPricing: 0.3 });
+
+      expect(ranked[0].provider.id).toBe('community-archive');
+      expect(ranked.every(({ provider: candidate }) => candidate.pricing <= 0.3)).toBe(true);
+      expect(ranked.map(({ provider: candidate }) => candidate.id)).not.toContain('triton-old-faithful');
+    });
+
+    it('should rank by the requested preference', () => {
+      const cheapest = rankProviders({ preference: 'cheapest' })[0].provider;
+      const reputation = rankProviders({ preference: 'reputation' })[0].provider;
+
+      expect(cheapest.id).toBe(provider.id);
+      expect(reputation.id).toBe('triton-old-faithful');
+    });
+  });
+});
@@ -1,8 +1,16 @@
 const request = require('supertest');
+const bs58 = require('bs58');
+const {
+  Keypair,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
 const app = require('../../src/app');
 const { paymentStore } = require('../../src/stores/paymentStore');
 const { verifyPayment, settlePayment } = require('../../src/services/paymentService');
-const { fetchFromOldFaithful } = require('../../src/services/oldFaithfulProxy');
+const { fetchFromOldFaithful, isCached } = require('../../src/services/oldFaithfulProxy');
 
 jest.mock('../../src/services/paymentService');
 jest.mock('../../src/services/oldFaithfulProxy');
@@ -12,6 +20,7 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
     jest.clearAllMocks();
     // Clear payment store
     paymentStore.invoices.clear();
+    paymentStore.consumedSignatures.clear();
   });
 
   describe('GET /health', () => {
@@ -35,6 +44,7 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
 
       const response = await request(app)
         .post('/')
+        .set('X-Payment-Format', 'legacy')
         .send(rpcRequest)
         .expect(402);
 
@@ -50,6 +60,23 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
       expect(response.body.accepts[0].paymentAddress).toBe('testWallet123456789');
     });
 
+    it('should describe amount, asset and expiry precisely in the challenge', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment-Format', 'legacy')
+        .send({ jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] })
+        .expect(402);
+
+      const [accept] = response.body.accepts;
+      expect(accept).toMatchObject({
+        amountAtomic: '1000',
+        decimals: 6,
+        mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+        network: 'solana-devnet',
+      });
+      expect(new Date(accept.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
     it('should store payment invoice in payment store', async () => {
       const rpcRequest = {
         jsonrpc: '2.0',
@@ -58,7 +85,7 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
         params: [14000000],
       };
 
-      const response = await request(app).post('/').send(rpcRequest);
+      const response = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
 
       const paymentId = response.body.accepts[0].paymentId;
       const invoice = paymentStore.get(paymentId);
@@ -122,6 +149,43 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
     });
   });
 
+  describe('POST / - Provider Quotes', () => {
+    it('should quote each provider able to serve the request, preferred first', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment-Format', 'legacy')
+        .send({ jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] })
+        .expect(402);
+
+      // Only providers with historical data can serve getBlock
+      expect(response.body.accepts.map((accept) => [accept.providerId, accept.amount])).toEqual([
+        ['triton-old-faithful', '0.001000'],
+        ['community-archive', '0.000300'],
+      ]);
+      expect(response.body.accepts[1].providerName).toBe('Community Archive Node');
+
+      const invoices = await Promise.all(response.body.accepts.map((accept) => paymentStore.get(accept.paymentId)));
+      expect(invoices.map((invoice) => invoice.providerId)).toEqual(['triton-old-faithful', 'community-archive']);
+    });
+
+    it('should route a paid request to the provider its invoice was quoted for', async () => {
+      const rpcRequest = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+      const challengeResponse = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const { paymentId } = challengeResponse.body.accepts[1];
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: null });
+
+      const payment = Buffer.from(JSON.stringify({ txSignature: '4'.repeat(88), paymentId })).toString('base64');
+      await request(app).post('/').set('X-Payment', payment).send(rpcRequest).expect(200);
+
+      expect(fetchFromOldFaithful).toHaveBeenCalledWith(rpcRequest, expect.objectContaining({
+        routing: expect.objectContaining({ preferProviderId: 'community-archive', maxPricing: 0.3 }),
+      }));
+    });
+  });
+
   describe('POST / - Valid Payment Flow', () => {
     it('should process valid payment and return RPC data', async () => {
       // Step 1: Get payment challenge
@@ -132,7 +196,7 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
         params: [14000000],
       };
 
-      const challengeResponse = await request(app).post('/').send(rpcRequest);
+      const challengeResponse = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
       const paymentId = challengeResponse.body.accepts[0].paymentId;
 
       // Step 2: Mock payment verification and settlement
@@ -174,7 +238,7 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
       // Verify mocks were called
       expect(verifyPayment).toHaveBeenCalled();
       expect(settlePayment).toHaveBeenCalled();
-      expect(fetchFromOldFaithful).toHaveBeenCalledWith(rpcRequest);
+      expect(fetchFromOldFaithful).toHaveBeenCalledWith(rpcRequest, expect.any(Object));
     });
 
     it('should return 402 for already used payment', async () => {
@@ -199,6 +263,26 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
       expect(response.body.error).toBe('payment_already_used');
     });
 
+    it('should return payment_expired for a known but expired invoice', async () => {
+      const paymentId = '0b6c6c1e-3f3a-4d6e-9a51-2f7c1d9e8a40';
+      await paymentStore.create(paymentId, { amount: '0.001', expiresAt: Date.now() - 1000 });
+
+      const base64Payment = Buffer.from(JSON.stringify({
+        txSignature: '4'.repeat(88),
+        paymentId,
+      })).toString('base64');
+
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', base64Payment)
+        .send({ jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] })
+        .expect(402);
+
+      expect(response.body.error).toBe('payment_expired');
+      expect(response.body.expiresAt).toBeDefined();
+      expect(verifyPayment).not.toHaveBeenCalled();
+    });
+
     it('should return 402 for invalid payment verification', async () => {
       // Create payment invoice
       const paymentId = 'test-payment-invalid';
@@ -264,13 +348,470 @@ describe('E2E: RPC Handler with x402 Payment Flow', () => {
     });
   });
 
+  describe('POST / - JSON-RPC Batch', () => {
+    const txSignature = '5'.repeat(88);
+    const batch = [
+      { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] },
+      { jsonrpc: '2.0', id: 2, method: 'getTransaction', params: ['sig'] },
+    ];
+
+    it('should issue a single invoice covering every call in the batch', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment-Format', 'legacy')
+        .send(batch)
+        .expect(402);
+
+      // One invoice per historical provider, each covering every call
+      expect(response.body.accepts).toHaveLength(2);
+      expect(response.body.accepts[0]).toMatchObject({
+        amount: '0.001500',
+        method: 'batch',
+        batchSize: 2,
+        providerId: 'triton-old-faithful',
+      });
+
+      const invoice = await paymentStore.get(response.body.accepts[0].paymentId);
+      expect(invoice.amount).toBe('0.001500');
+      expect(invoice.methods).toEqual(['getBlock', 'getTransaction']);
+    });
+
+    it('should reject the batch with per-id errors when an element is invalid', async () => {
+      const response = await request(app)
+        .post('/')
+        .send([batch[0], { jsonrpc: '2.0', id: 7 }])
+        .expect(400);
+
+      expect(response.body).toEqual([
+        expect.objectContaining({ id: 7, error: expect.objectContaining({ code: -32600 }) }),
+      ]);
+    });
+
+    it('should reject an empty batch', async () => {
+      const response = await request(app)
+        .post('/')
+        .send([])
+        .expect(400);
+
+      expect(response.body.error.code).toBe(-32600);
+    });
+
+    it('should return an array of per-id results after a single payment', async () => {
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(batch);
+      const { paymentId } = challenge.body.accepts[0];
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful
+        .mockResolvedValueOnce({ jsonrpc: '2.0', id: 1, result: { blockhash: 'hash-1' } })
+        .mockRejectedValueOnce(new Error('upstream timeout'));
+
+      const payment = Buffer.from(JSON.stringify({ txSignature, paymentId })).toString('base64');
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', payment)
+        .send(batch)
+        .expect(200);
+
+      expect(response.body).toEqual([
+        { jsonrpc: '2.0', id: 1, result: { blockhash: 'hash-1' } },
+        expect.objectContaining({ id: 2, error: expect.objectContaining({ code: -32603 }) }),
+      ]);
+      expect(verifyPayment).toHaveBeenCalledTimes(1);
+      expect(verifyPayment).toHaveBeenCalledWith(expect.objectContaining({ expectedAmount: '0.001500' }));
+    });
+  });
+
+  describe('POST / - Signature Replay Protection', () => {
+    const txSignature = '6'.repeat(88);
+    const rpcRequest = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+
+    async function payWith(signature) {
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const payment = Buffer.from(JSON.stringify({
+        txSignature: signature,
+        paymentId: challenge.body.accepts[0].paymentId,
+      })).toString('base64');
+      return request(app).post('/').set('X-Payment', payment).send(rpcRequest);
+    }
+
+    it('should reject a signature already used for another invoice of equal amount', async () => {
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      expect((await payWith(txSignature)).status).toBe(200);
+      const response = await payWith(txSignature);
+
+      expect(response.status).toBe(402);
+      expect(response.body.error).toBe('signature_already_used');
+      expect(verifyPayment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the signature when verification fails', async () => {
+      verifyPayment.mockResolvedValueOnce({ valid: false, reason: 'Transaction not found on chain' });
+      expect((await payWith(txSignature)).status).toBe(402);
+
+      verifyPayment.mockResolvedValueOnce({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+      expect((await payWith(txSignature)).status).toBe(200);
+    });
+  });
+
+  describe('POST / - Concurrent Redemption', () => {
+    const rpcRequest = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+
+    async function paymentHeader(signature) {
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      return Buffer.from(JSON.stringify({
+        txSignature: signature,
+        paymentId: challenge.body.accepts[0].paymentId,
+      })).toString('base64');
+    }
+
+    it('should let only one of two concurrent requests redeem an invoice', async () => {
+      let resolveVerification;
+      verifyPayment.mockReturnValue(new Promise((resolve) => { resolveVerification = resolve; }));
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      const header = await paymentHeader('7'.repeat(88));
+      const first = request(app).post('/').set('X-Payment', header).send(rpcRequest).then((r) => r);
+      const second = await request(app).post('/').set('X-Payment', header).send(rpcRequest);
+
+      resolveVerification({ valid: true });
+
+      expect(second.status).toBe(409);
+      expect(second.body.error).toBe('payment_in_progress');
+      expect((await first).status).toBe(200);
+      expect(verifyPayment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll the invoice back to pending when verification fails', async () => {
+      const header = await paymentHeader('8'.repeat(88));
+      const { paymentId } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+
+      verifyPayment.mockResolvedValueOnce({ valid: false, reason: 'amount_mismatch' });
+      expect((await request(app).post('/').set('X-Payment', header).send(rpcRequest)).status).toBe(402);
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+
+      verifyPayment.mockResolvedValueOnce({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+      expect((await request(app).post('/').set('X-Payment', header).send(rpcRequest)).status).toBe(200);
+      expect((await paymentStore.get(paymentId)).status).toBe('used');
+    });
+
+    it('should roll the invoice and signature back when a step after the claim throws', async () => {
+      const signature = '9'.repeat(88);
+      const header = await paymentHeader(signature);
+      const { paymentId } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+
+      verifyPayment.mockRejectedValueOnce(new Error('facilitator unreachable'));
+      expect((await request(app).post('/').set('X-Payment', header).send(rpcRequest)).status).toBe(500);
+
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+      expect(paymentStore.consumedSignatures.has(signature)).toBe(false);
+    });
+
+    it('should let a retry take over a claim abandoned mid-verification', async () => {
+      const header = await paymentHeader('6'.repeat(88));
+      const { paymentId } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+      // An earlier attempt claimed the invoice and reserved the signature, then its process died
+      await paymentStore.claim(paymentId);
+      await paymentStore.consumeSignature('6'.repeat(88), paymentId);
+      (await paymentStore.get(paymentId)).claimedAt -= paymentStore.claimTimeoutSeconds * 1000;
+
+      verifyPayment.mockResolvedValueOnce({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+      expect((await request(app).post('/').set('X-Payment', header).send(rpcRequest)).status).toBe(200);
+      expect((await paymentStore.get(paymentId)).status).toBe('used');
+    });
+  });
+
+  describe('POST / - Request Binding', () => {
+    const slotRequest = { jsonrpc: '2.0', id: 1, method: 'getSlot', params: [] };
+    const blockRequest = { jsonrpc: '2.0', id: 2, method: 'getBlock', params: [14000000] };
+
+    async function headerFor(rpcRequest, signature) {
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      return Buffer.from(JSON.stringify({
+        txSignature: signature,
+        paymentId: challenge.body.accepts[0].paymentId,
+      })).toString('base64');
+    }
+
+    it('should reject a cheap invoice redeemed against a more expensive request', async () => {
+      const header = await headerFor(slotRequest, '3'.repeat(88));
+
+      const response = await request(app).post('/').set('X-Payment', header).send(blockRequest).expect(402);
+
+      expect(response.body.error).toBe('payment_request_mismatch');
+      expect(response.body.accepts[0].amount).toBe('0.001000');
+      expect(verifyPayment).not.toHaveBeenCalled();
+    });
+
+    it('should keep the invoice redeemable for the request it was issued for', async () => {
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 7, result: 42 });
+
+      const header = await headerFor(slotRequest, '2'.repeat(88));
+      await request(app).post('/').set('X-Payment', header).send(blockRequest).expect(402);
+
+      const response = await request(app).post('/').set('X-Payment', header).send({ ...slotRequest, id: 7 });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('POST / - Response Cache', () => {
+    const rpcRequest = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+
+    it('should price calls already in the response cache as cache hits', async () => {
+      isCached.mockResolvedValueOnce(true);
+
+      const response = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest).expect(402);
+
+      expect(response.body.accepts[0].amount).toBe('0.000500');
+    });
+
+    it('should expose the cache status of a paid request', async () => {
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ settled: true });
+      fetchFromOldFaithful.mockImplementation(async (body, context) => {
+        context.cache = 'HIT';
+        return { jsonrpc: '2.0', id: body.id, result: {} };
+      });
+
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const payment = Buffer.from(JSON.stringify({
+        txSignature: '9'.repeat(88),
+        paymentId: challenge.body.accepts[0].paymentId,
+      })).toString('base64');
+      const response = await request(app).post('/').set('X-Payment', payment).send(rpcRequest);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('HIT');
+    });
+  });
+
+  describe('POST / - x402 Spec Format', () => {
+    const rpcRequest = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [14000000] };
+    const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+    /**
+     * Build a signed (unsubmitted) transaction carrying the memo, as a spec client would
+     */
+    function signedTransaction(memo, { feePayer } = {}) {
+      const payer = Keypair.generate();
+      const instructions = memo === null ? [] : [
+        new TransactionInstruction({
+          programId: MEMO_PROGRAM_ID,
+          keys: feePayer ? [{ pubkey: payer.publicKey, isSigner: true, isWritable: false }] : [],
+          data: Buffer.from(memo, 'utf8'),
+        }),
+      ];
+      const message = new TransactionMessage({
+        payerKey: (feePayer || payer).publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions,
+      }).compileToV0Message();
+      const transaction = new VersionedTransaction(message);
+      transaction.sign([payer]);
+      return transaction;
+    }
+
+    function specHeader(transaction) {
+      return Buffer.from(JSON.stringify({
+        x402Version: 1,
+        scheme: 'exact',
+        network: 'solana-devnet',
+        payload: { transaction: Buffer.from(transaction.serialize()).toString('base64') },
+      })).toString('base64');
+    }
+
+    it('should answer with spec PaymentRequirements by default', async () => {
+      const response = await request(app).post('/').send(rpcRequest).expect(402);
+
+      expect(response.body.x402Version).toBe(1);
+      expect(response.body.accepts[0]).toMatchObject({
+        scheme: 'exact',
+        network: 'solana-devnet',
+        maxAmountRequired: '1000',
+        mimeType: 'application/json',
+        payTo: 'testWallet123456789',
+        asset: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+        maxTimeoutSeconds: 900,
+      });
+      expect(response.body.accepts[0].resource).toMatch(/\/$/);
+      expect(response.body.accepts[0].extra.paymentId).toBeDefined();
+    });
+
+    it('should verify and settle a signed-transaction payload before serving data', async () => {
+      const challenge = await request(app).post('/').send(rpcRequest);
+      const transaction = signedTransaction(challenge.body.accepts[0].extra.paymentId);
+      const txSignature = bs58.encode(transaction.signatures[0]);
+
+      verifyPayment.mockResolvedValue({ valid: true, payer: 'payerWallet' });
+      settlePayment.mockResolvedValue({ success: true, transaction: txSignature, network: 'solana-devnet' });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', specHeader(transaction))
+        .send(rpcRequest)
+        .expect(200);
+
+      expect(verifyPayment).toHaveBeenCalledWith(expect.objectContaining({
+        txSignature,
+        paymentId: challenge.body.accepts[0].extra.paymentId,
+        paymentPayload: expect.objectContaining({ x402Version: 1 }),
+        paymentRequirements: expect.objectContaining({ maxAmountRequired: '1000' }),
+      }));
+      expect(settlePayment).toHaveBeenCalledTimes(1);
+
+      const receipt = JSON.parse(Buffer.from(response.headers['x-payment-response'], 'base64').toString('utf8'));
+      expect(receipt).toMatchObject({ success: true, transaction: txSignature, payer: 'payerWallet' });
+    });
+
+    it('should roll back the invoice when settlement fails', async () => {
+      const challenge = await request(app).post('/').send(rpcRequest);
+      const { paymentId } = challenge.body.accepts[0].extra;
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ success: false, errorReason: 'blockhash_expired' });
+
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', specHeader(signedTransaction(paymentId)))
+        .send(rpcRequest)
+        .expect(402);
+
+      expect(response.body.error).toBe('settlement_failed');
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+      expect(fetchFromOldFaithful).not.toHaveBeenCalled();
+    });
+
+    it('should keep the transaction reserved when its confirmation timed out', async () => {
+      const challenge = await request(app).post('/').send(rpcRequest);
+      const { paymentId } = challenge.body.accepts[0].extra;
+      const header = specHeader(signedTransaction(paymentId));
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValueOnce({ success: false, transaction: 'pendingSignature', errorReason: 'confirmation_timeout' });
+
+      const response = await request(app).post('/').set('X-Payment', header).send(rpcRequest).expect(402);
+
+      expect(response.body.error).toBe('settlement_pending');
+      expect((await paymentStore.get(paymentId)).status).toBe('pending');
+      expect([...paymentStore.consumedSignatures.values()]).toEqual([expect.objectContaining({ paymentId })]);
+
+      // The retry finds the transaction landed
+      settlePayment.mockResolvedValueOnce({ success: true, transaction: 'pendingSignature' });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+      await request(app).post('/').set('X-Payment', header).send(rpcRequest).expect(200);
+      expect((await paymentStore.get(paymentId)).status).toBe('used');
+    });
+
+    it('should accept a signed transaction in the legacy { transaction, paymentId } payload', async () => {
+      const challenge = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const { paymentId } = challenge.body.accepts[0];
+      const transaction = signedTransaction(paymentId);
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ success: true, transaction: bs58.encode(transaction.signatures[0]) });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      const header = Buffer.from(JSON.stringify({
+        transaction: Buffer.from(transaction.serialize()).toString('base64'),
+        paymentId,
+      })).toString('base64');
+      const response = await request(app).post('/').set('X-Payment', header).send(rpcRequest).expect(200);
+
+      expect(verifyPayment).toHaveBeenCalledWith(expect.objectContaining({
+        paymentId,
+        paymentPayload: expect.objectContaining({ payload: expect.any(Object) }),
+      }));
+      const receipt = JSON.parse(Buffer.from(response.headers['x-payment-response'], 'base64').toString('utf8'));
+      expect(receipt).toEqual({ txSignature: bs58.encode(transaction.signatures[0]), paymentId, settled: true });
+    });
+
+    it('should accept a transaction the facilitator has not signed as fee payer yet', async () => {
+      const challenge = await request(app).post('/').send(rpcRequest);
+      const feePayer = Keypair.generate();
+      const transaction = signedTransaction(challenge.body.accepts[0].extra.paymentId, { feePayer });
+      const payerSignature = bs58.encode(transaction.signatures[1]);
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ success: true, transaction: 'submittedSignature' });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      process.env.PAYMENT_SUBMITTER = 'gateway';
+      try {
+        const rejected = await request(app).post('/').set('X-Payment', specHeader(transaction)).send(rpcRequest).expect(402);
+        expect(rejected.body.details).toBe('Transaction is not signed by its fee payer');
+      } finally {
+        delete process.env.PAYMENT_SUBMITTER;
+      }
+
+      const response = await request(app).post('/').set('X-Payment', specHeader(transaction)).send(rpcRequest).expect(200);
+
+      expect(verifyPayment).toHaveBeenCalledWith(expect.objectContaining({ txSignature: payerSignature }));
+      const receipt = JSON.parse(Buffer.from(response.headers['x-payment-response'], 'base64').toString('utf8'));
+      expect(receipt.transaction).toBe('submittedSignature');
+    });
+
+    it('should not let the same transaction pay a second invoice once the fee payer signs it', async () => {
+      const legacyHeader = (transaction, paymentId) => Buffer.from(JSON.stringify({
+        transaction: Buffer.from(transaction.serialize()).toString('base64'),
+        paymentId,
+      })).toString('base64');
+      const first = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const second = await request(app).post('/').set('X-Payment-Format', 'legacy').send(rpcRequest);
+      const feePayer = Keypair.generate();
+      const transaction = signedTransaction(first.body.accepts[0].paymentId, { feePayer });
+
+      verifyPayment.mockResolvedValue({ valid: true });
+      settlePayment.mockResolvedValue({ success: true });
+      fetchFromOldFaithful.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: {} });
+
+      await request(app)
+        .post('/')
+        .set('X-Payment', legacyHeader(transaction, first.body.accepts[0].paymentId))
+        .send(rpcRequest)
+        .expect(200);
+
+      transaction.sign([feePayer]);
+      const replay = await request(app)
+        .post('/')
+        .set('X-Payment', legacyHeader(transaction, second.body.accepts[0].paymentId))
+        .send(rpcRequest)
+        .expect(402);
+
+      expect(replay.body.error).toBe('signature_already_used');
+    });
+
+    it('should reject a signed transaction without a paymentId memo', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('X-Payment', specHeader(signedTransaction(null)))
+        .send(rpcRequest)
+        .expect(402);
+
+      expect(response.body.error).toBe('invalid_payment_id');
+    });
+  });
+
   describe('POST / - Rate Limiting', () => {
     it('should enforce rate limits', async () => {
       // Make 101 requests to trigger rate limit
       const requests = [];
       for (let i = 0; i < 101; i++) {
         requests.push(
-          request(app).post('/').send({
+          request(app).post('/').set('X-Payment-Format', 'legacy').send({
             jsonrpc: '2.0',
             id: i,
             method: 'getBlock',
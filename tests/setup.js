@@ -11,6 +11,8 @@ process.env.SOLANA_RPC_URL = 'https://api.devnet.solana.com';
 process.env.OLD_FAITHFUL_RPC_URL = 'http://localhost:8899';
 process.env.FACILITATOR_VERIFY_URL = 'https://api.payai.network/verify';
 process.env.FACILITATOR_SETTLE_URL = 'https://api.payai.network/settle';
+process.env.PROVIDER_REGISTRY_BACKEND = 'memory';
+process.env.ADMIN_API_KEYS = 'test-admin:test-admin-secret,metrics-reader:test-metrics-secret:metrics:read';
 process.env.LOG_LEVEL = 'error'; // Suppress logs during tests
 
 // Global test timeout
@@ -14,6 +14,24 @@ jest.mock('@solana/web3.js', () => {
 const { Connection, __mockConnection: mockConnection } = require('@solana/web3.js');
 const { verifyPaymentOnChain } = require('../../src/services/blockchainVerifier');
 
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+/**
+ * Build a transaction message whose instruction at index 0 is an SPL Memo
+ * @param {string|null} memo - Memo text, or null for no memo instruction
+ */
+function mockMessage(memo) {
+  const keys = ['senderWallet', 'senderAta', 'testWallet123456789', MEMO_PROGRAM_ID];
+  return {
+    compiledInstructions: memo === null ? [] : [
+      { programIdIndex: 3, accountKeyIndexes: [0], data: Buffer.from(memo, 'utf8') },
+    ],
+    getAccountKeys: jest.fn().mockReturnValue({
+      get: jest.fn((index) => ({ toBase58: () => keys[index] })),
+    }),
+  };
+}
+
 describe('Blockchain Verifier', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -36,6 +54,7 @@ describe('Blockchain Verifier', () => {
             {
               accountIndex: 2,
               mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+              owner: 'testWallet123456789',
               uiTokenAmount: {
                 amount: '1000000',
                 decimals: 6,
@@ -46,6 +65,7 @@ describe('Blockchain Verifier', () => {
             {
               accountIndex: 2,
               mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+              owner: 'testWallet123456789',
               uiTokenAmount: {
                 amount: '1001000', // +0.001 USDC (1000 lamports)
                 decimals: 6,
@@ -54,11 +74,7 @@ describe('Blockchain Verifier', () => {
           ],
         },
         transaction: {
-          message: {
-            getAccountKeys: jest.fn().mockReturnValue({
-              get: jest.fn().mockReturnValue({ toBase58: () => 'testWallet123456789' }),
-            }),
-          },
+          message: mockMessage('test-payment-id'),
         },
       };
 
@@ -82,7 +98,8 @@ describe('Blockchain Verifier', () => {
       const result = await verifyPaymentOnChain(mockParams);
 
       expect(result.valid).toBe(false);
-      expect(result.reason).toContain('Transaction not found');
+      expect(result.reason).toBe('not_found');
+      expect(result.message).toContain('Transaction not found');
     });
 
     it('should reject if transaction failed on chain', async () => {
@@ -97,7 +114,8 @@ describe('Blockchain Verifier', () => {
       const result = await verifyPaymentOnChain(mockParams);
 
       expect(result.valid).toBe(false);
-      expect(result.reason).toContain('Transaction failed on chain');
+      expect(result.reason).toBe('tx_failed');
+      expect(result.message).toContain('Transaction failed on chain');
     });
 
     it('should reject if no token balances found', async () => {
@@ -114,7 +132,8 @@ describe('Blockchain Verifier', () => {
       const result = await verifyPaymentOnChain(mockParams);
 
       expect(result.valid).toBe(false);
-      expect(result.reason).toContain('No token balance changes found');
+      expect(result.reason).toBe('no_token_transfer');
+      expect(result.message).toContain('No token balance changes found');
     });
 
     it('should reject if amount does not match', async () => {
@@ -125,6 +144,7 @@ describe('Blockchain Verifier', () => {
             {
               accountIndex: 2,
               mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+              owner: 'testWallet123456789',
               uiTokenAmount: {
                 amount: '1000000',
                 decimals: 6,
@@ -135,6 +155,7 @@ describe('Blockchain Verifier', () => {
             {
               accountIndex: 2,
               mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+              owner: 'testWallet123456789',
               uiTokenAmount: {
                 amount: '1000500', // Only +0.0005 USDC (wrong amount)
                 decimals: 6,
@@ -156,7 +177,128 @@ describe('Blockchain Verifier', () => {
       const result = await verifyPaymentOnChain(mockParams);
 
       expect(result.valid).toBe(false);
-      expect(result.reason).toContain('No valid USDC transfer');
+      expect(result.reason).toBe('amount_mismatch');
+      expect(result.message).toContain('expected 0.001 USDC');
+    });
+
+    it('should reject a transfer that is off by a single base unit', async () => {
+      const transfer = (credited) => ({
+        meta: {
+          err: null,
+          preTokenBalances: [
+            { accountIndex: 2, mint: mockParams.mint, owner: mockParams.recipient, uiTokenAmount: { amount: '1000000', decimals: 6 } },
+          ],
+          postTokenBalances: [
+            { accountIndex: 2, mint: mockParams.mint, owner: mockParams.recipient, uiTokenAmount: { amount: String(1000000 + credited), decimals: 6 } },
+          ],
+        },
+        transaction: { message: mockMessage('test-payment-id') },
+      });
+
+      mockConnection.getTransaction.mockResolvedValue(transfer(999));
+      const short = await verifyPaymentOnChain(mockParams);
+
+      // A 1-unit transfer must not pay an 80-unit invoice
+      mockConnection.getTransaction.mockResolvedValue(transfer(1));
+      const dust = await verifyPaymentOnChain({ ...mockParams, expectedAmount: '0.000080' });
+
+      expect(short.reason).toBe('amount_mismatch');
+      expect(dust.reason).toBe('amount_mismatch');
+    });
+
+    describe('paymentId memo binding', () => {
+      const transferWithMemo = (memo) => ({
+        meta: {
+          err: null,
+          preTokenBalances: [
+            { accountIndex: 2, mint: mockParams.mint, owner: mockParams.recipient, uiTokenAmount: { amount: '1000000', decimals: 6 } },
+          ],
+          postTokenBalances: [
+            { accountIndex: 2, mint: mockParams.mint, owner: mockParams.recipient, uiTokenAmount: { amount: '1001000', decimals: 6 } },
+          ],
+        },
+        transaction: { message: mockMessage(memo) },
+      });
+
+      it('should reject a transfer without a memo instruction', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transferWithMemo(null));
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('memo_mismatch');
+        expect(result.message).toContain('memo does not contain paymentId');
+      });
+
+      it('should reject a transfer whose memo names another invoice', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transferWithMemo('other-payment-id'));
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('memo_mismatch');
+        expect(result.message).toContain('memo does not contain paymentId');
+      });
+
+      it('should accept a memo that contains the paymentId', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transferWithMemo('x402:test-payment-id'));
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result.valid).toBe(true);
+      });
+    });
+
+    describe('strict recipient checks', () => {
+      const transfer = ({ owner = mockParams.recipient, mint = mockParams.mint } = {}) => ({
+        meta: {
+          err: null,
+          preTokenBalances: [
+            { accountIndex: 1, mint, owner: 'senderWallet', uiTokenAmount: { amount: '5000000', decimals: 6 } },
+            { accountIndex: 2, mint, owner, uiTokenAmount: { amount: '1000000', decimals: 6 } },
+          ],
+          postTokenBalances: [
+            { accountIndex: 1, mint, owner: 'senderWallet', uiTokenAmount: { amount: '4999000', decimals: 6 } },
+            { accountIndex: 2, mint, owner, uiTokenAmount: { amount: '1001000', decimals: 6 } },
+          ],
+        },
+        transaction: { message: mockMessage('test-payment-id') },
+      });
+
+      it('should report the payer wallet on success', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transfer());
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result).toEqual({ valid: true, payer: 'senderWallet' });
+      });
+
+      it('should reject a transfer credited to an account the recipient does not own', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transfer({ owner: 'attackerWallet' }));
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('wrong_recipient');
+        expect(result.message).toContain('attackerWallet');
+      });
+
+      it('should accept any credited owner when strict mode is off', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transfer({ owner: 'attackerWallet' }));
+
+        const result = await verifyPaymentOnChain({ ...mockParams, strict: false });
+
+        expect(result.valid).toBe(true);
+      });
+
+      it('should reject a transfer of another token', async () => {
+        mockConnection.getTransaction.mockResolvedValue(transfer({ mint: 'otherMint111' }));
+
+        const result = await verifyPaymentOnChain(mockParams);
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('wrong_mint');
+      });
     });
 
     it('should handle connection errors gracefully', async () => {
@@ -165,7 +307,8 @@ describe('Blockchain Verifier', () => {
       const result = await verifyPaymentOnChain(mockParams);
 
       expect(result.valid).toBe(false);
-      expect(result.reason).toContain('On-chain verification failed');
+      expect(result.reason).toBe('verification_error');
+      expect(result.message).toContain('On-chain verification failed');
     });
   });
 });
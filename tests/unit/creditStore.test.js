@@ -0,0 +1,114 @@
+const { CreditStore } = require('../../src/stores/creditStore');
+
+describe('CreditStore', () => {
+  let store;
+
+  beforeEach(() => {
+    // In-memory backing store (no Redis)
+    store = new CreditStore({ useRedis: false, redis: null });
+  });
+
+  describe('createAccount', () => {
+    it('should create an account with zero balance', async () => {
+      const apiKey = await store.createAccount();
+      const account = await store.getAccount(apiKey);
+
+      expect(apiKey).toMatch(/^shh_[0-9a-f]{48}$/);
+      expect(account.balance).toBe(0);
+      expect(account.history).toEqual([]);
+    });
+
+    it('should not store the API key in clear text', async () => {
+      const apiKey = await store.createAccount();
+
+      expect(store.accounts.has(apiKey)).toBe(false);
+      expect(store.accounts.has(CreditStore.hashKey(apiKey))).toBe(true);
+    });
+  });
+
+  describe('deposit', () => {
+    it('should increase the balance and record history', async () => {
+      const apiKey = await store.createAccount();
+
+      const balance = await store.deposit(apiKey, 5000, { txSignature: 'sig-1' });
+      const account = await store.getAccount(apiKey);
+
+      expect(balance).toBe(5000);
+      expect(account.history[0]).toMatchObject({ type: 'deposit', amount: 5000, txSignature: 'sig-1' });
+    });
+
+    it('should return null for an unknown account', async () => {
+      expect(await store.deposit('shh_unknown', 5000)).toBeNull();
+    });
+  });
+
+  describe('debit', () => {
+    it('should decrease the balance when funds are sufficient', async () => {
+      const apiKey = await store.createAccount();
+      await store.deposit(apiKey, 1000);
+
+      const result = await store.debit(apiKey, 300, { method: 'getBlock' });
+
+      expect(result).toEqual({ ok: true, balance: 700 });
+      expect((await store.getAccount(apiKey)).history[0]).toMatchObject({ type: 'debit', method: 'getBlock' });
+    });
+
+    it('should refuse to overdraw the balance', async () => {
+      const apiKey = await store.createAccount();
+      await store.deposit(apiKey, 100);
+
+      const result = await store.debit(apiKey, 300);
+
+      expect(result).toEqual({ ok: false, reason: 'insufficient_credits', balance: 100 });
+      expect((await store.getAccount(apiKey)).balance).toBe(100);
+    });
+
+    it('should only allow concurrent debits up to the balance', async () => {
+      const apiKey = await store.createAccount();
+      await store.deposit(apiKey, 1000);
+
+      const results = await Promise.all(Array.from({ length: 5 }, () => store.debit(apiKey, 300)));
+
+      expect(results.filter((r) => r.ok)).toHaveLength(3);
+      expect((await store.getAccount(apiKey)).balance).toBe(100);
+    });
+
+    it('should reject unknown accounts', async () => {
+      expect(await store.debit('shh_unknown', 1)).toEqual({ ok: false, reason: 'unknown_account' });
+    });
+  });
+
+  describe('redis', () => {
+    function failingHistory() {
+      return { lpush: jest.fn().mockReturnThis(), ltrim: jest.fn().mockReturnThis(), exec: jest.fn().mockRejectedValue(new Error('timeout')) };
+    }
+
+    it('should not debit again from memory when recording the history fails after the debit', async () => {
+      const backingStore = { useRedis: true, redis: { eval: jest.fn().mockResolvedValue(700), multi: jest.fn(failingHistory) } };
+      const redisStore = new CreditStore(backingStore);
+
+      expect(await redisStore.debit('shh_key', 300)).toEqual({ ok: true, balance: 700 });
+      expect(backingStore.redis.eval).toHaveBeenCalledTimes(1);
+      expect(backingStore.useRedis).toBe(true);
+    });
+
+    it('should fall back to memory when the debit itself fails', async () => {
+      const backingStore = { useRedis: true, redis: { eval: jest.fn().mockRejectedValue(new Error('down')) } };
+      const redisStore = new CreditStore(backingStore);
+
+      expect(await redisStore.debit('shh_key', 300)).toEqual({ ok: false, reason: 'unknown_account' });
+      expect(backingStore.useRedis).toBe(false);
+    });
+
+    it('should not credit again from memory when recording the history fails after the deposit', async () => {
+      const backingStore = {
+        useRedis: true,
+        redis: { exists: jest.fn().mockResolvedValue(1), incrby: jest.fn().mockResolvedValue(1500), multi: jest.fn(failingHistory) },
+      };
+      const redisStore = new CreditStore(backingStore);
+
+      expect(await redisStore.deposit('shh_key', 500)).toBe(1500);
+      expect(backingStore.redis.incrby).toHaveBeenCalledTimes(1);
+    });
+  });
+});
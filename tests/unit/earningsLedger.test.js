@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EarningsLedger } = require('../../src/stores/earningsLedger');
+const { REGISTRY_BACKENDS } = require('../../src/stores/providerRegistry');
+
+const noRedis = { useRedis: false, redis: null };
+
+const payment = {
+  amount: 1000,
+  gatewayShare: 300,
+  providerShares: [{ providerId: 'alpha', amount: 700, requests: 1 }],
+};
+
+describe('EarningsLedger', () => {
+  describe('memory backend', () => {
+    let ledger;
+
+    beforeEach(() => {
+      ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.MEMORY, backingStore: noRedis });
+    });
+
+    it('should accrue totals and provider shares', async () => {
+      await ledger.accrue(payment, { paymentId: 'pay-1' });
+      await ledger.accrue({
+        amount: 2000,
+        gatewayShare: 600,
+        providerShares: [{ providerId: 'alpha', amount: 700, requests: 1 }, { providerId: 'beta', amount: 700, requests: 1 }],
+      });
+
+      expect(await ledger.getTotals()).toEqual({ total: 3000, gateway: 900, providers: 2100, transactions: 2 });
+
+      const alpha = await ledger.getAccount('alpha');
+      expect(alpha).toMatchObject({ providerId: 'alpha', earned: 1400, paidOut: 0, balance: 1400, requests: 2 });
+      expect(alpha.history).toHaveLength(2);
+      expect(alpha.history[1]).toMatchObject({ type: 'earning', amount: 700, paymentId: 'pay-1' });
+    });
+
+    it('should return an empty account for providers that never earned', async () => {
+      expect(await ledger.getAccount('missing')).toEqual({
+        providerId: 'missing', earned: 0, paidOut: 0, balance: 0, requests: 0, history: [],
+      });
+    });
+
+    it('should list accounts without history', async () => {
+      await ledger.accrue(payment);
+
+      expect(await ledger.listAccounts()).toEqual([
+        { providerId: 'alpha', earned: 700, paidOut: 0, balance: 700, requests: 1 },
+      ]);
+    });
+
+    it('should not reserve a payout larger than the unpaid balance', async () => {
+      await ledger.accrue(payment);
+      const payout = { providerId: 'alpha', amount: 700, address: 'wallet' };
+
+      expect(await ledger.reservePayout({ ...payout, payoutId: 'payout-1' })).toMatchObject({ status: 'pending' });
+      expect(await ledger.reservePayout({ ...payout, payoutId: 'payout-2' })).toBeNull();
+      expect((await ledger.getAccount('alpha')).balance).toBe(0);
+      expect(await ledger.getPayout('payout-2')).toBeNull();
+    });
+
+    it('should hand the payout lock to one holder at a time until it expires', async () => {
+      jest.useFakeTimers({ now: 0 });
+      try {
+        const token = await ledger.lockPayouts(1000);
+        expect(token).toBeTruthy();
+        expect(await ledger.lockPayouts(1000)).toBeNull();
+
+        await ledger.unlockPayouts('another-token');
+        expect(await ledger.lockPayouts(1000)).toBeNull();
+
+        jest.setSystemTime(1000);
+        expect(await ledger.lockPayouts(1000)).toBeTruthy();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('file backend', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'earnings-'));
+      filePath = path.join(dir, 'nested', 'earnings.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist the ledger across instances', async () => {
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+      await Promise.all([ledger.accrue(payment), ledger.accrue(payment)]);
+
+      const reloaded = new EarningsLedger({ backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+
+      expect((await reloaded.getTotals()).total).toBe(2000);
+      expect((await reloaded.getAccount('alpha')).earned).toBe(1400);
+    });
+
+    it('should keep an unreadable file untouched', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{not json');
+
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+      await ledger.accrue(payment);
+
+      expect((await ledger.getAccount('alpha')).earned).toBe(700);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{not json');
+    });
+  });
+
+  describe('redis backend', () => {
+    it('should increment counters atomically in one transaction', async () => {
+      const calls = [];
+      const multi = new Proxy({}, {
+        get: (target, command) => (command === 'exec'
+          ? jest.fn().mockResolvedValue([])
+          : (...args) => {
+            calls.push([command, ...args]);
+            return multi;
+          }),
+      });
+      const redis = { multi: jest.fn(() => multi) };
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+
+      await ledger.accrue(payment);
+
+      expect(redis.multi).toHaveBeenCalledTimes(1);
+      expect(calls).toEqual(expect.arrayContaining([
+        ['hincrby', 'earnings:totals', 'total', 1000],
+        ['hincrby', 'earnings:totals', 'gateway', 300],
+        ['sadd', 'earnings:providers', 'alpha'],
+        ['hincrby', 'earnings:provider:alpha', 'earned', 700],
+      ]));
+    });
+
+    it('should reserve payouts with a balance check in one script', async () => {
+      const redis = { eval: jest.fn().mockResolvedValueOnce(1).mockResolvedValueOnce(0) };
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+      const payout = { providerId: 'alpha', amount: 700, address: 'wallet' };
+
+      expect(await ledger.reservePayout({ ...payout, payoutId: 'payout-1' })).toMatchObject({ payoutId: 'payout-1' });
+      expect(await ledger.reservePayout({ ...payout, payoutId: 'payout-2' })).toBeNull();
+      expect(redis.eval).toHaveBeenCalledWith(
+        expect.stringContaining("earned - paidOut < tonumber(ARGV[1])"),
+        4,
+        'earnings:provider:alpha',
+        'earnings:provider:alpha:history',
+        'earnings:payouts',
+        'earnings:providers',
+        700,
+        expect.any(String),
+        expect.any(Number),
+        'payout-1',
+        expect.any(String),
+        'alpha'
+      );
+    });
+
+    it('should take the payout lock only if no other instance holds it', async () => {
+      const redis = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null) };
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+
+      expect(await ledger.lockPayouts(60000)).toBeTruthy();
+      expect(await ledger.lockPayouts(60000)).toBeNull();
+      expect(redis.set).toHaveBeenCalledWith('earnings:payouts:lock', expect.any(String), 'PX', 60000, 'NX');
+    });
+
+    it('should fall back to memory when Redis fails', async () => {
+      const backingStore = { useRedis: true, redis: { multi: jest.fn(() => { throw new Error('down'); }) } };
+      const ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.REDIS, backingStore });
+
+      await ledger.accrue(payment);
+
+      expect(backingStore.useRedis).toBe(false);
+      expect((await ledger.getAccount('alpha')).earned).toBe(700);
+    });
+  });
+});
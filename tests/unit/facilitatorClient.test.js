@@ -145,4 +145,44 @@ describe('FacilitatorClient', () => {
       );
     });
   });
+
+  describe('signed-transaction payments (x402 spec)', () => {
+    const paymentPayload = {
+      x402Version: 1,
+      scheme: 'exact',
+      network: 'solana-devnet',
+      payload: { transaction: 'AQID' },
+    };
+    const paymentRequirements = { scheme: 'exact', network: 'solana-devnet', maxAmountRequired: '1000' };
+
+    it('should send the spec verify body and map isValid', async () => {
+      axios.post.mockResolvedValue({ data: { isValid: true, payer: 'payerWallet' } });
+
+      const result = await client.verifySignedPayment({ paymentPayload, paymentRequirements });
+
+      expect(result).toMatchObject({ valid: true, payer: 'payerWallet' });
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://api.test.com/verify',
+        { x402Version: 1, paymentPayload, paymentRequirements },
+        expect.any(Object)
+      );
+    });
+
+    it('should surface the invalid reason', async () => {
+      axios.post.mockResolvedValue({ data: { isValid: false, invalidReason: 'insufficient_funds' } });
+
+      const result = await client.verifySignedPayment({ paymentPayload, paymentRequirements });
+
+      expect(result).toMatchObject({ valid: false, reason: 'insufficient_funds' });
+    });
+
+    it('should return the settle response', async () => {
+      const settleResponse = { success: true, transaction: 'sig', network: 'solana-devnet', payer: 'payerWallet' };
+      axios.post.mockResolvedValue({ data: settleResponse });
+
+      const result = await client.settleSignedPayment({ paymentPayload, paymentRequirements });
+
+      expect(result).toEqual(settleResponse);
+    });
+  });
 });
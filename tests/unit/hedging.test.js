@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { fetchHedged, fetchWithBestProvider, healthMonitor } = require('../../src/services/providersService');
+
+jest.mock('axios');
+
+const primary = { id: 'hedge-primary', name: 'Primary', url: 'https://primary.example.com', latency: 100 };
+const backup = { id: 'hedge-backup', name: 'Backup', url: 'https://backup.example.com', latency: 100 };
+const body = { jsonrpc: '2.0', id: 1, method: 'getSlot' };
+
+// Respond from each URL after a delay; rejects with the abort reason when cancelled
+function respondAfter(delays) {
+  axios.post.mockImplementation((url, requestBody, config) => new Promise((resolve, reject) => {
+    const { ms, fail } = delays[url];
+    const timer = setTimeout(() => (fail
+      ? reject(new Error(`${url} failed`))
+      : resolve({ data: { jsonrpc: '2.0', id: 1, result: url } })), ms);
+    config.signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('canceled'));
+    });
+  }));
+}
+
+describe('Hedged requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    healthMonitor.forget(primary.id);
+    healthMonitor.forget(backup.id);
+  });
+
+  it('should return the primary when it answers before the hedge delay', async () => {
+    respondAfter({ [primary.url]: { ms: 5 }, [backup.url]: { ms: 5 } });
+
+    const { provider, response } = await fetchHedged(primary, backup, body, 50);
+
+    expect(provider.id).toBe(primary.id);
+    expect(response.result).toBe(primary.url);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should race the backup after the delay and cancel the slower primary', async () => {
+    respondAfter({ [primary.url]: { ms: 500 }, [backup.url]: { ms: 5 } });
+
+    const { provider } = await fetchHedged(primary, backup, body, 20);
+    const primarySignal = axios.post.mock.calls[0][2].signal;
+
+    expect(provider.id).toBe(backup.id);
+    expect(primarySignal.aborted).toBe(true);
+  });
+
+  it('should not count the cancelled request against the loser', async () => {
+    respondAfter({ [primary.url]: { ms: 500 }, [backup.url]: { ms: 5 } });
+
+    await fetchHedged(primary, backup, body, 20);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(healthMonitor.snapshot(primary.id).consecutiveFailures).toBe(0);
+  });
+
+  it('should start the backup immediately when the primary fails early', async () => {
+    respondAfter({ [primary.url]: { ms: 1, fail: true }, [backup.url]: { ms: 5 } });
+
+    const started = Date.now();
+    const { provider } = await fetchHedged(primary, backup, body, 1000);
+
+    expect(provider.id).toBe(backup.id);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('should reject with the first error when both fail', async () => {
+    respondAfter({ [primary.url]: { ms: 1, fail: true }, [backup.url]: { ms: 1, fail: true } });
+
+    await expect(fetchHedged(primary, backup, body, 10)).rejects.toThrow(`${primary.url} failed`);
+  });
+
+  it('should hedge through fetchWithBestProvider when enabled per call', async () => {
+    axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: 42 } });
+
+    const response = await fetchWithBestProvider(body, { hedge: true });
+
+    expect(response.result).toBe(42);
+    expect(axios.post.mock.calls[0][2].signal).toBeDefined();
+  });
+});
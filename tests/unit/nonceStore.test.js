@@ -0,0 +1,38 @@
+const { NonceStore } = require('../../src/stores/nonceStore');
+
+describe('NonceStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should accept a nonce once until it expires', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = new NonceStore('test:nonce', { useRedis: false, redis: null });
+
+    expect(await store.use('abc', 60)).toBe(true);
+    expect(await store.use('abc', 60)).toBe(false);
+    expect(await store.use('def', 60)).toBe(true);
+
+    jest.setSystemTime(60 * 1000);
+    expect(await store.use('abc', 60)).toBe(true);
+    expect(store.seen.size).toBe(1);
+  });
+
+  it('should set the nonce in Redis only if it is not set yet', async () => {
+    const redis = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null) };
+    const store = new NonceStore('test:nonce', { useRedis: true, redis });
+
+    expect(await store.use('abc', 600)).toBe(true);
+    expect(await store.use('abc', 600)).toBe(false);
+    expect(redis.set).toHaveBeenCalledWith('test:nonce:abc', '1', 'EX', 600, 'NX');
+  });
+
+  it('should fall back to memory when Redis fails', async () => {
+    const backingStore = { useRedis: true, redis: { set: jest.fn().mockRejectedValue(new Error('connection lost')) } };
+    const store = new NonceStore('test:nonce', backingStore);
+
+    expect(await store.use('abc', 600)).toBe(true);
+    expect(await store.use('abc', 600)).toBe(false);
+    expect(backingStore.useRedis).toBe(false);
+  });
+});
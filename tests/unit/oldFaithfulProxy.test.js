@@ -1,11 +1,13 @@
 const axios = require('axios');
 const { fetchFromOldFaithful } = require('../../src/services/oldFaithfulProxy');
+const { responseCache } = require('../../src/stores/responseCache');
 
 jest.mock('axios');
 
 describe('Old Faithful Proxy', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    responseCache.clear();
   });
 
   describe('fetchFromOldFaithful', () => {
@@ -73,6 +75,31 @@ describe('Old Faithful Proxy', () => {
       expect(result.error.message).toContain('Failed to fetch data from Old Faithful');
     });
 
+    it('should serve repeated finalized requests from the response cache', async () => {
+      axios.post.mockResolvedValue({
+        data: { jsonrpc: '2.0', id: 1, result: { blockhash: 'cached-blockhash' } },
+      });
+
+      const first = {};
+      await fetchFromOldFaithful(mockRpcRequest, first);
+      const second = {};
+      const result = await fetchFromOldFaithful({ ...mockRpcRequest, id: 7 }, second);
+
+      expect(first.cache).toBe('MISS');
+      expect(second.cache).toBe('HIT');
+      expect(result).toEqual({ jsonrpc: '2.0', id: 7, result: { blockhash: 'cached-blockhash' } });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should bypass the cache for non-finalized commitment', async () => {
+      axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: {} } });
+      const context = {};
+
+      await fetchFromOldFaithful({ ...mockRpcRequest, params: [14000000, { commitment: 'confirmed' }] }, context);
+
+      expect(context.cache).toBe('BYPASS');
+    });
+
     it.skip('should use fallback RPC when Old Faithful is unavailable', async () => {
       // Note: This test is skipped due to jest.resetModules() affecting axios mocks
       // The fallback functionality is tested in e2e tests and works in production
@@ -0,0 +1,171 @@
+const mockConnection = {
+  getTransaction: jest.fn(),
+  getSignatureStatuses: jest.fn(),
+  simulateTransaction: jest.fn(),
+  sendRawTransaction: jest.fn(),
+};
+const mockFacilitator = {
+  verifyPayment: jest.fn(),
+  verifySignedPayment: jest.fn(),
+};
+
+jest.mock('@solana/web3.js', () => ({
+  ...jest.requireActual('@solana/web3.js'),
+  Connection: jest.fn(() => mockConnection),
+}));
+jest.mock('../../src/clients/facilitatorClient', () => jest.fn(() => mockFacilitator));
+
+const {
+  Keypair,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { verifyPayment, settlePayment } = require('../../src/services/paymentService');
+const { associatedTokenAddress } = require('../../src/services/transactionSubmitter');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const MINT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+const RECIPIENT = Keypair.generate().publicKey.toBase58();
+const PAYMENT_ID = '0b6c6c1e-3f3a-4d6e-9a51-2f7c1d9e8a40';
+
+/**
+ * Confirmed transaction crediting 0.001 USDC to the recipient with a memo
+ */
+function confirmedTransfer(memo) {
+  const keys = ['senderWallet', 'senderAta', 'recipientAta', MEMO_PROGRAM_ID];
+  const balance = (amount) => ({ accountIndex: 2, mint: MINT, owner: RECIPIENT, uiTokenAmount: { amount, decimals: 6 } });
+
+  return {
+    meta: { err: null, preTokenBalances: [balance('1000000')], postTokenBalances: [balance('1001000')] },
+    transaction: {
+      message: {
+        compiledInstructions: [{ programIdIndex: 3, accountKeyIndexes: [], data: Buffer.from(memo) }],
+        getAccountKeys: () => ({ get: (index) => ({ toBase58: () => keys[index] }) }),
+      },
+    },
+  };
+}
+
+/**
+ * x402 payload carrying a signed 0.001 USDC transfer to the recipient with a memo
+ */
+function signedPayload(memo) {
+  const payer = Keypair.generate();
+  const data = Buffer.alloc(9);
+  data[0] = 3;
+  data.writeBigUInt64LE(1000n, 1);
+
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [
+      new TransactionInstruction({
+        programId: TOKEN_PROGRAM_ID,
+        keys: [
+          { pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: true },
+          { pubkey: new PublicKey(associatedTokenAddress(RECIPIENT, MINT, TOKEN_PROGRAM_ID.toBase58())), isSigner: false, isWritable: true },
+          { pubkey: payer.publicKey, isSigner: true, isWritable: false },
+        ],
+        data,
+      }),
+      new TransactionInstruction({ programId: new PublicKey(MEMO_PROGRAM_ID), keys: [], data: Buffer.from(memo) }),
+    ],
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+
+  return { payload: { transaction: Buffer.from(transaction.serialize()).toString('base64') } };
+}
+
+describe('Payment Service', () => {
+  const invoice = {
+    txSignature: '5j7s8K9L1mN2oP3qR4tU5vW6xY7zA8bC9dE0fG1hI2jK3lM4nO5pQ6rS7tU8vW9x',
+    paymentId: PAYMENT_ID,
+    expectedAmount: '0.001000',
+    mint: MINT,
+    recipient: RECIPIENT,
+  };
+
+  beforeAll(() => {
+    process.env.FACILITATOR_VERIFY_URL = 'https://facilitator.test/verify';
+  });
+
+  afterAll(() => {
+    delete process.env.FACILITATOR_VERIFY_URL;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFacilitator.verifyPayment.mockResolvedValue({ valid: true, raw: { verified: true } });
+    mockFacilitator.verifySignedPayment.mockResolvedValue({ valid: true, payer: 'facilitator-payer' });
+  });
+
+  describe('verifyPayment', () => {
+    it('should check the memo on chain after the facilitator accepts a transaction', async () => {
+      mockConnection.getTransaction.mockResolvedValue(confirmedTransfer('another-payment-id'));
+
+      const result = await verifyPayment(invoice);
+
+      expect(mockFacilitator.verifyPayment).toHaveBeenCalled();
+      expect(result).toMatchObject({ valid: false, reason: 'memo_mismatch' });
+    });
+
+    it('should accept a transaction both the facilitator and the on-chain checks accept', async () => {
+      mockConnection.getTransaction.mockResolvedValue(confirmedTransfer(PAYMENT_ID));
+
+      const result = await verifyPayment(invoice);
+
+      expect(result).toMatchObject({ valid: true, raw: { verified: true } });
+    });
+
+    it('should not ask the facilitator about a signed transfer with the wrong memo', async () => {
+      const result = await verifyPayment({ ...invoice, paymentPayload: signedPayload('another-payment-id') });
+
+      expect(result).toMatchObject({ valid: false, reason: 'memo_mismatch' });
+      expect(mockFacilitator.verifySignedPayment).not.toHaveBeenCalled();
+    });
+
+    it('should ask the facilitator about a signed transfer that passes the local checks', async () => {
+      const result = await verifyPayment({ ...invoice, paymentPayload: signedPayload(PAYMENT_ID) });
+
+      expect(result).toMatchObject({ valid: true, payer: 'facilitator-payer' });
+      expect(mockFacilitator.verifySignedPayment).toHaveBeenCalled();
+    });
+  });
+
+  describe('settlePayment', () => {
+    beforeAll(() => {
+      process.env.PAYMENT_SUBMITTER = 'gateway';
+    });
+
+    afterAll(() => {
+      delete process.env.PAYMENT_SUBMITTER;
+    });
+
+    it('should not submit again a transaction that landed after an earlier confirmation timeout', async () => {
+      mockConnection.getSignatureStatuses.mockResolvedValue({ value: [{ err: null, confirmationStatus: 'confirmed' }] });
+
+      const result = await settlePayment({ txSignature: 'sig', paymentId: PAYMENT_ID, paymentPayload: signedPayload(PAYMENT_ID) });
+
+      expect(result.success).toBe(true);
+      expect(mockConnection.getSignatureStatuses).toHaveBeenCalledWith([result.transaction], { searchTransactionHistory: true });
+      expect(mockConnection.sendRawTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should submit a transaction that is not on chain yet', async () => {
+      mockConnection.getSignatureStatuses
+        .mockResolvedValueOnce({ value: [null] })
+        .mockResolvedValue({ value: [{ err: null, confirmationStatus: 'confirmed' }] });
+      mockConnection.simulateTransaction.mockResolvedValue({ value: { err: null } });
+      mockConnection.sendRawTransaction.mockResolvedValue('submittedSignature');
+
+      const result = await settlePayment({ txSignature: 'sig', paymentId: PAYMENT_ID, paymentPayload: signedPayload(PAYMENT_ID) });
+
+      expect(result).toMatchObject({ success: true, transaction: 'submittedSignature' });
+      expect(mockConnection.sendRawTransaction).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -80,6 +80,119 @@ describe('PaymentStore', () => {
     });
   });
 
+  describe('claim', () => {
+    it('should move an invoice through pending, verifying and used', async () => {
+      await store.create('payment-claim', { amount: '0.001' });
+
+      const claim = await store.claim('payment-claim');
+      expect(claim.ok).toBe(true);
+      expect(claim.invoice.status).toBe('verifying');
+
+      const done = await store.complete('payment-claim', { payer: 'payerWallet' });
+      expect(done.ok).toBe(true);
+
+      const invoice = await store.get('payment-claim');
+      expect(invoice.status).toBe('used');
+      expect(invoice.used).toBe(true);
+      expect(invoice.payer).toBe('payerWallet');
+    });
+
+    it('should let only one concurrent claim succeed', async () => {
+      await store.create('payment-race', { amount: '0.001' });
+
+      const results = await Promise.all([1, 2, 3].map(() => store.claim('payment-race')));
+
+      expect(results.filter((r) => r.ok)).toHaveLength(1);
+      expect(results.filter((r) => r.reason === 'in_progress')).toHaveLength(2);
+    });
+
+    it('should roll a claimed invoice back to pending', async () => {
+      await store.create('payment-rollback', { amount: '0.001' });
+      await store.claim('payment-rollback');
+
+      await store.release('payment-rollback');
+
+      expect((await store.get('payment-rollback')).status).toBe('pending');
+      expect((await store.claim('payment-rollback')).ok).toBe(true);
+    });
+
+    it('should let a claim be taken over once it has been verifying for longer than the claim timeout', async () => {
+      await store.create('payment-stale', { amount: '0.001' });
+      await store.claim('payment-stale');
+      expect((await store.claim('payment-stale')).reason).toBe('in_progress');
+
+      (await store.get('payment-stale')).claimedAt -= store.claimTimeoutSeconds * 1000;
+
+      expect((await store.claim('payment-stale')).ok).toBe(true);
+      expect((await store.claim('payment-stale')).reason).toBe('in_progress');
+    });
+
+    it('should refuse to claim unknown or used invoices', async () => {
+      await store.create('payment-done', { amount: '0.001' });
+      await store.markAsUsed('payment-done');
+
+      expect((await store.claim('missing')).reason).toBe('not_found');
+      expect((await store.claim('payment-done')).reason).toBe('already_used');
+    });
+  });
+
+  describe('expiry', () => {
+    it('should stamp invoices with expiresAt from the configured TTL', async () => {
+      const invoice = await store.create('payment-ttl', { amount: '0.001', createdAt: 1000 });
+
+      expect(invoice.expiresAt).toBe(1000 + store.ttlSeconds * 1000);
+    });
+
+    it('should refuse to claim an expired invoice but keep it known', async () => {
+      await store.create('payment-expired', { amount: '0.001', expiresAt: Date.now() - 1000 });
+
+      const claim = await store.claim('payment-expired');
+
+      expect(claim.ok).toBe(false);
+      expect(claim.reason).toBe('expired');
+      expect(await store.get('payment-expired')).toBeDefined();
+    });
+
+    it('should keep expired invoices through cleanup until retention ends', async () => {
+      await store.create('payment-recent-expired', { amount: '0.001', createdAt: Date.now() - 16 * 60 * 1000 });
+
+      store.cleanup();
+
+      expect(await store.get('payment-recent-expired')).toBeDefined();
+    });
+  });
+
+  describe('consumeSignature', () => {
+    it('should consume a signature only once across invoices', async () => {
+      expect(await store.consumeSignature('sig-1', 'payment-a')).toBe(true);
+      expect(await store.consumeSignature('sig-1', 'payment-b')).toBe(false);
+    });
+
+    it('should allow concurrent claims of one signature to succeed only once', async () => {
+      const results = await Promise.all(
+        ['payment-a', 'payment-b', 'payment-c'].map((id) => store.consumeSignature('sig-2', id))
+      );
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('should let the invoice holding a signature reserve it again', async () => {
+      expect(await store.consumeSignature('sig-4', 'payment-a')).toBe(true);
+      expect(await store.consumeSignature('sig-4', 'payment-a')).toBe(true);
+      expect(await store.consumeSignature('sig-4', 'payment-b')).toBe(false);
+    });
+
+    it('should only release a signature for the invoice that holds it', async () => {
+      await store.consumeSignature('sig-3', 'payment-a');
+
+      await store.releaseSignature('sig-3', 'payment-b');
+      expect(await store.consumeSignature('sig-3', 'payment-b')).toBe(false);
+
+      await store.releaseSignature('sig-3', 'payment-a');
+      expect(await store.consumeSignature('sig-3', 'payment-b')).toBe(true);
+    });
+  });
+
   describe('delete', () => {
     it('should delete an invoice', () => {
       const paymentId = 'test-payment-delete';
@@ -97,8 +210,8 @@ describe('PaymentStore', () => {
       const oldPaymentId = 'old-payment';
       const newPaymentId = 'new-payment';
 
-      // Create old invoice (16 minutes ago)
-      const oldTime = Date.now() - (16 * 60 * 1000);
+      // Create old invoice (2 hours ago, past expiry and the retention window)
+      const oldTime = Date.now() - (2 * 60 * 60 * 1000);
       store.create(oldPaymentId, { amount: '0.001', createdAt: oldTime });
 
       // Create new invoice
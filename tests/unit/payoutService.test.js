@@ -0,0 +1,218 @@
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { ProviderPayouts } = require('../../src/services/payoutService');
+const { EarningsLedger, PAYOUT_STATUSES } = require('../../src/stores/earningsLedger');
+const { ProviderRegistry, REGISTRY_BACKENDS } = require('../../src/stores/providerRegistry');
+
+const noRedis = { useRedis: false, redis: null };
+const MINT = process.env.USDC_MINT;
+
+function mockConnection() {
+  return {
+    getAccountInfo: jest.fn().mockResolvedValue({ owner: TOKEN_PROGRAM_ID }),
+    getLatestBlockhash: jest.fn().mockResolvedValue({
+      blockhash: Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: 1000,
+    }),
+    simulateTransaction: jest.fn().mockResolvedValue({ value: { err: null } }),
+    sendRawTransaction: jest.fn().mockResolvedValue('payoutSignature'),
+    getSignatureStatuses: jest.fn().mockResolvedValue({ value: [{ confirmationStatus: 'confirmed' }] }),
+    getBlockHeight: jest.fn().mockResolvedValue(900),
+  };
+}
+
+describe('ProviderPayouts', () => {
+  let connection;
+  let ledger;
+  let registry;
+  let payouts;
+  const wallets = { alpha: Keypair.generate().publicKey.toBase58(), beta: Keypair.generate().publicKey.toBase58() };
+
+  async function earn(providerId, amount) {
+    await ledger.accrue({ amount, gatewayShare: 0, providerShares: [{ providerId, amount, requests: 1 }] });
+  }
+
+  beforeEach(async () => {
+    connection = mockConnection();
+    ledger = new EarningsLedger({ backend: REGISTRY_BACKENDS.MEMORY, backingStore: noRedis });
+    registry = new ProviderRegistry([
+      { id: 'alpha', name: 'Alpha', url: 'https://alpha.example.com', payoutAddress: wallets.alpha },
+      { id: 'beta', name: 'Beta', url: 'https://beta.example.com', payoutAddress: wallets.beta },
+      { id: 'gamma', name: 'Gamma', url: 'https://gamma.example.com' },
+    ], { backend: REGISTRY_BACKENDS.MEMORY, backingStore: noRedis });
+    payouts = new ProviderPayouts(
+      { connection, payer: Keypair.generate(), mint: MINT, ledger, registry },
+      { threshold: 1, batchSize: 5 }
+    );
+  });
+
+  it('should only pay balances above the threshold to providers with a payout address', async () => {
+    await earn('alpha', 500000); // below the threshold
+    await earn('beta', 1500000);
+    await earn('gamma', 3000000); // no payout address
+
+    const result = await payouts.run();
+
+    expect(result.batches).toHaveLength(1);
+    expect(result.batches[0]).toMatchObject({ status: PAYOUT_STATUSES.PAID });
+    expect(result.batches[0].payouts).toEqual([
+      { providerId: 'beta', amount: '1.500000', address: wallets.beta },
+    ]);
+    expect(result.skipped).toEqual([{ providerId: 'gamma', balance: '3.000000', reason: 'no_payout_address' }]);
+    expect(connection.sendRawTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should transfer each amount to the provider wallet token account', async () => {
+    await earn('alpha', 2000000);
+    await earn('beta', 1500000);
+
+    await payouts.run();
+
+    const [transaction] = connection.simulateTransaction.mock.calls[0];
+    const keys = transaction.message.staticAccountKeys.map((key) => key.toBase58());
+    const transfers = transaction.message.compiledInstructions
+      .filter((ix) => keys[ix.programIdIndex] === TOKEN_PROGRAM_ID.toBase58())
+      .map((ix) => ({
+        destination: keys[ix.accountKeyIndexes[2]],
+        amount: Buffer.from(ix.data).readBigUInt64LE(1),
+      }));
+
+    expect(transfers).toEqual([
+      { destination: getAssociatedTokenAddressSync(new PublicKey(MINT), new PublicKey(wallets.alpha)).toBase58(), amount: 2000000n },
+      { destination: getAssociatedTokenAddressSync(new PublicKey(MINT), new PublicKey(wallets.beta)).toBase58(), amount: 1500000n },
+    ]);
+  });
+
+  it('should record the signature and settle the balance once confirmed', async () => {
+    await earn('alpha', 2000000);
+
+    const { batches: [batch] } = await payouts.run();
+    const [payout] = await ledger.listPayouts('alpha');
+
+    expect(payout).toMatchObject({ status: PAYOUT_STATUSES.PAID, signature: batch.signature, amount: 2000000 });
+    expect(await ledger.getAccount('alpha')).toMatchObject({ earned: 2000000, paidOut: 2000000, balance: 0 });
+
+    // Nothing is due on the next run
+    expect((await payouts.run()).batches).toEqual([]);
+  });
+
+  it('should return the amount to the balance when the transfer fails', async () => {
+    connection.simulateTransaction.mockResolvedValue({ value: { err: { InstructionError: [1, 'InsufficientFunds'] } } });
+    await earn('alpha', 2000000);
+
+    const { batches: [batch] } = await payouts.run();
+
+    expect(batch.status).toBe(PAYOUT_STATUSES.FAILED);
+    expect((await ledger.getAccount('alpha')).balance).toBe(2000000);
+    expect((await ledger.listPayouts('alpha'))[0].status).toBe(PAYOUT_STATUSES.FAILED);
+  });
+
+  it('should keep the amount reserved when the transfer may have been sent', async () => {
+    connection.sendRawTransaction.mockRejectedValue(new Error('socket hang up'));
+    await earn('alpha', 2000000);
+
+    const { batches: [batch] } = await payouts.run();
+
+    expect(batch).toMatchObject({ status: PAYOUT_STATUSES.UNCONFIRMED, error: 'socket hang up' });
+    expect(batch.signature).toBeDefined();
+    expect((await ledger.getAccount('alpha')).balance).toBe(0);
+  });
+
+  it('should settle an unconfirmed payout once its transaction confirms', async () => {
+    connection.sendRawTransaction.mockRejectedValueOnce(new Error('socket hang up'));
+    await earn('alpha', 2000000);
+    const { batches: [batch] } = await payouts.run();
+
+    const { batches, reconciled } = await payouts.run();
+
+    expect(connection.getSignatureStatuses).toHaveBeenLastCalledWith([batch.signature], { searchTransactionHistory: true });
+    expect(reconciled).toEqual([{ batchId: batch.batchId, status: PAYOUT_STATUSES.PAID, signature: batch.signature }]);
+    expect(batches).toEqual([]);
+    expect((await ledger.listPayouts('alpha'))[0]).toMatchObject({ status: PAYOUT_STATUSES.PAID, signature: batch.signature });
+    expect(await ledger.getAccount('alpha')).toMatchObject({ paidOut: 2000000, balance: 0 });
+  });
+
+  it('should release an unconfirmed payout that failed or expired without landing, and pay it again', async () => {
+    connection.sendRawTransaction.mockRejectedValueOnce(new Error('socket hang up'));
+    await earn('alpha', 2000000);
+    const { batches: [batch] } = await payouts.run();
+
+    // Not found while its blockhash is still valid: it may land
+    connection.getSignatureStatuses.mockResolvedValueOnce({ value: [null] });
+    expect((await payouts.reconcile())).toEqual([]);
+    expect((await ledger.listPayouts('alpha'))[0].status).toBe(PAYOUT_STATUSES.UNCONFIRMED);
+
+    connection.getBlockHeight.mockResolvedValueOnce(1001);
+    connection.getSignatureStatuses.mockResolvedValueOnce({ value: [null] });
+    const { reconciled, batches } = await payouts.run();
+
+    expect(reconciled).toEqual([
+      { batchId: batch.batchId, status: PAYOUT_STATUSES.FAILED, signature: batch.signature, error: 'blockhash_expired' },
+    ]);
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toMatchObject({ status: PAYOUT_STATUSES.PAID, payouts: [{ providerId: 'alpha', amount: '2.000000' }] });
+    expect((await ledger.listPayouts('alpha')).map((payout) => payout.status))
+      .toEqual(expect.arrayContaining([PAYOUT_STATUSES.FAILED, PAYOUT_STATUSES.PAID]));
+  });
+
+  it('should release an unconfirmed payout whose transaction failed on chain', async () => {
+    connection.sendRawTransaction.mockRejectedValueOnce(new Error('socket hang up'));
+    await earn('alpha', 2000000);
+    await payouts.run();
+    connection.getSignatureStatuses.mockResolvedValueOnce({
+      value: [{ confirmationStatus: 'confirmed', err: { InstructionError: [1, 'InsufficientFunds'] } }],
+    });
+
+    const [resolved] = await payouts.reconcile();
+
+    expect(resolved).toMatchObject({ status: PAYOUT_STATUSES.FAILED, error: expect.stringContaining('InsufficientFunds') });
+    expect((await ledger.getAccount('alpha')).balance).toBe(2000000);
+  });
+
+  it('should not pay out while another instance holds the payout lock', async () => {
+    await earn('alpha', 2000000);
+    const other = new ProviderPayouts({ connection, payer: Keypair.generate(), mint: MINT, ledger, registry }, { threshold: 1 });
+    const lock = await ledger.lockPayouts(60000);
+
+    expect(await other.run()).toMatchObject({ batches: [], inProgress: true });
+    expect(connection.sendRawTransaction).not.toHaveBeenCalled();
+
+    await ledger.unlockPayouts(lock);
+    expect((await other.run()).batches).toHaveLength(1);
+  });
+
+  it('should skip a payout whose balance was paid after it was listed', async () => {
+    await earn('alpha', 2000000);
+    await earn('beta', 1500000);
+    const listAccounts = ledger.listAccounts.bind(ledger);
+    jest.spyOn(ledger, 'listAccounts').mockImplementationOnce(async () => {
+      const accounts = await listAccounts();
+      // Another run pays alpha between the listing and the reservation
+      await ledger.reservePayout({ payoutId: 'elsewhere:alpha', providerId: 'alpha', amount: 2000000, address: wallets.alpha });
+      return accounts;
+    });
+
+    const { batches } = await payouts.run();
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].payouts).toEqual([{ providerId: 'beta', amount: '1.500000', address: wallets.beta }]);
+    expect((await ledger.getAccount('alpha')).paidOut).toBe(2000000);
+  });
+
+  it('should split providers into batches of batchSize', async () => {
+    payouts.options.batchSize = 1;
+    await earn('alpha', 2000000);
+    await earn('beta', 1500000);
+
+    const { batches } = await payouts.run();
+
+    expect(batches).toHaveLength(2);
+    expect(connection.sendRawTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse to run without a payout wallet', async () => {
+    payouts.payer = null;
+
+    await expect(payouts.run()).rejects.toThrow('PAYOUT_KEYPAIR_PATH');
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PricingPolicy, validatePolicy } = require('../../src/utils/pricingPolicy');
+const { DEFAULT_POLICY } = require('../../src/utils/pricing');
+
+const NOON = new Date('2026-01-07T12:00:00Z'); // a Wednesday
+
+describe('PricingPolicy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function policyFile(name, contents) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+  }
+
+  function price(policy, method, params, options = {}) {
+    return policy.price(method, params, { now: NOON, ...options }).price;
+  }
+
+  it('should price the defaults like the built-in tiers', () => {
+    const policy = new PricingPolicy(DEFAULT_POLICY);
+
+    expect(price(policy, 'getSlot')).toBe(0.00008);
+    expect(price(policy, 'getBlock', [14000000])).toBe(0.001);
+    expect(price(policy, 'getBlock', [5])).toBe(0.0015);
+    expect(price(policy, 'getSignaturesForAddress', ['address', { limit: 20 }])).toBe(0.00104);
+    expect(price(policy, 'unknownMethod')).toBe(0.001);
+    expect(price(policy, 'getBlock', [14000000], { cacheHit: true })).toBe(0.0005);
+  });
+
+  it('should load a YAML policy with param rules', () => {
+    const policy = new PricingPolicy(DEFAULT_POLICY, {
+      filePath: policyFile('pricing.yaml', [
+        'defaultPrice: 0.002',
+        'methods:',
+        '  getSlot: 0.0001',
+        '  getBlock:',
+        '    price: 0.001',
+        '    rules:',
+        '      - name: fullTransactions',
+        '        when: { transactionDetails: full, encoding: [json, jsonParsed] }',
+        '        multiplier: 2',
+        '      - name: recent',
+        '        when: { slot: { gte: 300000000 } }',
+        '        multiplier: 0.5',
+      ].join('\n')),
+    });
+
+    expect(policy.source).toMatch(/pricing\.yaml$/);
+    expect(price(policy, 'getSlot')).toBe(0.0001);
+    expect(price(policy, 'getAccountInfo')).toBe(0.002);
+    expect(price(policy, 'getBlock', [1, { transactionDetails: 'full', encoding: 'json' }])).toBe(0.002);
+    expect(price(policy, 'getBlock', [1, { transactionDetails: 'full', encoding: 'base64' }])).toBe(0.001);
+    expect(price(policy, 'getBlock', [300000001, { transactionDetails: 'full', encoding: 'jsonParsed' }])).toBe(0.001);
+  });
+
+  it('should bound prices by method and policy caps', () => {
+    const policy = new PricingPolicy(DEFAULT_POLICY, {
+      filePath: policyFile('pricing.json', {
+        methods: { getSignaturesForAddress: { price: 0.0008, max: 0.001, rules: [{ when: { limit: { gt: 100 } }, multiplier: 3 }] } },
+        min: 0.0002,
+      }),
+    });
+
+    expect(price(policy, 'getSignaturesForAddress', ['address', { limit: 500 }])).toBe(0.001);
+    expect(price(policy, 'getSignaturesForAddress', ['address'], { cacheHit: true })).toBe(0.0004);
+    expect(policy.price('getBlock', [1], { cacheHit: true, now: NOON })).toMatchObject({ price: 0.0005, applied: ['cacheHit'] });
+    expect(policy.price('getHealth', [], { now: NOON, cacheHit: true, provider: { id: 'p', pricing: 0.1 } }).price).toBe(0.0002);
+  });
+
+  it('should apply time-of-day rules in UTC, including windows past midnight', () => {
+    const policy = new PricingPolicy(DEFAULT_POLICY, {
+      filePath: policyFile('pricing.json', {
+        methods: { getBlock: 0.001 },
+        schedule: [
+          { name: 'offPeak', from: '22:00', to: '06:00', multiplier: 0.5 },
+          { name: 'weekdayPeak', from: '12:00', to: '14:00', days: [1, 2, 3, 4, 5], methods: ['getBlock'], multiplier: 1.2 },
+        ],
+      }),
+    });
+
+    expect(price(policy, 'getBlock', [], { now: new Date('2026-01-07T23:30:00Z') })).toBe(0.0005);
+    expect(price(policy, 'getBlock', [], { now: new Date('2026-01-07T05:59:00Z') })).toBe(0.0005);
+    expect(price(policy, 'getBlock', [], { now: new Date('2026-01-07T06:00:00Z') })).toBe(0.001);
+    expect(price(policy, 'getBlock', [], { now: NOON })).toBe(0.0012);
+    expect(price(policy, 'getBlock', [], { now: new Date('2026-01-10T12:00:00Z') })).toBe(0.001); // Saturday
+    expect(price(policy, 'getSlot', [], { now: NOON })).toBe(0.001);
+  });
+
+  it('should reject an invalid policy at startup', () => {
+    const filePath = policyFile('pricing.json', { methods: { getBlock: { price: -1 } }, min: 0.01, max: 0.001 });
+
+    expect(() => new PricingPolicy(DEFAULT_POLICY, { filePath })).toThrow(/Invalid pricing policy .*getBlock.*max/);
+    expect(() => validatePolicy({ schedule: [{ from: '9:00', to: '10:00', multiplier: 1 }] })).toThrow('HH:MM');
+  });
+
+  it('should keep the previous policy when a reload is invalid', () => {
+    const filePath = policyFile('pricing.json', { methods: { getSlot: 0.0002 } });
+    const policy = new PricingPolicy(DEFAULT_POLICY, { filePath });
+
+    const { version } = policy;
+
+    fs.writeFileSync(filePath, '{ "methods": { "getSlot": "free" } }');
+    expect(policy.reload()).toBe(false);
+    expect(price(policy, 'getSlot')).toBe(0.0002);
+    expect(policy.version).toBe(version);
+
+    fs.writeFileSync(filePath, '{ "methods": { "getSlot": 0.0003 } }');
+    expect(policy.reload()).toBe(true);
+    expect(price(policy, 'getSlot')).toBe(0.0003);
+    expect(policy.version).not.toBe(version);
+  });
+
+  it('should reload the policy file when it changes', async () => {
+    const filePath = policyFile('pricing.json', { methods: { getSlot: 0.0002 } });
+    const policy = new PricingPolicy(DEFAULT_POLICY, { filePath, reloadIntervalMs: 10 });
+    policy.watch();
+
+    try {
+      // Let the watcher take its first stat before the change
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      fs.writeFileSync(filePath, JSON.stringify({ methods: { getSlot: 0.0004 } }));
+
+      for (let i = 0; i < 200 && price(policy, 'getSlot') !== 0.0004; i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      expect(price(policy, 'getSlot')).toBe(0.0004);
+    } finally {
+      policy.unwatch();
+    }
+  });
+});
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const { ProviderHealthMonitor, HEALTH_STATES, percentile } = require('../../src/services/providerHealthMonitor');
+
+jest.mock('axios');
+
+const providers = [
+  { id: 'fast', url: 'https://fast.example.com' },
+  { id: 'slow', url: 'https://slow.example.com' },
+];
+const peers = [...providers, { id: 'peer', url: 'https://peer.example.com' }];
+
+// Answer getHealth/getSlot per provider URL
+function mockProviders(slots) {
+  axios.post.mockImplementation(async (url, body) => {
+    const slot = slots[url];
+    if (slot instanceof Error) {
+      throw slot;
+    }
+    return { data: { jsonrpc: '2.0', id: 1, result: body.method === 'getSlot' ? slot : 'ok' } };
+  });
+}
+
+describe('ProviderHealthMonitor', () => {
+  let monitor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    monitor = new ProviderHealthMonitor(() => providers, {
+      windowSize: 10,
+      ejectConsecutiveFailures: 3,
+      degradedSlotLag: 50,
+      ejectSlotLag: 500,
+      recoveryProbes: 2,
+    });
+  });
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  it('should compute nearest-rank percentiles', () => {
+    expect(percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+    expect(percentile([1, 2, 3, 4, 100], 95)).toBe(100);
+    expect(percentile([], 95)).toBeNull();
+  });
+
+  it('should mark responsive providers healthy and record slots', async () => {
+    monitor.listProviders = () => peers;
+    mockProviders({ 'https://fast.example.com': 1000, 'https://peer.example.com': 1000, 'https://slow.example.com': 990 });
+
+    await monitor.probeAll();
+
+    expect(monitor.state('fast')).toBe(HEALTH_STATES.HEALTHY);
+    expect(monitor.snapshot('slow')).toMatchObject({ status: 'healthy', slot: 990, slotLag: 10, successRate: 1 });
+  });
+
+  it('should degrade and eject providers by slot lag', async () => {
+    monitor.listProviders = () => peers;
+    mockProviders({ 'https://fast.example.com': 1000, 'https://peer.example.com': 1000, 'https://slow.example.com': 900 });
+    await monitor.probeAll();
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.DEGRADED);
+
+    mockProviders({ 'https://fast.example.com': 2000, 'https://peer.example.com': 2000, 'https://slow.example.com': 901 });
+    await monitor.probeAll();
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.EJECTED);
+  });
+
+  it('should not let one provider far ahead of the others eject them', async () => {
+    monitor.listProviders = () => peers;
+    mockProviders({ 'https://fast.example.com': 5000, 'https://peer.example.com': 1000, 'https://slow.example.com': 1000 });
+
+    await monitor.probeAll();
+
+    expect(monitor.referenceSlot()).toBe(1000);
+    expect(monitor.state('peer')).toBe(HEALTH_STATES.HEALTHY);
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.HEALTHY);
+    expect(monitor.snapshot('fast').slotLag).toBe(0);
+  });
+
+  it('should sweep on demand only once the interval has passed', async () => {
+    monitor.options.intervalMs = 60000;
+    mockProviders({ 'https://fast.example.com': 1000, 'https://slow.example.com': 1000 });
+
+    await Promise.all([monitor.sweepIfDue(), monitor.sweepIfDue()]);
+    await monitor.sweepIfDue();
+    expect(axios.post.mock.calls.filter(([, body]) => body.method === 'getHealth')).toHaveLength(2);
+
+    monitor.lastSweepAt -= 60000;
+    await monitor.sweepIfDue();
+    expect(axios.post.mock.calls.filter(([, body]) => body.method === 'getHealth')).toHaveLength(4);
+  });
+
+  it('should probe retention only for providers without an advertised slot range', async () => {
+    axios.post.mockImplementation(async (url, body) => ({
+      data: { jsonrpc: '2.0', id: 1, result: { getHealth: 'ok', getSlot: 1000, getFirstAvailableBlock: 400 }[body.method] },
+    }));
+
+    await monitor.probe(providers[0]);
+    await monitor.probe({ ...providers[1], slotRange: { first: 0 } });
+
+    expect(monitor.slotRange('fast')).toEqual({ first: 400, last: 1000 });
+    expect(monitor.slotRange('slow').first).toBeNull();
+    expect(axios.post).toHaveBeenCalledTimes(5);
+  });
+
+  it('should treat a getHealth error as a failed probe', async () => {
+    axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, error: { code: -32005, message: 'Node is behind' } } });
+
+    const health = await monitor.probe(providers[0]);
+
+    expect(health.consecutiveFailures).toBe(1);
+    expect(health.lastError).toMatch(/Node is behind/);
+  });
+
+  it('should eject after consecutive failures and recover after successful probes', async () => {
+    mockProviders({ 'https://fast.example.com': 1000, 'https://slow.example.com': new Error('ECONNREFUSED') });
+    for (let i = 0; i < 3; i += 1) {
+      await monitor.probeAll();
+    }
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.EJECTED);
+
+    mockProviders({ 'https://fast.example.com': 1000, 'https://slow.example.com': 1000 });
+    await monitor.probeAll();
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.EJECTED);
+
+    await monitor.probeAll();
+    expect(monitor.state('slow')).toBe(HEALTH_STATES.HEALTHY);
+    expect(monitor.snapshot('slow').successRate).toBe(1);
+  });
+
+  it('should count proxied request outcomes in the window', () => {
+    monitor.recordResult('fast', { ok: true, latency: 100 });
+    monitor.recordResult('fast', { ok: false, error: 'timeout' });
+
+    expect(monitor.snapshot('fast')).toMatchObject({ successRate: 0.5, samples: 2, consecutiveFailures: 1 });
+  });
+
+  it('should not keep the process alive', () => {
+    mockProviders({ 'https://fast.example.com': 1000, 'https://slow.example.com': 1000 });
+
+    monitor.start();
+
+    expect(monitor.timer.hasRef()).toBe(false);
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderRegistry, REGISTRY_BACKENDS } = require('../../src/stores/providerRegistry');
+
+const seeds = [
+  { id: 'alpha', name: 'Alpha', url: 'https://alpha.example.com', type: 'premium', pricing: 1 },
+  { id: 'beta', name: 'Beta', url: 'https://beta.example.com', type: 'public', pricing: 0.5 },
+];
+
+const noRedis = { useRedis: false, redis: null };
+
+describe('ProviderRegistry', () => {
+  describe('memory backend', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.MEMORY, backingStore: noRedis });
+    });
+
+    it('should start with the seeds, enabled', () => {
+      expect(registry.list().map((p) => p.id)).toEqual(['alpha', 'beta']);
+      expect(registry.get('alpha').enabled).toBe(true);
+    });
+
+    it('should refuse to add a duplicate ID', async () => {
+      expect(await registry.add({ ...seeds[0], name: 'Other' })).toBeNull();
+      expect(registry.get('alpha').name).toBe('Alpha');
+    });
+
+    it('should update a provider and keep its enabled state', async () => {
+      await registry.setEnabled('beta', false);
+
+      const updated = await registry.update('beta', { ...seeds[1], name: 'Beta v2' });
+
+      expect(updated).toMatchObject({ id: 'beta', name: 'Beta v2', enabled: false });
+      expect(await registry.update('missing', seeds[1])).toBeNull();
+    });
+
+    it('should remove providers', async () => {
+      expect(await registry.remove('alpha')).toBe(true);
+      expect(await registry.remove('alpha')).toBe(false);
+      expect(registry.get('alpha')).toBeUndefined();
+    });
+  });
+
+  describe('file backend', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+      filePath = path.join(dir, 'nested', 'providers.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should seed a missing file and persist changes across instances', async () => {
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+      await registry.ready();
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toHaveLength(2);
+
+      await registry.add({ id: 'gamma', name: 'Gamma', url: 'https://gamma.example.com', type: 'community', pricing: 0.3 });
+      await registry.setEnabled('alpha', false);
+      await registry.remove('beta');
+
+      const reloaded = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+      await reloaded.ready();
+
+      expect(reloaded.list().map((p) => p.id)).toEqual(['alpha', 'gamma']);
+      expect(reloaded.get('alpha').enabled).toBe(false);
+    });
+
+    it('should keep an unreadable file untouched', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{not json');
+
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.FILE, filePath, backingStore: noRedis });
+      await registry.ready();
+
+      expect(registry.list()).toHaveLength(2);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{not json');
+    });
+  });
+
+  describe('redis backend', () => {
+    function fakeRedis(initial = {}) {
+      const hash = { ...initial };
+      return {
+        hash,
+        hgetall: jest.fn(async () => ({ ...hash })),
+        hset: jest.fn(async (key, ...pairs) => {
+          for (let i = 0; i < pairs.length; i += 2) {
+            hash[pairs[i]] = pairs[i + 1];
+          }
+        }),
+        hdel: jest.fn(async (key, field) => {
+          delete hash[field];
+        }),
+      };
+    }
+
+    it('should seed an empty hash', async () => {
+      const redis = fakeRedis();
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+
+      await registry.ready();
+
+      expect(Object.keys(redis.hash)).toEqual(['alpha', 'beta']);
+    });
+
+    it('should load stored providers and write changes through', async () => {
+      const redis = fakeRedis({
+        gamma: JSON.stringify({ id: 'gamma', name: 'Gamma', url: 'https://gamma.example.com', enabled: false }),
+      });
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+
+      await registry.ready();
+      expect(registry.list().map((p) => p.id)).toEqual(['gamma']);
+
+      await registry.setEnabled('gamma', true);
+      expect(JSON.parse(redis.hash.gamma).enabled).toBe(true);
+
+      await registry.remove('gamma');
+      expect(redis.hdel).toHaveBeenCalledWith('providers:registry', 'gamma');
+    });
+
+    it('should wait for the Redis connection and load the stored registry after a restart', async () => {
+      const redis = fakeRedis();
+      const before = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis } });
+      await before.add({ id: 'gamma', name: 'Gamma', url: 'https://gamma.example.com' });
+      await before.remove('alpha');
+
+      // After a restart the registry is first read while the backing store is still connecting
+      let connect;
+      const backingStore = { useRedis: false, redis: null, redisReady: new Promise((resolve) => { connect = resolve; }) };
+      const after = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore });
+      const loading = after.ready();
+
+      Object.assign(backingStore, { useRedis: true, redis });
+      connect();
+      await loading;
+
+      expect(after.list().map((p) => p.id)).toEqual(['beta', 'gamma']);
+    });
+
+    it('should reload the stored registry once an unreachable Redis connects', async () => {
+      const redis = fakeRedis({ gamma: JSON.stringify({ id: 'gamma', name: 'Gamma', url: 'https://gamma.example.com' }) });
+      const backingStore = { useRedis: false, redis: null, redisReady: Promise.resolve() };
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore });
+
+      await registry.ready();
+      expect(registry.list().map((p) => p.id)).toEqual(['alpha', 'beta']);
+
+      Object.assign(backingStore, { useRedis: true, redis });
+      await registry.ready();
+
+      expect(registry.list().map((p) => p.id)).toEqual(['gamma']);
+    });
+
+    it('should pick up changes made through another instance once the refresh interval passes', async () => {
+      jest.useFakeTimers({ now: 0 });
+      try {
+        const redis = fakeRedis();
+        const options = { backend: REGISTRY_BACKENDS.REDIS, backingStore: { useRedis: true, redis }, refreshMs: 5000 };
+        const writer = new ProviderRegistry(seeds, options);
+        const reader = new ProviderRegistry(seeds, options);
+        await reader.ready();
+
+        await writer.setEnabled('alpha', false);
+        await reader.ready();
+        expect(reader.get('alpha').enabled).toBe(true);
+
+        jest.setSystemTime(5000);
+        await reader.ready();
+        expect(reader.get('alpha').enabled).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should fall back to memory when Redis fails', async () => {
+      const backingStore = { useRedis: true, redis: { hgetall: jest.fn().mockRejectedValue(new Error('down')) } };
+      const registry = new ProviderRegistry(seeds, { backend: REGISTRY_BACKENDS.REDIS, backingStore });
+
+      await registry.ready();
+
+      expect(backingStore.useRedis).toBe(false);
+      expect(registry.list()).toHaveLength(2);
+    });
+  });
+});
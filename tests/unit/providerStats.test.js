@@ -0,0 +1,63 @@
+const { ProviderStats } = require('../../src/services/providerStats');
+const { selectBestProvider, providerStats, providerRegistry } = require('../../src/services/providersService');
+
+const provider = { id: 'measured', latency: 100, uptime: 99, reputation: 90 };
+
+describe('ProviderStats', () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new ProviderStats({ ewmaAlpha: 0.5, priorWeight: 10, uptimeWindowMs: 1000, reputationWindowMs: 10000 });
+  });
+
+  it('should report the configured values before any traffic', () => {
+    expect(stats.effective(provider)).toEqual({ latency: 100, uptime: 99, reputation: 90, requests: 0 });
+  });
+
+  it('should move latency from the prior with an EWMA', () => {
+    stats.record(provider, { ok: true, latency: 300 }, 0);
+    expect(stats.effective(provider, 0).latency).toBe(200);
+
+    stats.record(provider, { ok: true, latency: 300 }, 0);
+    expect(stats.effective(provider, 0).latency).toBe(250);
+  });
+
+  it('should not let failures move latency', () => {
+    stats.record(provider, { ok: false }, 0);
+
+    expect(stats.effective(provider, 0).latency).toBe(100);
+  });
+
+  it('should blend observed success ratios with the priors', () => {
+    for (let i = 0; i < 10; i += 1) {
+      stats.record(provider, { ok: false }, 0);
+    }
+
+    // (0.99 * 10 + 0) / 20 and (0.9 * 10 + 0) / 20
+    expect(stats.effective(provider, 0)).toMatchObject({ uptime: 49.5, reputation: 45, requests: 10 });
+  });
+
+  it('should forget samples outside the sliding windows', () => {
+    stats.record(provider, { ok: false }, 0);
+
+    // Past the uptime window but still inside the reputation window
+    expect(stats.effective(provider, 5000)).toMatchObject({ uptime: 99, requests: 1 });
+    expect(stats.effective(provider, 5000).reputation).toBeLessThan(90);
+  });
+});
+
+describe('selectBestProvider with measured stats', () => {
+  afterEach(() => {
+    providerRegistry.list().forEach((p) => providerStats.forget(p.id));
+  });
+
+  it('should stop preferring a provider whose traffic keeps failing', () => {
+    const preferred = selectBestProvider();
+
+    for (let i = 0; i < 100; i += 1) {
+      providerStats.record(preferred, { ok: false });
+    }
+
+    expect(selectBestProvider().id).not.toBe(preferred.id);
+  });
+});
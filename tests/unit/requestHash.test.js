@@ -0,0 +1,22 @@
+const { canonicalRequest, hashRequest } = require('../../src/utils/requestHash');
+
+describe('requestHash', () => {
+  it('should ignore request ids and param key order', () => {
+    const a = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [1, { encoding: 'json', rewards: false }] };
+    const b = { jsonrpc: '2.0', id: 99, method: 'getBlock', params: [1, { rewards: false, encoding: 'json' }] };
+
+    expect(hashRequest(a)).toBe(hashRequest(b));
+  });
+
+  it('should distinguish methods, params and batches', () => {
+    const call = { jsonrpc: '2.0', id: 1, method: 'getBlock', params: [1] };
+
+    expect(hashRequest(call)).not.toBe(hashRequest({ ...call, method: 'getTransaction' }));
+    expect(hashRequest(call)).not.toBe(hashRequest({ ...call, params: [2] }));
+    expect(hashRequest(call)).not.toBe(hashRequest([call]));
+  });
+
+  it('should treat missing params as an empty list', () => {
+    expect(canonicalRequest({ method: 'getSlot' })).toBe('{"method":"getSlot","params":[]}');
+  });
+});
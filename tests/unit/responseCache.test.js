@@ -0,0 +1,63 @@
+const { ResponseCache } = require('../../src/stores/responseCache');
+const { stableStringify } = require('../../src/utils/requestHash');
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResponseCache({ useRedis: false, redis: null }, { maxEntries: 2 });
+  });
+
+  const block = (slot, extra = {}) => ({ jsonrpc: '2.0', id: 1, method: 'getBlock', params: [slot, extra] });
+
+  describe('key', () => {
+    it('should ignore param key order and request id', () => {
+      const a = { ...block(1, { encoding: 'json', maxSupportedTransactionVersion: 0 }), id: 1 };
+      const b = { ...block(1, { maxSupportedTransactionVersion: 0, encoding: 'json' }), id: 2 };
+
+      expect(ResponseCache.key(a)).toBe(ResponseCache.key(b));
+      expect(ResponseCache.key(a)).not.toBe(ResponseCache.key(block(2)));
+    });
+
+    it('should serialize nested values deterministically', () => {
+      expect(stableStringify({ b: [1, { d: 1, c: 2 }], a: 'x' })).toBe('{"a":"x","b":[1,{"c":2,"d":1}]}');
+    });
+  });
+
+  describe('isCacheable', () => {
+    it('should only cache finalized getBlock and getTransaction', () => {
+      expect(ResponseCache.isCacheable(block(1))).toBe(true);
+      expect(ResponseCache.isCacheable(block(1, { commitment: 'finalized' }))).toBe(true);
+      expect(ResponseCache.isCacheable(block(1, { commitment: 'confirmed' }))).toBe(false);
+      expect(ResponseCache.isCacheable({ method: 'getSlot', params: [] })).toBe(false);
+    });
+  });
+
+  describe('get/set', () => {
+    it('should return cached results stamped with the caller id', async () => {
+      await cache.set(block(1), { jsonrpc: '2.0', id: 1, result: { blockhash: 'abc' } });
+
+      const hit = await cache.get({ ...block(1), id: 42 });
+
+      expect(hit).toEqual({ jsonrpc: '2.0', id: 42, result: { blockhash: 'abc' } });
+    });
+
+    it('should not cache errors or null results', async () => {
+      expect(await cache.set(block(1), { jsonrpc: '2.0', id: 1, error: { code: -32009 } })).toBe(false);
+      expect(await cache.set(block(2), { jsonrpc: '2.0', id: 1, result: null })).toBe(false);
+      expect(await cache.has(block(1))).toBe(false);
+      expect(await cache.has(block(2))).toBe(false);
+    });
+
+    it('should evict the least recently used entry', async () => {
+      await cache.set(block(1), { result: 'one' });
+      await cache.set(block(2), { result: 'two' });
+      await cache.get(block(1));
+      await cache.set(block(3), { result: 'three' });
+
+      expect(await cache.has(block(1))).toBe(true);
+      expect(await cache.has(block(2))).toBe(false);
+      expect(await cache.has(block(3))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { ERROR_CLASSES, classifyRpcError } = require('../../src/services/rpcErrors');
+const { fetchWithBestProvider, healthMonitor, providerRegistry } = require('../../src/services/providersService');
+
+jest.mock('axios');
+
+const body = { jsonrpc: '2.0', id: 7, method: 'getBlock', params: [123] };
+
+function rpcError(code, message) {
+  return { data: { jsonrpc: '2.0', id: 1, error: { code, message } } };
+}
+
+describe('JSON-RPC error classification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    providerRegistry.list().forEach((p) => healthMonitor.forget(p.id));
+  });
+
+  it('should classify error codes', () => {
+    expect(classifyRpcError({ result: 1 })).toBeNull();
+    expect(classifyRpcError(rpcError(-32602, 'Invalid params').data)).toBe(ERROR_CLASSES.CLIENT);
+    expect(classifyRpcError(rpcError(-32005, 'Node is behind').data)).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyRpcError(rpcError(-32004, 'Block not available for slot 123').data)).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyRpcError(rpcError(-32009, 'Slot 123 missing in long-term storage').data)).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyRpcError(rpcError(-32007, 'Slot 123 was skipped').data)).toBe(ERROR_CLASSES.FINAL);
+    expect(classifyRpcError(rpcError(-32002, 'Transaction simulation failed').data)).toBe(ERROR_CLASSES.FINAL);
+  });
+
+  it('should fall back and penalize the provider on retryable errors', async () => {
+    axios.post
+      .mockResolvedValueOnce(rpcError(-32004, 'Block not available for slot 123'))
+      .mockResolvedValueOnce({ data: { jsonrpc: '2.0', id: 7, result: { blockhash: 'abc' } } });
+
+    const response = await fetchWithBestProvider(body);
+    const penalized = providerRegistry.list()
+      .filter((p) => healthMonitor.snapshot(p.id).consecutiveFailures === 1);
+
+    expect(response.result).toEqual({ blockhash: 'abc' });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(penalized).toHaveLength(1);
+  });
+
+  it('should return invalid params immediately without penalizing', async () => {
+    axios.post.mockResolvedValue(rpcError(-32602, 'Invalid params'));
+
+    const response = await fetchWithBestProvider(body);
+
+    expect(response.error.code).toBe(-32602);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(providerRegistry.list().every((p) => healthMonitor.snapshot(p.id).consecutiveFailures === 0)).toBe(true);
+  });
+
+  it('should return a client error sent with an HTTP error status', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 400'), {
+      response: rpcError(-32600, 'Invalid request'),
+    }));
+
+    const response = await fetchWithBestProvider(body);
+
+    expect(response.error.code).toBe(-32600);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return the upstream error when every provider fails with one', async () => {
+    axios.post.mockResolvedValue(rpcError(-32009, 'Slot 123 was skipped, or missing in long-term storage'));
+
+    const response = await fetchWithBestProvider(body);
+
+    expect(response).toMatchObject({ id: 7, error: { code: -32009 } });
+    expect(axios.post).toHaveBeenCalledTimes(providerRegistry.list().length);
+  });
+
+  it('should return a skipped slot as a final answer without penalizing', async () => {
+    axios.post.mockResolvedValue(rpcError(-32007, 'Slot 123 was skipped, or missing due to ledger jump to recent snapshot'));
+
+    const response = await fetchWithBestProvider(body);
+
+    expect(response.error.code).toBe(-32007);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(providerRegistry.list().every((p) => healthMonitor.snapshot(p.id).consecutiveFailures === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  SignatureSlotIndex,
+  signatureSlots,
+  requestedSlot,
+  learnSlots,
+  providerSlotRange,
+  coversSlot,
+} = require('../../src/services/slotRouting');
+const { selectBestProvider, providerRegistry } = require('../../src/services/providersService');
+
+const signature = '5'.repeat(88);
+
+describe('Slot routing', () => {
+  beforeEach(() => {
+    signatureSlots.clear();
+  });
+
+  describe('requestedSlot', () => {
+    it('should read the slot of block methods', () => {
+      expect(requestedSlot({ method: 'getBlock', params: [250000000, { encoding: 'json' }] })).toBe(250000000);
+      expect(requestedSlot({ method: 'getBlockTime', params: [42] })).toBe(42);
+      expect(requestedSlot({ method: 'getSlot' })).toBeNull();
+    });
+
+    it('should resolve getTransaction through learned signatures', () => {
+      const body = { method: 'getTransaction', params: [signature] };
+      expect(requestedSlot(body)).toBeNull();
+
+      learnSlots(body, { result: { slot: 777, transaction: {} } });
+
+      expect(requestedSlot(body)).toBe(777);
+    });
+
+    it('should learn slots from getSignaturesForAddress results', () => {
+      learnSlots(
+        { method: 'getSignaturesForAddress', params: ['addr'] },
+        { result: [{ signature, slot: 12 }, { signature: 'other', slot: null }] }
+      );
+
+      expect(requestedSlot({ method: 'getTransaction', params: [signature] })).toBe(12);
+      expect(requestedSlot({ method: 'getTransaction', params: ['other'] })).toBeNull();
+    });
+  });
+
+  it('should evict the least recently used signatures', () => {
+    const index = new SignatureSlotIndex(2);
+    index.set('a', 1);
+    index.set('b', 2);
+    index.get('a');
+    index.set('c', 3);
+
+    expect(index.get('b')).toBeUndefined();
+    expect(index.get('a')).toBe(1);
+  });
+
+  describe('coverage', () => {
+    it('should prefer the advertised range over probing', () => {
+      expect(providerSlotRange({ slotRange: { first: 10, last: 20 } }, { first: 0, last: 99 })).toEqual({ first: 10, last: 20 });
+      expect(providerSlotRange({}, { first: 5, last: 99 })).toEqual({ first: 5, last: null });
+      expect(providerSlotRange({}, { first: null, last: 99 })).toBeNull();
+    });
+
+    it('should only exclude providers with a known range', () => {
+      expect(coversSlot({ first: 10, last: 20 }, 15)).toBe(true);
+      expect(coversSlot({ first: 10, last: 20 }, 21)).toBe(false);
+      expect(coversSlot({ first: 10, last: null }, 5)).toBe(false);
+      expect(coversSlot(null, 5)).toBe(true);
+    });
+  });
+
+  describe('selectBestProvider', () => {
+    const archive = {
+      id: 'recent-only',
+      name: 'Recent Only',
+      url: 'https://recent.example.com',
+      type: 'premium',
+      pricing: 0,
+      reputation: 100,
+      uptime: 100,
+      latency: 1,
+      features: ['historical'],
+      slotRange: { first: 1000 },
+    };
+
+    beforeEach(async () => {
+      await providerRegistry.add(archive);
+    });
+
+    afterEach(async () => {
+      await providerRegistry.remove(archive.id);
+    });
+
+    it('should skip providers whose range does not cover the slot', () => {
+      expect(selectBestProvider({ requireHistorical: true, slot: 5000 }).id).toBe(archive.id);
+      expect(selectBestProvider({ requireHistorical: true, slot: 10 }).id).not.toBe(archive.id);
+    });
+  });
+});
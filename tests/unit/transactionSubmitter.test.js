@@ -0,0 +1,138 @@
+const mockConnection = {
+  simulateTransaction: jest.fn(),
+  sendRawTransaction: jest.fn(),
+  getSignatureStatuses: jest.fn(),
+};
+
+jest.mock('@solana/web3.js', () => ({
+  ...jest.requireActual('@solana/web3.js'),
+  Connection: jest.fn(() => mockConnection),
+}));
+
+const {
+  Keypair,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  validateTransferInstructions,
+  submitSignedTransaction,
+  associatedTokenAddress,
+} = require('../../src/services/transactionSubmitter');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const MINT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+const RECIPIENT = Keypair.generate().publicKey.toBase58();
+const PAYMENT_ID = '0b6c6c1e-3f3a-4d6e-9a51-2f7c1d9e8a40';
+
+/**
+ * Build a signed USDC transfer (SPL Token `Transfer`) with an optional memo
+ */
+function signedTransfer({ amount = 1000n, destination, memo = PAYMENT_ID } = {}) {
+  const payer = Keypair.generate();
+  const data = Buffer.alloc(9);
+  data[0] = 3;
+  data.writeBigUInt64LE(amount, 1);
+
+  const instructions = [
+    new TransactionInstruction({
+      programId: TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: true },
+        {
+          pubkey: new PublicKey(destination || associatedTokenAddress(RECIPIENT, MINT, TOKEN_PROGRAM_ID.toBase58())),
+          isSigner: false,
+          isWritable: true,
+        },
+        { pubkey: payer.publicKey, isSigner: true, isWritable: false },
+      ],
+      data,
+    }),
+  ];
+  if (memo !== null) {
+    instructions.push(new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from(memo) }));
+  }
+
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions,
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+  return { transaction, payer: payer.publicKey.toBase58() };
+}
+
+describe('Transaction Submitter', () => {
+  const invoice = { paymentId: PAYMENT_ID, amountAtomic: 1000, mint: MINT, recipient: RECIPIENT };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateTransferInstructions', () => {
+    it('should accept an exact transfer to the recipient ATA with the paymentId memo', () => {
+      const { transaction, payer } = signedTransfer();
+
+      expect(validateTransferInstructions(transaction, invoice)).toEqual({ valid: true, payer });
+    });
+
+    it('should reject a transfer to another token account', () => {
+      const { transaction } = signedTransfer({ destination: Keypair.generate().publicKey.toBase58() });
+
+      expect(validateTransferInstructions(transaction, invoice).reason).toBe('wrong_recipient');
+    });
+
+    it('should reject a different amount', () => {
+      const { transaction } = signedTransfer({ amount: 999n });
+
+      expect(validateTransferInstructions(transaction, invoice).reason).toBe('amount_mismatch');
+    });
+
+    it('should reject a transfer without the paymentId memo', () => {
+      const { transaction } = signedTransfer({ memo: null });
+
+      expect(validateTransferInstructions(transaction, invoice).reason).toBe('memo_mismatch');
+    });
+  });
+
+  describe('submitSignedTransaction', () => {
+    it('should not submit a transaction that fails simulation', async () => {
+      mockConnection.simulateTransaction.mockResolvedValue({ value: { err: { InstructionError: [0, 'Custom'] } } });
+
+      const result = await submitSignedTransaction(signedTransfer().transaction);
+
+      expect(result.success).toBe(false);
+      expect(result.errorReason).toContain('simulation_failed');
+      expect(mockConnection.sendRawTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should submit and wait for confirmation', async () => {
+      mockConnection.simulateTransaction.mockResolvedValue({ value: { err: null } });
+      mockConnection.sendRawTransaction.mockResolvedValue('submittedSignature');
+      mockConnection.getSignatureStatuses.mockResolvedValue({
+        value: [{ err: null, confirmationStatus: 'confirmed' }],
+      });
+
+      const result = await submitSignedTransaction(signedTransfer().transaction);
+
+      expect(result).toEqual({ success: true, transaction: 'submittedSignature' });
+    });
+
+    it('should report a transaction that failed on chain', async () => {
+      mockConnection.simulateTransaction.mockResolvedValue({ value: { err: null } });
+      mockConnection.sendRawTransaction.mockResolvedValue('failedSignature');
+      mockConnection.getSignatureStatuses.mockResolvedValue({
+        value: [{ err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'processed' }],
+      });
+
+      const result = await submitSignedTransaction(signedTransfer().transaction);
+
+      expect(result.success).toBe(false);
+      expect(result.errorReason).toContain('transaction_failed');
+    });
+  });
+});